@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// 九州方言翻訳API のコマンドラインツール（使い方は USAGE を参照）
+// --url（または DIALECT_BRIDGE_URL）を指定しない場合は、プロセス内でAPIを起動して使う
+require('dotenv').config();
+const fs = require('fs');
+const http = require('http');
+const { createClient } = require('../client');
+
+const USAGE = `使い方: dialect-bridge <コマンド> [オプション]
+
+コマンド:
+  translate [テキスト]    テキストを翻訳する（テキスト・--file・標準入力のいずれかから読む）
+  detect [テキスト]       方言を判定して標準語に翻訳する
+  batch                   1行1件のテキストを翻訳し、JSONL または TSV で出力する
+  dialects                対応方言の一覧
+
+共通オプション:
+  --url <url>             接続するサーバー（既定: DIALECT_BRIDGE_URL。未指定ならプロセス内で実行）
+  --api-key <key>         APIキー（既定: DIALECT_BRIDGE_API_KEY）
+  --json                  レスポンスをJSONで出力する
+
+translate / batch:
+  --dialect <code>        方言コード
+  --direction <dir>       to-dialect（標準語→方言、既定） / to-standard（方言→標準語）
+  --from <code> --to <code>
+                          翻訳元・翻訳先（"standard" または方言コード。方言同士の翻訳に使う）
+  --register <code>       口調（casual / polite / elderly / business）
+  --file <path>           入力ファイル（"-" は標準入力）
+
+detect:
+  --segments              文ごとにも判定する
+  --no-translate          判定のみ行う（標準語訳を返さない）
+  --file <path>           入力ファイル
+
+batch:
+  --format <format>       出力形式: jsonl（既定） / tsv（原文・訳文・エラーのタブ区切り）
+
+dialects:
+  --tree                  下位方言を入れ子にした階層で出力する（--json と組み合わせる）`;
+
+const COMMANDS = ['translate', 'detect', 'batch', 'dialects'];
+const VALUE_OPTIONS = ['url', 'api-key', 'dialect', 'direction', 'from', 'to', 'register', 'file', 'format'];
+const FLAG_OPTIONS = ['json', 'segments', 'no-translate', 'tree', 'help'];
+const DIRECTIONS = ['to-dialect', 'to-standard'];
+const FORMATS = ['jsonl', 'tsv'];
+
+// バッチ翻訳1回あたりの件数（/api/translate/batch の上限）
+const BATCH_SIZE = 20;
+
+function parseArgs(argv) {
+  const options = { args: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // "--" 以降はすべてテキストとして扱う
+    if (arg === '--') {
+      options.args.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      options.args.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (FLAG_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name) && argv[i + 1] !== undefined) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`不明なオプションです: ${arg}`);
+    }
+  }
+  return options;
+}
+
+// 接続先（--url の指定がなければプロセス内でAPIを起動し、ローカルのポートで受ける）
+// プロセス内の場合はレート制限と keep-alive を行わず、ログは標準エラーに出す（既定はエラーのみ）
+async function connect(options) {
+  const apiKey = options['api-key'] || process.env.DIALECT_BRIDGE_API_KEY;
+  const url = options.url || process.env.DIALECT_BRIDGE_URL;
+  if (url) {
+    return {
+      api: createClient({ baseUrl: url, apiKey }),
+      close: () => {}
+    };
+  }
+
+  const { createApp } = require('../lib/app');
+  const { createLogger } = require('../lib/logger');
+  const bridge = createApp({
+    rateLimit: false,
+    keepAliveUrl: null,
+    logger: createLogger({
+      level: process.env.LOG_LEVEL || 'error',
+      text: process.env.LOG_TEXT,
+      write: line => process.stderr.write(`${line}\n`)
+    })
+  });
+  const server = http.createServer(bridge.app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    api: createClient({ baseUrl: `http://127.0.0.1:${server.address().port}`, apiKey }),
+    close: () => {
+      server.close();
+      bridge.stop();
+    }
+  };
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => data += chunk);
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+// 入力（--file、引数、標準入力の順に探す。引数が "-" の場合は標準入力）
+async function readInput(options, { useArgs = true } = {}) {
+  if (options.file) {
+    return options.file === '-' ? readStdin() : fs.readFileSync(options.file, 'utf8');
+  }
+  if (useArgs && options.args.length > 0 && options.args[0] !== '-') {
+    return options.args.join(' ');
+  }
+  if (process.stdin.isTTY && options.args[0] !== '-') {
+    throw new Error('入力がありません（テキスト・--file・標準入力のいずれかで指定してください）');
+  }
+  return readStdin();
+}
+
+// 翻訳方向のリクエストパラメーター
+function translationParams(options) {
+  if (options.from || options.to) {
+    if (!options.from || !options.to) {
+      throw new Error('--from と --to は両方指定してください');
+    }
+    return { source_dialect: options.from, target_dialect: options.to };
+  }
+
+  const direction = options.direction || 'to-dialect';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`--direction は ${DIRECTIONS.join(' / ')} のいずれかを指定してください`);
+  }
+  if (!options.dialect) {
+    throw new Error('--dialect で方言コードを指定してください（方言同士の翻訳は --from と --to）');
+  }
+  return direction === 'to-dialect'
+    ? { from: 'standard', to: 'dialect', dialect: options.dialect }
+    : { from: 'dialect', to: 'standard', dialect: options.dialect };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+async function translate(client, options) {
+  const text = (await readInput(options)).trim();
+  const data = await client.api.translate({
+    text,
+    ...translationParams(options),
+    ...(options.register ? { register: options.register } : {})
+  });
+
+  if (options.json) {
+    printJson(data);
+  } else {
+    console.log(data.translated_text);
+  }
+}
+
+async function detect(client, options) {
+  const text = (await readInput(options)).trim();
+  const data = await client.api.detect({
+    text,
+    translate: !options['no-translate'],
+    segments: !!options.segments
+  });
+
+  if (options.json) {
+    printJson(data);
+    return;
+  }
+  console.log(`判定: ${data.dialect_name}（${data.detected_dialect}、信頼度 ${data.confidence}）`);
+  (data.segments || []).forEach(segment => {
+    console.log(`  ${segment.index + 1}: ${segment.dialect_name}（${segment.detected_dialect}、信頼度 ${segment.confidence}）${segment.text}`);
+  });
+  if (data.translated_text !== undefined) {
+    console.log(`標準語訳: ${data.translated_text}`);
+  }
+}
+
+// TSV の列に入れるため、タブと改行をエスケープする
+function tsvField(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 1行1件で翻訳する（空行は翻訳しない）。失敗した項目があれば終了コードを 1 にする
+async function batch(client, options) {
+  const format = options.format || 'jsonl';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format は ${FORMATS.join(' / ')} のいずれかを指定してください`);
+  }
+  const params = translationParams(options);
+  const lines = (await readInput(options, { useArgs: false }))
+    .split(/\r?\n/)
+    .map((text, i) => ({ line: i + 1, text: text.trim() }))
+    .filter(({ text }) => text);
+
+  let failureCount = 0;
+  for (let i = 0; i < lines.length; i += BATCH_SIZE) {
+    const chunk = lines.slice(i, i + BATCH_SIZE);
+    const data = await client.api.translateBatch({
+      texts: chunk.map(l => l.text),
+      ...params,
+      ...(options.register ? { register: options.register } : {})
+    });
+
+    data.results.forEach(result => {
+      const { line, text } = chunk[result.index];
+      if (!result.success) failureCount++;
+      if (format === 'tsv') {
+        const error = result.success ? '' : `${result.code}: ${result.error}`;
+        console.log([text, result.translated, error].map(tsvField).join('\t'));
+      } else {
+        console.log(JSON.stringify({
+          line,
+          text,
+          translated_text: result.translated,
+          success: result.success,
+          ...(result.success ? {} : { code: result.code, error: result.error })
+        }));
+      }
+    });
+  }
+
+  if (failureCount > 0) {
+    console.error(`${lines.length}件中${failureCount}件の翻訳に失敗しました`);
+    process.exitCode = 1;
+  }
+}
+
+async function dialects(client, options) {
+  const tree = options.tree && options.json;
+  const data = await client.api.dialects({ view: tree ? 'tree' : undefined });
+  if (options.json) {
+    printJson(data.dialects);
+    return;
+  }
+
+  // 下位方言は親の下に字下げして出力する（一覧は親の直後に下位方言が並んでいる）
+  const parents = new Map(data.dialects.map(d => [d.code, d.parent]));
+  const depth = code => (parents.get(code) ? depth(parents.get(code)) + 1 : 0);
+  data.dialects.forEach(d => {
+    console.log(`${'  '.repeat(depth(d.code))}${d.code}\t${d.name}${d.region ? `\t${d.region}` : ''}`);
+  });
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!command || command === '--help' || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`不明なコマンドです: ${command}（${COMMANDS.join(' / ')}）`);
+  }
+  const options = parseArgs(rest);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = await connect(options);
+  try {
+    await { translate, detect, batch, dialects }[command](client, options);
+  } finally {
+    client.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`エラー: ${error.message}${error.code ? `（${error.code}）` : ''}`);
+  process.exit(1);
+});
@@ -0,0 +1,368 @@
+// 九州方言翻訳API の JavaScript クライアントの型定義（レスポンスの形式は /api/openapi.json と同じ）
+
+export type ErrorCode =
+  | 'VALIDATION_FAILED'
+  | 'INVALID_JSON'
+  | 'CONTENT_BLOCKED'
+  | 'UNAUTHORIZED'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'CONFLICT'
+  | 'PAYLOAD_TOO_LARGE'
+  | 'RATE_LIMITED'
+  | 'QUOTA_EXCEEDED'
+  | 'UPSTREAM_RATE_LIMITED'
+  | 'INTERNAL_ERROR'
+  | 'UPSTREAM_ERROR'
+  | 'UPSTREAM_INVALID_RESPONSE'
+  | 'NOT_CONFIGURED'
+  | 'CIRCUIT_OPEN'
+  | 'UPSTREAM_TIMEOUT';
+
+// クライアント側で付けるコード（TIMEOUT・NETWORK_ERROR・INVALID_RESPONSE）
+export type ClientErrorCode = 'TIMEOUT' | 'NETWORK_ERROR' | 'INVALID_RESPONSE';
+
+export interface ErrorDetail {
+  field?: string;
+  path?: string;
+  message?: string;
+}
+
+export interface ErrorResponse {
+  success: false;
+  code: ErrorCode;
+  error: string;
+  details?: ErrorDetail[];
+  retry_after_seconds?: number;
+  request_id?: string;
+  timestamp: string;
+  [key: string]: unknown;
+}
+
+export class DialectBridgeError extends Error {
+  code: ErrorCode | ClientErrorCode | null;
+  status: number | null;
+  details: ErrorDetail[] | null;
+  requestId: string | null;
+  retryAfterMs: number | null;
+  body: ErrorResponse | null;
+  cause?: unknown;
+}
+
+// 400（VALIDATION_FAILED / INVALID_JSON / CONTENT_BLOCKED）・413
+export class ValidationError extends DialectBridgeError {}
+// 401
+export class AuthenticationError extends DialectBridgeError {}
+// 403
+export class PermissionError extends DialectBridgeError {}
+// 404
+export class NotFoundError extends DialectBridgeError {}
+// 409
+export class ConflictError extends DialectBridgeError {}
+// 429（RATE_LIMITED / QUOTA_EXCEEDED / UPSTREAM_RATE_LIMITED）
+export class RateLimitError extends DialectBridgeError {}
+// 5xx
+export class ServiceError extends DialectBridgeError {}
+// timeoutMs 以内に応答がなかった
+export class TimeoutError extends DialectBridgeError {}
+// サーバーに接続できなかった
+export class NetworkError extends DialectBridgeError {}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  apiKey?: string;
+  timeoutMs?: number;
+  retries?: number;
+  retryBaseDelayMs?: number;
+  retryMaxDelayMs?: number;
+  fetch?: typeof fetch;
+  headers?: Record<string, string>;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+}
+
+export type Register = 'casual' | 'polite' | 'elderly' | 'business' | string;
+
+// 翻訳方向（from / to / dialect か source_dialect / target_dialect のどちらか）
+export interface LanguagePair {
+  from?: 'standard' | 'dialect';
+  to?: 'standard' | 'dialect';
+  dialect?: string;
+  source_dialect?: string;
+  target_dialect?: string;
+  register?: Register;
+}
+
+export interface TranslateParams extends LanguagePair {
+  text: string;
+  n?: number;
+  explain?: boolean;
+  reading?: boolean;
+}
+
+export interface StreamParams extends LanguagePair {
+  text: string;
+}
+
+export interface BatchParams extends LanguagePair {
+  texts: string[];
+  n?: number;
+  reading?: boolean;
+}
+
+export interface DetectParams {
+  text: string;
+  segments?: boolean;
+  translate?: boolean;
+}
+
+export interface Offsets {
+  start: number;
+  end: number;
+}
+
+export interface GlossaryCompliance {
+  applied: unknown[];
+  violated: unknown[];
+}
+
+export interface Candidate {
+  rank: number;
+  translated_text: string;
+  glossary: GlossaryCompliance;
+}
+
+export interface ExplanationSpan {
+  dialect_expression: string;
+  standard_meaning: string;
+  note: string | null;
+  side: 'source' | 'output';
+  source_offsets: Offsets;
+  output_offsets: Offsets;
+}
+
+export interface Explanation {
+  spans: ExplanationSpan[];
+  grammar_note: string;
+  offset_unit: 'code_point';
+  dropped_span_count: number;
+}
+
+export interface ReadingToken {
+  surface: string;
+  // 読みがわからなかった語句（漢字）は null
+  kana: string | null;
+  romaji: string | null;
+  dialect: boolean;
+  offsets: Offsets;
+}
+
+export interface Reading {
+  kana: string;
+  romaji: string;
+  ssml: string;
+  tokens: ReadingToken[];
+  offset_unit: 'code_point';
+  unresolved_count: number;
+  dropped_token_count: number;
+}
+
+export interface TranslationPairInfo {
+  from_type?: 'standard' | 'dialect';
+  to_type?: 'standard' | 'dialect';
+  dialect_code?: string;
+  dialect_name?: string;
+  source_dialect?: string;
+  source_dialect_name?: string;
+  target_dialect?: string;
+  target_dialect_name?: string;
+  register?: string | null;
+  register_name?: string | null;
+}
+
+export interface TranslateResult extends TranslationPairInfo {
+  original_text: string;
+  translated_text: string;
+  cached: boolean;
+  glossary: GlossaryCompliance;
+  candidates?: Candidate[];
+  candidate_count?: number;
+  requested_candidate_count?: number;
+  explanation?: Explanation;
+  reading?: Reading;
+  history_id?: string | null;
+  processing_time_ms: number;
+  timestamp?: string;
+}
+
+export interface BatchItem {
+  index: number;
+  original: string;
+  translated: string | null;
+  success: boolean;
+  cached?: boolean;
+  glossary?: GlossaryCompliance;
+  candidates?: Candidate[];
+  candidate_count?: number;
+  requested_candidate_count?: number;
+  reading?: Reading;
+  reading_error?: { code: ErrorCode; error: string };
+  code?: ErrorCode;
+  error?: string;
+}
+
+export interface BatchResult extends TranslationPairInfo {
+  results: BatchItem[];
+  processing_time_ms?: number;
+  total_count: number;
+  success_count: number;
+  error_count: number;
+  cached_count?: number;
+  timestamp?: string;
+}
+
+export interface DialectScore {
+  dialect: string;
+  dialect_name: string;
+  score: number;
+}
+
+export interface DetectionDecision {
+  detected_dialect: string;
+  dialect_name: string;
+  parent_dialect: string | null;
+  confidence: 'high' | 'medium' | 'low';
+  scores: DialectScore[];
+}
+
+export interface DialectMarker {
+  expression: string;
+  dialect: string;
+  dialect_name: string;
+  standard_meaning: string | null;
+  offsets: Offsets;
+  segment_index?: number;
+}
+
+export interface DetectionSegment extends DetectionDecision {
+  index: number;
+  text: string;
+  offsets: Offsets;
+}
+
+export interface DetectResult extends DetectionDecision {
+  original_text: string;
+  translated_text?: string;
+  markers: DialectMarker[];
+  offset_unit: 'code_point';
+  dropped_marker_count: number;
+  segments?: DetectionSegment[];
+  mixed?: boolean;
+  processing_time_ms?: number;
+  timestamp?: string;
+}
+
+export interface HealthResult {
+  status: 'healthy' | 'degraded';
+  timestamp: string;
+  version: string;
+  translation_provider: {
+    name: string;
+    model: string;
+    configured: boolean;
+    circuit_breaker?: object | null;
+  };
+  [key: string]: unknown;
+}
+
+export interface DialectSummary {
+  code: string;
+  name: string;
+  region?: string | null;
+  parent?: string | null;
+}
+
+export interface DialectNode {
+  code: string;
+  name: string;
+  region?: string | null;
+  sub_dialects: DialectNode[];
+}
+
+export interface DialectsResult<T = DialectSummary> {
+  success: true;
+  dialects: T[];
+  total_count: number;
+  registers: { code: string; name: string }[];
+  timestamp?: string;
+}
+
+export interface DialectDetail {
+  code: string;
+  name: string;
+  region?: string | null;
+  parent: string | null;
+  parent_name?: string | null;
+  sub_dialects: { code: string; name: string; region?: string | null }[];
+  features: string[];
+  examples: { dialect: string; standard: string }[];
+  prompt_hints: string[];
+}
+
+export interface HistoryFilters {
+  q?: string;
+  dialect?: string;
+  type?: 'translate' | 'batch' | 'detect';
+  favorite?: boolean | 'true' | 'false';
+  offset?: number;
+  limit?: number;
+}
+
+export interface HistoryEntry {
+  id: string;
+  type: 'translate' | 'batch' | 'detect';
+  original_text: string;
+  translated_text: string | null;
+  source_dialect: string;
+  target_dialect: string | null;
+  register?: string | null;
+  detected_dialect?: string;
+  favorite: boolean;
+  api_key_id?: string | null;
+  request_id?: string | null;
+  created_at: string;
+}
+
+export interface HistoryListResult {
+  success: true;
+  entries: HistoryEntry[];
+  total_count: number;
+  offset?: number;
+  limit?: number;
+  timestamp?: string;
+}
+
+export interface StreamOptions extends RequestOptions {
+  // 途中結果の全文と、今回受信した差分
+  onDelta?: (text: string, delta: string) => void;
+}
+
+export interface DialectBridgeClient {
+  health(options?: RequestOptions): Promise<HealthResult>;
+  dialects(options?: RequestOptions & { view?: 'list' }): Promise<DialectsResult>;
+  dialects(options: RequestOptions & { view: 'tree' }): Promise<DialectsResult<DialectNode>>;
+  dialect(code: string, options?: RequestOptions): Promise<DialectDetail>;
+  translate(params: TranslateParams, options?: RequestOptions): Promise<TranslateResult>;
+  translateBatch(params: BatchParams, options?: RequestOptions): Promise<BatchResult>;
+  translateStream(params: StreamParams, options?: StreamOptions): Promise<TranslateResult>;
+  detect(params: DetectParams, options?: RequestOptions): Promise<DetectResult>;
+  listHistory(filters?: HistoryFilters, options?: RequestOptions): Promise<HistoryListResult>;
+  setHistoryFavorite(id: string, favorite: boolean, options?: RequestOptions): Promise<HistoryEntry>;
+  deleteHistory(id: string, options?: RequestOptions): Promise<string>;
+  exportHistory(filters?: HistoryFilters, format?: 'json' | 'jsonl' | 'tsv', options?: RequestOptions): Promise<Blob>;
+  historyExportUrl(filters?: HistoryFilters, format?: 'json' | 'jsonl' | 'tsv'): string;
+}
+
+export function createClient(options?: ClientOptions): DialectBridgeClient;
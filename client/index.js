@@ -0,0 +1,387 @@
+// 九州方言翻訳API の JavaScript クライアント（Node.js 18 以上とブラウザで動作する。型定義は index.d.ts）
+//   Node.js: const { createClient } = require('kyushu-dialect-translator-api/client');
+//   ブラウザ: <script src="/client/index.js"></script> で window.DialectBridge に公開される
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DialectBridge = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // APIのエラー（code は API の code、status は HTTPステータス）
+  //   retryAfterMs: サーバーが指定した再試行までの待ち時間（Retry-After）
+  //   body: エラー応答の本文
+  class DialectBridgeError extends Error {
+    constructor(message, { code = null, status = null, details = null, requestId = null, retryAfterMs = null, body = null, cause } = {}) {
+      super(message);
+      this.name = new.target.name;
+      this.code = code;
+      this.status = status;
+      this.details = details;
+      this.requestId = requestId;
+      this.retryAfterMs = retryAfterMs;
+      this.body = body;
+      if (cause) this.cause = cause;
+    }
+  }
+
+  class ValidationError extends DialectBridgeError {}
+  class AuthenticationError extends DialectBridgeError {}
+  class PermissionError extends DialectBridgeError {}
+  class NotFoundError extends DialectBridgeError {}
+  class ConflictError extends DialectBridgeError {}
+  class RateLimitError extends DialectBridgeError {}
+  class ServiceError extends DialectBridgeError {}
+  // クライアント側で発生するエラー（タイムアウト・接続できない）
+  class TimeoutError extends DialectBridgeError {}
+  class NetworkError extends DialectBridgeError {}
+
+  // APIのエラーコードとエラークラスの対応（lib/errors.js の ERROR_CODES）
+  const ERROR_CLASSES = {
+    VALIDATION_FAILED: ValidationError,
+    INVALID_JSON: ValidationError,
+    CONTENT_BLOCKED: ValidationError,
+    PAYLOAD_TOO_LARGE: ValidationError,
+    UNAUTHORIZED: AuthenticationError,
+    FORBIDDEN: PermissionError,
+    NOT_FOUND: NotFoundError,
+    CONFLICT: ConflictError,
+    RATE_LIMITED: RateLimitError,
+    QUOTA_EXCEEDED: RateLimitError,
+    UPSTREAM_RATE_LIMITED: RateLimitError,
+    INTERNAL_ERROR: ServiceError,
+    UPSTREAM_ERROR: ServiceError,
+    UPSTREAM_INVALID_RESPONSE: ServiceError,
+    NOT_CONFIGURED: ServiceError,
+    CIRCUIT_OPEN: ServiceError,
+    UPSTREAM_TIMEOUT: ServiceError
+  };
+
+  // GET で再試行するエラー（一時的な障害のみ。クォータ超過は期間の終わりまで回復しないため再試行しない）
+  const RETRYABLE_CODES = ['RATE_LIMITED', 'UPSTREAM_RATE_LIMITED', 'UPSTREAM_ERROR', 'UPSTREAM_TIMEOUT', 'CIRCUIT_OPEN'];
+  const RETRYABLE_STATUSES = [502, 503, 504];
+  // サーバーが処理せずに断った応答（Retry-After 付きの場合のみ再試行する）
+  const REJECTED_STATUSES = [429, 503];
+  const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+  function errorClassFor(code, status) {
+    if (ERROR_CLASSES[code]) return ERROR_CLASSES[code];
+    if (status === 400) return ValidationError;
+    if (status === 401) return AuthenticationError;
+    if (status === 403) return PermissionError;
+    if (status === 404) return NotFoundError;
+    if (status === 429) return RateLimitError;
+    if (status >= 500) return ServiceError;
+    return DialectBridgeError;
+  }
+
+  // エラー応答の本文（{ success: false, code, error, ... }）からエラーを作る
+  function toClientError(body, { status = null, headers = null } = {}) {
+    const code = body && body.code ? body.code : null;
+    const retryAfterHeader = headers ? Number(headers.get('Retry-After')) : NaN;
+    let retryAfterMs = null;
+    if (body && body.retry_after_seconds) {
+      retryAfterMs = body.retry_after_seconds * 1000;
+    } else if (!Number.isNaN(retryAfterHeader) && retryAfterHeader > 0) {
+      retryAfterMs = retryAfterHeader * 1000;
+    }
+
+    const ErrorClass = errorClassFor(code, status);
+    return new ErrorClass(body && body.error ? body.error : `HTTP ${status}`, {
+      code,
+      status,
+      details: body && body.details ? body.details : null,
+      requestId: (body && body.request_id) || (headers && headers.get('X-Request-Id')) || null,
+      retryAfterMs,
+      body
+    });
+  }
+
+  // POST などは翻訳やクォータの消費が二重にならないよう、リクエストが受け付けられなかったことが明らかな場合
+  // （接続エラーと Retry-After 付きの 429・503）だけ再試行する
+  function isRetryable(error, method) {
+    if (error instanceof NetworkError) return true;
+    if (REJECTED_STATUSES.includes(error.status) && error.retryAfterMs) return true;
+    if (!IDEMPOTENT_METHODS.includes(method)) return false;
+    if (error instanceof TimeoutError) return true;
+    return RETRYABLE_CODES.includes(error.code) || (!error.code && RETRYABLE_STATUSES.includes(error.status));
+  }
+
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      }
+    });
+  }
+
+  // Server-Sent Events のストリームを読み取り、done イベントのデータを返す
+  async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        let event = 'message';
+        let dataText = '';
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          if (line.startsWith('data:')) dataText += line.slice(5).trim();
+        });
+        if (!dataText) continue;
+
+        // 壊れたデータは再試行しても直らないため、接続を閉じて応答の形式のエラーにする
+        let payload = null;
+        try {
+          payload = JSON.parse(dataText);
+        } catch (error) {
+          reader.cancel().catch(() => {});
+          throw new DialectBridgeError(`ストリームの ${event} イベントのデータがJSONではありません`, {
+            code: 'INVALID_RESPONSE',
+            status: response.status,
+            cause: error
+          });
+        }
+        if (event === 'error') {
+          throw toClientError(payload);
+        }
+        if (event === 'done') {
+          result = payload;
+        }
+        if (onEvent) onEvent(event, payload);
+      }
+    }
+
+    if (!result) {
+      throw new DialectBridgeError('翻訳結果の形式が正しくありません', { code: 'INVALID_RESPONSE', status: response.status });
+    }
+    return result;
+  }
+
+  // クライアントを作成する
+  //   baseUrl: APIのURL（ブラウザでは省略すると同じオリジン）
+  //   apiKey: X-API-Key ヘッダーで送るAPIキー
+  //   timeoutMs: 1回のリクエストのタイムアウト（ストリーミング翻訳は本文を読み終えるまで）
+  //   retries: 一時的な障害での再試行の回数（GET 以外は接続エラーと Retry-After 付きの 429・503 のみ）
+  //   retryBaseDelayMs / retryMaxDelayMs: 再試行の間隔（指数バックオフ）の基準値と上限
+  //     Retry-After がこの上限を超える場合は再試行せずにエラーを返す
+  //   fetch: 使用する fetch（既定は globalThis.fetch）
+  //   headers: すべてのリクエストに付けるヘッダー
+  function createClient(options = {}) {
+    const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : 30000;
+    const retries = options.retries !== undefined ? options.retries : 2;
+    const retryBaseDelayMs = options.retryBaseDelayMs !== undefined ? options.retryBaseDelayMs : 500;
+    const retryMaxDelayMs = options.retryMaxDelayMs !== undefined ? options.retryMaxDelayMs : 10000;
+    const fetchImpl = options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+    if (!fetchImpl) {
+      throw new Error('fetch が利用できません（Node.js 18 以上で実行するか、fetch を指定してください）');
+    }
+    if (!baseUrl && typeof window === 'undefined') {
+      throw new Error('baseUrl を指定してください');
+    }
+
+    function buildUrl(path, query) {
+      const params = new URLSearchParams();
+      Object.entries(query || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+      });
+      const search = params.toString();
+      return `${baseUrl}${path}${search ? `?${search}` : ''}`;
+    }
+
+    // 次の再試行までの待ち時間（再試行しない場合は null）
+    function retryDelay(error, method, attempt) {
+      if (attempt >= retries || !isRetryable(error, method)) return null;
+      if (error.retryAfterMs) {
+        return error.retryAfterMs <= retryMaxDelayMs ? error.retryAfterMs : null;
+      }
+      const backoff = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+      return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    // 1回のリクエスト
+    // stream が true の場合は本文を読まずに { response, release, toError } を返す
+    // （本文を読み終えるまでタイムアウトと signal による中断を有効にしておき、読み終えたら release を呼ぶ）
+    // download が true の場合は成功した応答の本文を Blob で返す
+    async function send(method, url, { body, signal, stream, download, accept }) {
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer = timeoutMs > 0
+        ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs)
+        : null;
+      const onAbort = () => controller.abort(signal.reason);
+      const release = () => {
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      if (signal) {
+        if (signal.aborted) {
+          release();
+          throw signal.reason;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      // fetch・本文の読み取りの失敗をクライアントのエラーにする
+      const toError = (error) => {
+        if (error instanceof DialectBridgeError) return error;
+        if (timedOut) {
+          return new TimeoutError(`${timeoutMs}ms 以内に応答がありませんでした`, { code: 'TIMEOUT', cause: error });
+        }
+        // 呼び出し元による中断はそのまま返す
+        if (signal && signal.aborted) return signal.reason;
+        // Node.js の fetch は接続エラーの詳細（ECONNREFUSED など）を cause に持つ
+        const reason = (error.cause && (error.cause.code || error.cause.message)) || error.message;
+        return new NetworkError(`サーバーに接続できません（${url}）: ${reason}`, { code: 'NETWORK_ERROR', cause: error });
+      };
+
+      const headers = { Accept: accept || 'application/json', ...options.headers };
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      if (options.apiKey) headers['X-API-Key'] = options.apiKey;
+
+      let streaming = false;
+      try {
+        const response = await fetchImpl(url, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: controller.signal
+        });
+
+        const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+        if (stream && response.ok && !isJson) {
+          streaming = true;
+          return { response, release, toError };
+        }
+        if (download && response.ok) {
+          return await response.blob();
+        }
+
+        const text = await response.text();
+        let payload = null;
+        try {
+          payload = text ? JSON.parse(text) : null;
+        } catch (error) {
+          payload = null;
+        }
+        if (!response.ok || (payload && payload.success === false)) {
+          throw toClientError(payload, { status: response.status, headers: response.headers });
+        }
+        if (payload === null) {
+          throw new DialectBridgeError(`サーバーの応答がJSONではありません（${response.status}）`, {
+            code: 'INVALID_RESPONSE',
+            status: response.status
+          });
+        }
+        return payload;
+      } catch (error) {
+        throw toError(error);
+      } finally {
+        if (!streaming) release();
+      }
+    }
+
+    async function request(method, path, { query, body, signal, stream, download, accept } = {}) {
+      const url = buildUrl(path, query);
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await send(method, url, { body, signal, stream, download, accept });
+        } catch (error) {
+          const delay = error instanceof DialectBridgeError ? retryDelay(error, method, attempt) : null;
+          if (delay === null) throw error;
+          await sleep(delay, signal);
+        }
+      }
+    }
+
+    return {
+      // 稼働状況（/api/health）
+      health: ({ signal } = {}) => request('GET', '/api/health', { signal }),
+
+      // 対応方言の一覧（view: 'tree' で下位方言を入れ子にした階層）
+      dialects: ({ view, signal } = {}) => request('GET', '/api/dialects', { query: { view }, signal }),
+
+      // 方言の詳細
+      dialect: async (code, { signal } = {}) =>
+        (await request('GET', `/api/dialects/${encodeURIComponent(code)}`, { signal })).dialect,
+
+      translate: async (params, { signal } = {}) =>
+        (await request('POST', '/api/translate', { body: params, signal })).data,
+
+      translateBatch: async (params, { signal } = {}) =>
+        (await request('POST', '/api/translate/batch', { body: params, signal })).data,
+
+      // ストリーミング翻訳（onDelta には途中結果の全文を渡す。翻訳の開始後は再試行しない）
+      translateStream: async (params, { onDelta, signal } = {}) => {
+        const { response, release, toError } = await request('POST', '/api/translate/stream', {
+          body: params,
+          signal,
+          stream: true,
+          accept: 'text/event-stream'
+        });
+        try {
+          return await readEventStream(response, (event, payload) => {
+            if (event === 'delta' && onDelta) onDelta(payload.text, payload.delta);
+          });
+        } catch (error) {
+          throw toError(error);
+        } finally {
+          release();
+        }
+      },
+
+      detect: async (params, { signal } = {}) =>
+        (await request('POST', '/api/translate/detect', { body: params, signal })).data,
+
+      // 翻訳履歴（filters: q / dialect / type / favorite / offset / limit）
+      listHistory: (filters = {}, { signal } = {}) => request('GET', '/api/history', { query: filters, signal }),
+
+      setHistoryFavorite: async (id, favorite, { signal } = {}) =>
+        (await request('PATCH', `/api/history/${encodeURIComponent(id)}`, { body: { favorite }, signal })).entry,
+
+      deleteHistory: async (id, { signal } = {}) =>
+        (await request('DELETE', `/api/history/${encodeURIComponent(id)}`, { signal })).deleted_id,
+
+      // 履歴のエクスポート（format: json / jsonl / tsv。APIキーを付けて取得し、Blob で返す）
+      exportHistory: (filters = {}, format = 'json', { signal } = {}) =>
+        request('GET', '/api/history/export', { query: { ...filters, format }, signal, download: true, accept: '*/*' }),
+
+      // 履歴のエクスポートのURL（APIキーを付けられないため、ブラウザのリンクには exportHistory を使う）
+      historyExportUrl: (filters = {}, format = 'json') => buildUrl('/api/history/export', { ...filters, format })
+    };
+  }
+
+  return {
+    createClient,
+    DialectBridgeError,
+    ValidationError,
+    AuthenticationError,
+    PermissionError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    ServiceError,
+    TimeoutError,
+    NetworkError
+  };
+});
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger: defaultLogger } = require('./logger');
+
+const DEFAULT_KEYS_FILE = path.join(__dirname, '..', 'storage', 'api-keys.json');
+const DEFAULT_QUOTAS = {
+  window_minutes: 24 * 60,
+  max_requests: 1000,
+  max_characters: 200000
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return `dbk_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// APIキーの保存・検証・利用量の記録（JSONファイルに保存）
+function createApiKeyStore(options = {}) {
+  const filePath = options.file || DEFAULT_KEYS_FILE;
+  const now = options.now || Date.now;
+  const logger = options.logger || defaultLogger;
+  let keys = [];
+  let saveTimer = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      keys = JSON.parse(fs.readFileSync(filePath, 'utf8')).keys || [];
+      logger.info('APIキーを読み込みました', { count: keys.length, file: filePath });
+    } catch (error) {
+      logger.error('APIキーファイルの読み込みに失敗しました', { file: filePath, error });
+    }
+  }
+
+  function save() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ keys }, null, 2) + '\n');
+    fs.renameSync(tmpFile, filePath);
+  }
+
+  // 利用量の更新は頻繁なので書き込みをまとめる
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        save();
+      } catch (error) {
+        logger.error('APIキーファイルの保存に失敗しました', { file: filePath, error });
+      }
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  // 公開用の表現（ハッシュは返さない）
+  function toPublic(entry) {
+    const { key_hash, ...rest } = entry;
+    return { ...rest, usage: currentUsage(entry) };
+  }
+
+  // クォータの期間が過ぎていれば期間内の利用量をリセット
+  function rollWindow(entry) {
+    const windowMs = entry.quotas.window_minutes * 60 * 1000;
+    const current = now();
+    if (!entry.usage.window_start || current - Date.parse(entry.usage.window_start) >= windowMs) {
+      entry.usage.window_start = new Date(current).toISOString();
+      entry.usage.window_requests = 0;
+      entry.usage.window_characters = 0;
+    }
+  }
+
+  function currentUsage(entry) {
+    rollWindow(entry);
+    const windowMs = entry.quotas.window_minutes * 60 * 1000;
+    return {
+      ...entry.usage,
+      window_resets_at: new Date(Date.parse(entry.usage.window_start) + windowMs).toISOString(),
+      remaining_requests: Math.max(0, entry.quotas.max_requests - entry.usage.window_requests),
+      remaining_characters: Math.max(0, entry.quotas.max_characters - entry.usage.window_characters)
+    };
+  }
+
+  function create({ name, quotas }) {
+    const key = generateKey();
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      key_prefix: key.slice(0, 12),
+      key_hash: hashKey(key),
+      disabled: false,
+      quotas: { ...DEFAULT_QUOTAS, ...(quotas || {}) },
+      usage: {
+        window_start: null,
+        window_requests: 0,
+        window_characters: 0,
+        total_requests: 0,
+        total_characters: 0,
+        last_used_at: null
+      },
+      created_at: new Date(now()).toISOString()
+    };
+    keys.push(entry);
+    save();
+    // 平文のキーは作成時のみ返す
+    return { key, entry: toPublic(entry) };
+  }
+
+  function update(id, { name, quotas, disabled }) {
+    const entry = keys.find(k => k.id === id);
+    if (!entry) return null;
+    if (name !== undefined) entry.name = name;
+    if (quotas !== undefined) entry.quotas = { ...entry.quotas, ...quotas };
+    if (disabled !== undefined) entry.disabled = !!disabled;
+    save();
+    return toPublic(entry);
+  }
+
+  function remove(id) {
+    const index = keys.findIndex(k => k.id === id);
+    if (index === -1) return false;
+    keys.splice(index, 1);
+    save();
+    return true;
+  }
+
+  function list() {
+    return keys.map(toPublic);
+  }
+
+  function authenticate(key) {
+    if (!key) return null;
+    const keyHash = hashKey(key);
+    return keys.find(k => k.key_hash === keyHash) || null;
+  }
+
+  // クォータを確認し、余裕があれば利用量を記録する
+  function consume(entry, { requests, characters }) {
+    rollWindow(entry);
+
+    const exceeded = [];
+    if (entry.usage.window_requests + requests > entry.quotas.max_requests) {
+      exceeded.push('requests');
+    }
+    if (entry.usage.window_characters + characters > entry.quotas.max_characters) {
+      exceeded.push('characters');
+    }
+
+    if (exceeded.length === 0) {
+      entry.usage.window_requests += requests;
+      entry.usage.window_characters += characters;
+      entry.usage.total_requests += requests;
+      entry.usage.total_characters += characters;
+      entry.usage.last_used_at = new Date(now()).toISOString();
+      scheduleSave();
+    }
+
+    return { allowed: exceeded.length === 0, exceeded, usage: currentUsage(entry) };
+  }
+
+  // consume で記録した利用量を取り消す（エラーで終わったリクエスト用）
+  // 期間が切り替わっていれば期間内の利用量はそのままにする
+  function refund(entry, { requests, characters }, windowStart) {
+    if (entry.usage.window_start === windowStart) {
+      entry.usage.window_requests = Math.max(0, entry.usage.window_requests - requests);
+      entry.usage.window_characters = Math.max(0, entry.usage.window_characters - characters);
+    }
+    entry.usage.total_requests = Math.max(0, entry.usage.total_requests - requests);
+    entry.usage.total_characters = Math.max(0, entry.usage.total_characters - characters);
+    scheduleSave();
+  }
+
+  // /api/stats 用の利用状況
+  function usageSummary() {
+    return keys.map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      key_prefix: entry.key_prefix,
+      disabled: entry.disabled,
+      quotas: entry.quotas,
+      usage: currentUsage(entry)
+    }));
+  }
+
+  return {
+    create,
+    update,
+    remove,
+    list,
+    authenticate,
+    consume,
+    refund,
+    usageSummary,
+    // 未保存の利用量があれば書き出す（終了時用）
+    flush: () => {
+      if (saveTimer) save();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  createApiKeyStore
+};
@@ -0,0 +1,2509 @@
+const express = require('express');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const helmet = require('helmet');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { version: VERSION } = require('../package.json');
+const { STANDARD, defaultDialectRegistry, createDialectRegistry } = require('./dialects');
+const { createProvider } = require('./providers');
+const { createTranslationCache } = require('./cache');
+const { createApiKeyStore } = require('./api-keys');
+const { createGlossaryStore } = require('./glossary');
+const { createHistoryStore } = require('./history');
+const { MIN_EXAMPLE_RATING, createFeedbackStore } = require('./feedback');
+const { createJobManager } = require('./jobs');
+const { createRoomManager, formatTranscriptText } = require('./rooms');
+const {
+  describeProvider,
+  loadGoldenSet,
+  selectCases,
+  compareReports,
+  createEvaluationStore
+} = require('./evaluation');
+const { FORMATS: DOCUMENT_FORMATS, normalizeFormat, parseDocument } = require('./documents');
+const { buildExplanation, ExplanationSchemaError } = require('./explain');
+const { DEFAULT_PHONEME_ALPHABET, buildReading, ReadingSchemaError } = require('./reading');
+const {
+  UNKNOWN: UNKNOWN_DIALECT,
+  DetectionSchemaError,
+  splitSentences,
+  buildDetection
+} = require('./detect');
+const { registers, getRegisterName } = require('./registers');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, classifyProviderError, createMetricsRegistry } = require('./metrics');
+const { createLogger, requestContext } = require('./logger');
+const { createAdaptivePacer } = require('./resilience');
+const { ApiError, validationError, toApiError, errorBody: buildErrorBody, sendError: sendErrorResponse } = require('./errors');
+const { createOpenApiDocument, createOpenApiValidator, listEndpoints } = require('./openapi');
+
+const DEFAULT_KEEP_ALIVE_URL = 'https://yammering-nevsa-tisk0122-af0d41bb.koyeb.app'; // 固定URL
+
+// 九州方言翻訳API のアプリケーションを作成する
+// 作成しただけではタイマーやサーバーを起動しない（listen または start を呼ぶまで待つ）
+//   provider: 翻訳プロバイダー（既定は env の TRANSLATION_PROVIDER から作成）
+//   dialects: 対応方言の定義（createDialectRegistry の結果、または data/dialects.json と同じ形式の配列）
+//   rateLimit: IP単位のレート制限の設定（express-rate-limit のオプション。false で無効）
+//   logger: ロガー（既定は env の LOG_LEVEL / LOG_TEXT で作成したロガー）
+//   now: 現在時刻（ミリ秒）を返す関数。タイムスタンプ・ログ・アクティビティ・キャッシュのTTL・クォータの期間・ジョブの保存期間に使う
+//   env: 設定を読む環境変数（既定は process.env）
+//   keepAliveUrl: keep-alive の送り先（null で無効）
+// app・start・stop・listen・handleUpgrade を返す。app は他の Express アプリにマウントすることもできる
+// （会話ルームを使う場合は、自分で作成したサーバーの upgrade イベントに handleUpgrade を登録する）
+function createApp(options = {}) {
+  const env = options.env || process.env;
+  const now = options.now || Date.now;
+  const logger = options.logger || createLogger({
+    level: env.LOG_LEVEL,
+    text: env.LOG_TEXT,
+    now: () => new Date(now())
+  });
+
+  // エラー応答のタイムスタンプにも注入した時計を使う
+  const clock = { now };
+  const errorBody = (apiError, requestId) => buildErrorBody(apiError, requestId, clock);
+  const sendError = (res, error) => sendErrorResponse(res, error, clock);
+  const dialectRegistry = Array.isArray(options.dialects)
+    ? createDialectRegistry(options.dialects, 'options.dialects')
+    : options.dialects || defaultDialectRegistry;
+  const {
+    supportedDialects,
+    findDialect,
+    getDialectDetail,
+    getDialectTree,
+    getLanguageName,
+    isValidLanguageCode
+  } = dialectRegistry;
+
+  const app = express();
+
+  // メトリクス（/metrics で Prometheus 形式で出力）
+  const metrics = createMetricsRegistry();
+  const httpRequestsTotal = metrics.counter(
+    'dialectbridge_http_requests_total',
+    'HTTPリクエスト数（ルート・ステータス別）',
+    ['method', 'route', 'status']
+  );
+  const httpRequestDuration = metrics.histogram(
+    'dialectbridge_http_request_duration_seconds',
+    'HTTPリクエストの処理時間（秒）',
+    ['method', 'route']
+  );
+  const translationDuration = metrics.histogram(
+    'dialectbridge_translation_duration_seconds',
+    '翻訳の処理時間（秒、方言・翻訳方向別）',
+    ['dialect', 'direction', 'cached']
+  );
+  const providerErrorsTotal = metrics.counter(
+    'dialectbridge_provider_errors_total',
+    '翻訳プロバイダー（Gemini等）のエラー数（種類別）',
+    ['provider', 'operation', 'type']
+  );
+  const batchItemsTotal = metrics.counter(
+    'dialectbridge_batch_items_total',
+    'バッチ翻訳・ジョブ・文書翻訳の項目数（結果別）',
+    ['kind', 'result']
+  );
+  const inputCharactersTotal = metrics.counter(
+    'dialectbridge_input_characters_total',
+    '処理した入力テキストの文字数',
+    ['operation', 'dialect', 'direction']
+  );
+  metrics.gauge('process_resident_memory_bytes', '常駐メモリ（バイト）', () => [
+    { value: process.memoryUsage().rss }
+  ]);
+  metrics.gauge('nodejs_heap_used_bytes', '使用中のヒープ（バイト）', () => [
+    { value: process.memoryUsage().heapUsed }
+  ]);
+  metrics.gauge('process_uptime_seconds', 'プロセスの稼働時間（秒）', () => [
+    { value: Math.floor(process.uptime()) }
+  ]);
+  metrics.gauge('dialectbridge_translation_cache_entries', '翻訳キャッシュの件数', () => [
+    { value: translationCache.stats().size }
+  ]);
+  metrics.gauge('dialectbridge_jobs', 'ジョブ数（状態別）', () =>
+    Object.entries(jobManager.stats().by_status).map(([status, value]) => ({ labels: { status }, value }))
+  );
+
+  // メトリクス用のルート名（未定義のパスごとに系列が増えないよう、定義済みのルートにまとめる）
+  function resolveRouteLabel(req, res) {
+    if (req.route) {
+      return `${req.baseUrl}${req.route.path}`;
+    }
+    // 認証やレート制限でルートに届かなかったリクエストは、該当するはずのルートを探す
+    const layer = app._router.stack.find(l =>
+      l.route && l.route.methods[req.method.toLowerCase()] && l.match(req.path)
+    );
+    if (layer) {
+      return layer.route.path;
+    }
+    return res.statusCode === 404 || req.path.startsWith('/api/') ? 'unmatched' : 'static';
+  }
+
+  // 翻訳方向のラベル（方言同士の場合は翻訳先の方言）
+  function translationLabels(source, target) {
+    let direction = 'dialect_to_dialect';
+    if (source === STANDARD) direction = 'standard_to_dialect';
+    if (target === STANDARD) direction = 'dialect_to_standard';
+    return { dialect: target !== STANDARD ? target : source, direction };
+  }
+
+  app.use((req, res, next) => {
+    const startTime = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = resolveRouteLabel(req, res);
+      httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+      httpRequestDuration.observe(
+        { method: req.method, route },
+        Number(process.hrtime.bigint() - startTime) / 1e9
+      );
+    });
+    next();
+  });
+
+  // Keep-Alive設定用の変数（options.keepAliveUrl に null を指定すると keep-alive を行わない）
+  const keepAliveUrl = options.keepAliveUrl !== undefined ? options.keepAliveUrl : DEFAULT_KEEP_ALIVE_URL;
+  let keepAliveTimer = null;
+  let keepAliveInterval = null;
+  let lastActivityTime = now();
+  let activityCounter = 0;
+
+  // 受け取ったリクエストIDは、英数字と . _ - からなる128文字以下のものだけ引き継ぐ
+  const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+  // リクエストID付与とアクセスログ（アクティビティ追跡付き）
+  app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const startTime = now();
+    res.on('finish', () => {
+      // クエリ文字列にはユーザーのテキストが含まれうるためパスのみ記録する
+      logger.info('リクエスト完了', {
+        request_id: req.id,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        duration_ms: now() - startTime,
+        ip: req.ip
+      });
+    });
+
+    // アクティビティ更新（keep-aliveリクエストとメトリクス収集以外）
+    if (!req.url.includes('/api/keep-alive') && req.path !== '/metrics') {
+      lastActivityTime = now();
+      activityCounter++;
+    }
+
+    next();
+  });
+
+  // セキュリティ設定（CSPを緩和してインラインスタイル・スクリプトを許可）
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'", "'unsafe-inline'"],
+        imgSrc: ["'self'", "data:", "https:"],
+        fontSrc: ["'self'", "data:"],
+        connectSrc: ["'self'"]
+      }
+    }
+  }));
+
+  app.use(cors({
+    origin: true,
+    credentials: true,
+    exposedHeaders: ['X-Request-Id']
+  }));
+
+  app.use(express.json({ limit: '10mb' }));
+
+  // 以降の処理（翻訳プロバイダーの呼び出しを含む）のログにリクエストIDを付ける
+  app.use((req, res, next) => {
+    requestContext.run({ request_id: req.id }, next);
+  });
+
+  // 静的ファイル配信（publicディレクトリ）
+  app.use(express.static(path.join(__dirname, '..', 'public')));
+
+  // JavaScript クライアント（ダッシュボードやブラウザのアプリから /client/index.js で読み込む）
+  app.use('/client', express.static(path.join(__dirname, '..', 'client')));
+
+  // ルートページでindex.htmlを配信（修正版）
+  app.get('/', (req, res) => {
+    // Accept ヘッダーをチェックしてJSONが要求されているかどうかを判断
+    const acceptsJson = req.headers.accept && req.headers.accept.includes('application/json');
+
+    if (acceptsJson) {
+      // JSON レスポンスを返す
+      res.status(200).json({
+        message: '九州方言翻訳API',
+        version: VERSION,
+        status: 'running',
+        server_uptime: process.uptime(),
+        memory_usage: process.memoryUsage(),
+        keep_alive_status: {
+          enabled: !!keepAliveUrl,
+          url: keepAliveUrl,
+          last_activity: new Date(lastActivityTime).toISOString(),
+          activity_count: activityCounter,
+          minutes_since_last_activity: Math.floor((now() - lastActivityTime) / 60000)
+        },
+        timestamp: new Date(now()).toISOString(),
+        endpoints: endpointList,
+        documentation: 'README.mdを参照してください'
+      });
+    } else {
+      // HTML ファイルを配信
+      const indexPath = path.join(__dirname, '..', 'index.html');
+      res.sendFile(indexPath, (err) => {
+        if (err) {
+          logger.error('index.html配信エラー', { error: err });
+          sendError(res, new ApiError('INTERNAL_ERROR', 'ファイル配信エラー'));
+        }
+      });
+    }
+  });
+
+  // APIキーストア初期化
+  const apiKeyStore = createApiKeyStore({ file: env.API_KEYS_FILE, now, logger });
+  const apiKeysRequired = env.API_KEYS_REQUIRED === 'true';
+
+  // 認証不要のエンドポイント（/api/ からの相対パス）
+  const publicApiPaths = ['/keep-alive', '/health', '/openapi.json'];
+
+  // リクエストの利用量（バッチ・ジョブは1件ごとに数える）
+  function measureTextUsage(body) {
+    return {
+      requests: 1,
+      characters: body && typeof body.text === 'string' ? body.text.length : 0
+    };
+  }
+
+  function measureBatchUsage(body) {
+    const texts = body && Array.isArray(body.texts) ? body.texts : [];
+    return {
+      requests: Math.max(1, texts.length),
+      characters: texts.reduce((sum, t) => sum + (typeof t === 'string' ? t.length : 0), 0)
+    };
+  }
+
+  // 文書は翻訳対象の行ごとに数える（形式が判定できない文書は検証エラーになるため1件とする）
+  function measureDocumentUsage(body) {
+    const content = body && typeof body.content === 'string' ? body.content : '';
+    const format = body && normalizeFormat(body.format, body.filename);
+    if (!format) {
+      return { requests: 1, characters: content.length };
+    }
+
+    const { segments } = parseDocument(content, format, {
+      maxSegmentLength: TEXT_MAX_LENGTH,
+      preserveHeadings: body.preserve_headings !== false
+    });
+    return {
+      requests: Math.max(1, segments.length),
+      characters: segments.reduce((sum, segment) => sum + segment.length, 0)
+    };
+  }
+
+  // クォータを消費する翻訳リクエスト（POST の /api/ からの相対パスと利用量の数え方）
+  // 履歴・ジョブの参照などそれ以外のリクエストは、キーの認証のみ行いクォータを消費しない
+  const meteredApiPaths = {
+    '/translate': measureTextUsage,
+    '/translate/stream': measureTextUsage,
+    '/translate/detect': measureTextUsage,
+    '/translate/batch': measureBatchUsage,
+    '/translate/document': measureDocumentUsage,
+    '/jobs': measureBatchUsage
+  };
+
+  // APIキー認証とクォータ確認
+  // キー付きのリクエストはキーごとのクォータで管理し、IP単位のレート制限は適用しない
+  function authenticateApiKey(req, res, next) {
+    if (publicApiPaths.includes(req.path) || req.path.startsWith('/admin/')) {
+      return next();
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const providedKey = req.get('X-API-Key') ||
+      (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+
+    if (!providedKey) {
+      if (apiKeysRequired) {
+        return sendError(res, new ApiError('UNAUTHORIZED', 'APIキーが必要です（X-API-Key ヘッダーで指定してください）'));
+      }
+      return next();
+    }
+
+    const entry = apiKeyStore.authenticate(providedKey);
+    if (!entry) {
+      return sendError(res, new ApiError('UNAUTHORIZED', 'APIキーが無効です'));
+    }
+
+    if (entry.disabled) {
+      return sendError(res, new ApiError('FORBIDDEN', 'このAPIキーは無効化されています'));
+    }
+
+    const measure = req.method === 'POST' && meteredApiPaths[req.path];
+    if (!measure) {
+      req.apiKey = entry;
+      return next();
+    }
+
+    const usage = measure(req.body);
+    const quota = apiKeyStore.consume(entry, usage);
+    res.set({
+      'X-Quota-Remaining-Requests': String(quota.usage.remaining_requests),
+      'X-Quota-Remaining-Characters': String(quota.usage.remaining_characters),
+      'X-Quota-Reset': quota.usage.window_resets_at
+    });
+
+    if (!quota.allowed) {
+      return sendError(res, new ApiError('QUOTA_EXCEEDED', null, {
+        extra: {
+          exceeded: quota.exceeded,
+          quotas: entry.quotas,
+          usage: quota.usage
+        }
+      }));
+    }
+
+    // 入力の検証エラーや翻訳プロバイダーの障害などエラーで終わったリクエストは利用量に数えない
+    // （ストリーミング翻訳はステータス 200 のまま error イベントで終わるため、res.locals.translationFailed で判定する）
+    const windowStart = quota.usage.window_start;
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || res.locals.translationFailed) {
+        apiKeyStore.refund(entry, usage, windowStart);
+      }
+    });
+
+    req.apiKey = entry;
+    next();
+  }
+  app.use('/api/', authenticateApiKey);
+
+  // レート制限設定（keep-aliveエンドポイントとAPIキー付きリクエストを除外）
+  // options.rateLimit で windowMs・max などを上書きできる（false の場合は制限しない）
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15分
+    max: 100,
+    ...options.rateLimit,
+    handler: (req, res, next, options) => {
+      const resetTime = req.rateLimit && req.rateLimit.resetTime;
+      sendError(res, new ApiError('RATE_LIMITED', null, {
+        retryAfterMs: resetTime ? Math.max(1000, resetTime.getTime() - now()) : options.windowMs
+      }));
+    },
+    skip: (req) => {
+      // keep-aliveエンドポイントとAPIキー付きリクエストはレート制限から除外
+      // /api/ にマウントしているため req.path は /api/ からの相対パスになる
+      return req.path === '/keep-alive' || !!req.apiKey;
+    }
+  });
+  if (options.rateLimit !== false) {
+    app.use('/api/', limiter);
+  }
+
+  // 翻訳プロバイダーのエラーを種類別に数える
+  function instrumentProvider(provider) {
+    const instrumented = { ...provider };
+    ['translate', 'translateStream', 'translateCandidates', 'explain', 'reading', 'detect'].forEach(operation => {
+      if (typeof provider[operation] !== 'function') return;
+      instrumented[operation] = async (...args) => {
+        try {
+          return await provider[operation](...args);
+        } catch (error) {
+          providerErrorsTotal.inc({ provider: provider.name, operation, type: classifyProviderError(error) });
+          throw error;
+        }
+      };
+    });
+    return instrumented;
+  }
+
+  // 翻訳プロバイダー初期化（options.provider がなければ TRANSLATION_PROVIDER で選択）
+  const translationProvider = instrumentProvider(
+    options.provider || createProvider(env, { logger, dialects: dialectRegistry })
+  );
+
+  // 翻訳キャッシュ初期化（CACHE_SNAPSHOT_FILE 指定時は再起動後も保持）
+  const translationCache = createTranslationCache({
+    enabled: env.CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || 1000,
+    ttlMs: (parseInt(env.CACHE_TTL_SECONDS, 10) || 3600) * 1000,
+    snapshotFile: env.CACHE_SNAPSHOT_FILE,
+    now,
+    logger
+  });
+  translationCache.load();
+
+  // 用語集初期化
+  const glossaryStore = createGlossaryStore({ file: env.GLOSSARY_FILE, dialects: dialectRegistry, now, logger });
+
+  // 翻訳履歴初期化（HISTORY_ENABLED=false で記録しない）
+  const historyRetentionDays = parseInt(env.HISTORY_RETENTION_DAYS, 10);
+  const historyStore = createHistoryStore({
+    file: env.HISTORY_FILE,
+    enabled: env.HISTORY_ENABLED !== 'false',
+    retentionDays: Number.isNaN(historyRetentionDays) ? undefined : historyRetentionDays,
+    maxEntries: parseInt(env.HISTORY_MAX_ENTRIES, 10) || undefined,
+    dialects: dialectRegistry,
+    now,
+    logger
+  });
+
+  // 翻訳履歴への記録（リクエストのAPIキーごとに分けて保存する。記録した履歴のIDを返す）
+  // APIキーなしのリクエストは利用者を区別できないため記録しない
+  function recordHistory(req, type, fields) {
+    if (!req.apiKey) return null;
+    const entry = historyStore.record({
+      type,
+      ...fields,
+      apiKeyId: req.apiKey.id,
+      requestId: req.id
+    });
+    return entry ? entry.id : null;
+  }
+
+  // 翻訳へのフィードバック初期化（承認された修正訳を翻訳例として使う）
+  const feedbackExamples = parseInt(env.FEEDBACK_MAX_EXAMPLES, 10);
+  const feedbackStore = createFeedbackStore({
+    file: env.FEEDBACK_FILE,
+    maxExamples: Number.isNaN(feedbackExamples) ? undefined : feedbackExamples,
+    dialects: dialectRegistry,
+    now,
+    logger
+  });
+
+  // 評価レポートの保存先（ゴールデンセットは評価のたびに GOLDEN_SET_PATH から読み込む）
+  const evaluationStore = createEvaluationStore({ dir: env.EVALUATIONS_DIR, registry: dialectRegistry, logger });
+
+  // 文書翻訳の上限
+  const documentMaxChars = parseInt(env.DOCUMENT_MAX_CHARS, 10) || 200000;
+  const documentMaxSegments = parseInt(env.DOCUMENT_MAX_SEGMENTS, 10) || 2000;
+
+  // 非同期バッチジョブ初期化（未完了のジョブは start で再開）
+  const jobsMaxItems = parseInt(env.JOBS_MAX_ITEMS, 10) || 5000;
+  const jobRetentionDays = parseInt(env.JOBS_RETENTION_DAYS, 10);
+  const jobManager = createJobManager({
+    dir: env.JOBS_DIR,
+    concurrency: 5,
+    now,
+    logger,
+    retentionDays: Number.isNaN(jobRetentionDays) ? undefined : jobRetentionDays,
+    maxFinishedJobs: parseInt(env.JOBS_MAX_FINISHED, 10) || undefined,
+    allowPrivateWebhooks: env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true',
+    translate: async (text, source, target, register) => {
+      try {
+        const { translatedText } = await translateWithCache(text, source, target, { register });
+        batchItemsTotal.inc({ kind: 'job', result: 'success' });
+        return translatedText;
+      } catch (error) {
+        batchItemsTotal.inc({ kind: 'job', result: 'failure' });
+        throw error;
+      }
+    }
+  });
+
+  // 会話ルーム初期化（ルームと記録はメモリ上に保持する）
+  const roomContextTurns = parseInt(env.ROOMS_CONTEXT_TURNS, 10);
+  const roomManager = createRoomManager({
+    translate: async (text, source, target, { register, context }) =>
+      (await translateWithCache(text, source, target, { register, context })).translatedText,
+    contextTurns: Number.isNaN(roomContextTurns) ? undefined : roomContextTurns,
+    maxRooms: parseInt(env.ROOMS_MAX, 10) || undefined,
+    maxParticipants: parseInt(env.ROOMS_MAX_PARTICIPANTS, 10) || undefined,
+    idleTtlMs: (parseInt(env.ROOMS_IDLE_MINUTES, 10) || 60) * 60 * 1000,
+    dialects: dialectRegistry,
+    now,
+    logger
+  });
+
+  // 1件あたりのテキストの上限とバッチ翻訳の最大件数
+  const TEXT_MAX_LENGTH = 2000;
+  const BATCH_MAX_ITEMS = 20;
+
+  // OpenAPI 定義（リクエストの検証・/api/openapi.json・エンドポイント一覧の元になる）
+  const openApiDocument = createOpenApiDocument({
+    version: VERSION,
+    limits: {
+      textMaxLength: TEXT_MAX_LENGTH,
+      batchMaxItems: BATCH_MAX_ITEMS,
+      jobsMaxItems,
+      documentMaxChars
+    },
+    dialects: dialectRegistry
+  });
+  const endpointList = listEndpoints(openApiDocument);
+
+  // レスポンスの検証は既定で本番環境以外のみ（OPENAPI_VALIDATE_RESPONSES で切り替え）
+  app.use(createOpenApiValidator(openApiDocument, {
+    validateResponses: env.OPENAPI_VALIDATE_RESPONSES
+      ? env.OPENAPI_VALIDATE_RESPONSES === 'true'
+      : env.NODE_ENV !== 'production',
+    logger
+  }));
+
+  function isAdminRequest(req) {
+    return !!env.ADMIN_TOKEN && req.get('X-Admin-Token') === env.ADMIN_TOKEN;
+  }
+
+  // 管理者用エンドポイントの認証（X-Admin-Token ヘッダー）
+  function requireAdmin(req, res, next) {
+    if (!env.ADMIN_TOKEN) {
+      return sendError(res, new ApiError('NOT_CONFIGURED', 'ADMIN_TOKEN が設定されていないため管理機能は無効です'));
+    }
+
+    if (!isAdminRequest(req)) {
+      return sendError(res, new ApiError('UNAUTHORIZED', '管理者トークンが無効です'));
+    }
+
+    next();
+  }
+
+  // 翻訳キャッシュのキー（プロバイダー・モデル・プロンプト設定が変われば別エントリ）
+  function buildCacheKey(text, source, target, translationOptions) {
+    return translationCache.buildKey({
+      text,
+      source,
+      target,
+      settings: {
+        provider: translationProvider.name,
+        model: translationProvider.model,
+        temperature: translationProvider.temperature,
+        ...translationOptions
+      }
+    });
+  }
+
+  // キャッシュ・用語集・承認済みのフィードバックを利用した翻訳
+  // 翻訳例はキャッシュのキーに含まれるので、修正訳が承認されると以降の翻訳に反映される
+  // onChunk を指定し、プロバイダーがストリーミングに対応していれば途中結果を通知する
+  // n が2以上の場合は順位付きの候補（candidates）も返す（translatedText は1位の候補）
+  async function translateWithCache(text, source, target, { onChunk, register, n = 1, context } = {}) {
+    const startTime = process.hrtime.bigint();
+    const labels = translationLabels(source, target);
+    inputCharactersTotal.inc({ operation: 'translate', ...labels }, text.length);
+    const observeDuration = (cached) => translationDuration.observe(
+      { ...labels, cached },
+      Number(process.hrtime.bigint() - startTime) / 1e9
+    );
+
+    const glossaryTerms = glossaryStore.match(text, source, target);
+    const examples = feedbackStore.findExamples(text, source, target);
+    const translationOptions = {
+      glossary: glossaryTerms.map(t => ({ source_term: t.source_term, target_term: t.target_term })),
+      // 口調は指定された場合のみ渡す（未指定ならプロバイダーの既定の訳し方にする）
+      ...(register ? { register } : {}),
+      ...(examples.length > 0 ? { examples } : {}),
+      // 会話ルームの直前の発言（キャッシュのキーにも含まれる）
+      ...(context && context.length > 0 ? { context } : {})
+    };
+
+    if (n > 1) {
+      const key = buildCacheKey(text, source, target, { ...translationOptions, candidates: n });
+      let candidates = translationCache.get(key);
+      const cached = candidates !== undefined;
+
+      if (!cached) {
+        candidates = await translationProvider.translateCandidates(text, source, target, translationOptions, n);
+        translationCache.set(key, candidates);
+      }
+      observeDuration(cached);
+
+      return {
+        translatedText: candidates[0],
+        candidates: candidates.map((candidate, i) => ({
+          rank: i + 1,
+          translated_text: candidate,
+          glossary: glossaryStore.checkCompliance(candidate, glossaryTerms)
+        })),
+        cached,
+        glossary: glossaryStore.checkCompliance(candidates[0], glossaryTerms)
+      };
+    }
+
+    const key = buildCacheKey(text, source, target, translationOptions);
+
+    let translatedText = translationCache.get(key);
+    const cached = translatedText !== undefined;
+
+    if (!cached) {
+      if (onChunk && translationProvider.translateStream) {
+        translatedText = await translationProvider.translateStream(text, source, target, translationOptions, onChunk);
+      } else {
+        translatedText = await translationProvider.translate(text, source, target, translationOptions);
+      }
+      translationCache.set(key, translatedText);
+    }
+    observeDuration(cached);
+
+    return {
+      translatedText,
+      cached,
+      glossary: glossaryStore.checkCompliance(translatedText, glossaryTerms)
+    };
+  }
+
+  // 読み上げ用の読み（かな・ローマ字・SSML）
+  // 読みは訳文と言語だけで決まるため、プロバイダーの応答を翻訳キャッシュに入れる（形式が正しい場合のみ）
+  const phonemeAlphabet = env.SSML_PHONEME_ALPHABET || DEFAULT_PHONEME_ALPHABET;
+
+  async function readWithCache(text, language) {
+    if (typeof translationProvider.reading !== 'function') {
+      throw new ApiError('NOT_CONFIGURED', `翻訳プロバイダー（${translationProvider.name}）は読みの生成に対応していません`);
+    }
+
+    const key = buildCacheKey(text, language, language, { reading: true });
+    const cachedRaw = translationCache.get(key);
+    const raw = cachedRaw !== undefined ? cachedRaw : await translationProvider.reading(text, language);
+    const reading = buildReading({ text, raw, phonemeAlphabet });
+    if (cachedRaw === undefined) {
+      translationCache.set(key, raw);
+    }
+    return reading;
+  }
+
+  // Keep-Alive エンドポイント（軽量なレスポンス）
+  app.get('/api/keep-alive', (req, res) => {
+    const timestamp = now();
+    const uptime = process.uptime();
+
+    res.status(200).json({
+      status: 'alive',
+      timestamp: new Date(timestamp).toISOString(),
+      uptime_seconds: Math.floor(uptime),
+      uptime_formatted: formatUptime(uptime),
+      memory_mb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+      last_real_activity: new Date(lastActivityTime).toISOString(),
+      activity_count: activityCounter,
+      keep_alive_ping: true
+    });
+  });
+
+  // サーバー統計エンドポイント
+  app.get('/api/stats', (req, res) => {
+    const uptime = process.uptime();
+    const memUsage = process.memoryUsage();
+
+    res.json({
+      success: true,
+      server_stats: {
+        status: 'running',
+        uptime_seconds: Math.floor(uptime),
+        uptime_formatted: formatUptime(uptime),
+        memory_usage: {
+          rss_mb: Math.round(memUsage.rss / 1024 / 1024),
+          heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024),
+          heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024),
+          external_mb: Math.round(memUsage.external / 1024 / 1024)
+        },
+        activity: {
+          last_activity: new Date(lastActivityTime).toISOString(),
+          activity_count: activityCounter,
+          minutes_since_last_activity: Math.floor((now() - lastActivityTime) / 60000)
+        },
+        keep_alive: {
+          enabled: !!keepAliveUrl,
+          url: keepAliveUrl,
+          interval_active: !!keepAliveInterval
+        },
+        translation_cache: translationCache.stats(),
+        jobs: jobManager.stats(),
+        rooms: roomManager.stats(),
+        history: historyStore.stats(),
+        feedback: feedbackStore.stats(),
+        api_keys: {
+          required: apiKeysRequired,
+          // 管理者には全キー、APIキー利用者には自分のキーの利用状況のみ返す
+          usage: isAdminRequest(req)
+            ? apiKeyStore.usageSummary()
+            : apiKeyStore.usageSummary().filter(k => req.apiKey && k.id === req.apiKey.id)
+        },
+        environment: {
+          node_version: process.version,
+          platform: process.platform,
+          arch: process.arch,
+          is_production: env.NODE_ENV === 'production'
+        }
+      },
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // Prometheus 形式のメトリクス（METRICS_TOKEN 設定時は Bearer トークンが必要）
+  app.get('/metrics', (req, res) => {
+    if (env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${env.METRICS_TOKEN}`) {
+      return sendError(res, new ApiError('UNAUTHORIZED', 'メトリクスのトークンが無効です'));
+    }
+
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+  });
+
+  // ヘルスチェック（拡張版）
+  app.get('/api/health', (req, res) => {
+    logger.debug('ヘルスチェック実行');
+    const uptime = process.uptime();
+    const memUsage = process.memoryUsage();
+    // サーキットブレーカーが開いている間は翻訳できないため degraded とする
+    const circuitBreaker = translationProvider.circuitState ? translationProvider.circuitState() : null;
+
+    res.json({
+      status: circuitBreaker && circuitBreaker.state === 'open' ? 'degraded' : 'healthy',
+      timestamp: new Date(now()).toISOString(),
+      version: VERSION,
+      gemini_configured: !!env.GEMINI_API_KEY,
+      translation_provider: {
+        name: translationProvider.name,
+        model: translationProvider.model,
+        configured: translationProvider.isConfigured(),
+        circuit_breaker: circuitBreaker
+      },
+      supported_dialects_count: supportedDialects.length,
+      server_uptime: uptime,
+      uptime_formatted: formatUptime(uptime),
+      memory_usage: {
+        rss_mb: Math.round(memUsage.rss / 1024 / 1024),
+        heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024),
+        heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024)
+      },
+      keep_alive_active: !!keepAliveInterval,
+      last_activity: new Date(lastActivityTime).toISOString(),
+      activity_count: activityCounter
+    });
+  });
+
+  // 対応方言一覧（view=tree の場合は下位方言を入れ子にした階層で返す）
+  app.get('/api/dialects', (req, res) => {
+    logger.debug('方言一覧取得', { view: req.query.view || 'flat' });
+    res.json({
+      success: true,
+      dialects: req.query.view === 'tree' ? getDialectTree() : supportedDialects,
+      total_count: supportedDialects.length,
+      registers: registers.map(({ code, name }) => ({ code, name })),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 方言の詳細（地域・親子関係・特徴・例文）
+  app.get('/api/dialects/:code', (req, res) => {
+    const detail = getDialectDetail(req.params.code);
+    if (!detail) {
+      return sendError(res, new ApiError('NOT_FOUND', '対応していない方言コードです', {
+        extra: { supported_dialects: supportedDialects.map(d => d.code) }
+      }));
+    }
+
+    const parent = findDialect(detail.parent);
+    res.json({
+      success: true,
+      dialect: {
+        ...detail,
+        parent_name: parent ? parent.name : null,
+        sub_dialects: detail.sub_dialects.map(code => {
+          const { name, region } = findDialect(code);
+          return { code, name, region };
+        })
+      },
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // OpenAPI 定義（public/docs.html で閲覧できる）
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  // 翻訳キャッシュの削除（管理者用）
+  app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    const purged = translationCache.clear();
+    translationCache.save();
+    logger.info('翻訳キャッシュを削除しました', { count: purged });
+
+    res.json({
+      success: true,
+      purged_count: purged,
+      cache: translationCache.stats(),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // ゴールデンセットによる評価の開始（管理者用）
+  // provider / model / temperature を指定した場合は、その設定のプロバイダーを別に作って評価する
+  app.post('/api/admin/evaluations', requireAdmin, (req, res) => {
+    const { provider: providerName, model, temperature, dialects, directions, limit, detection = true, label } = req.body;
+
+    let goldenSet;
+    try {
+      goldenSet = loadGoldenSet(
+        env.GOLDEN_SET_PATH ? path.resolve(env.GOLDEN_SET_PATH) : undefined,
+        dialectRegistry
+      );
+    } catch (error) {
+      logger.error('ゴールデンセットの読み込みに失敗しました', { error });
+      return sendError(res, new ApiError('INTERNAL_ERROR', `ゴールデンセットを読み込めません: ${error.message}`));
+    }
+
+    const cases = selectCases(goldenSet.cases, { dialects, directions, limit }, dialectRegistry);
+    if (cases.length === 0) {
+      return sendError(res, validationError('dialects', '条件に一致するケースがありません'));
+    }
+
+    let provider = translationProvider;
+    if (providerName !== undefined || model !== undefined || temperature !== undefined) {
+      provider = createProvider({
+        ...env,
+        ...(providerName !== undefined ? { TRANSLATION_PROVIDER: providerName } : {}),
+        ...(model !== undefined ? { GEMINI_MODEL: model } : {}),
+        ...(temperature !== undefined ? { GEMINI_TEMPERATURE: String(temperature) } : {})
+      }, { logger, dialects: dialectRegistry });
+    }
+    if (!provider.isConfigured()) {
+      return sendError(res, new ApiError('NOT_CONFIGURED', `翻訳プロバイダー（${provider.name}）が設定されていません`));
+    }
+
+    const evaluation = evaluationStore.start({
+      provider,
+      goldenSet,
+      cases,
+      config: describeProvider(provider),
+      label,
+      detection
+    });
+
+    res.status(202).json({
+      success: true,
+      evaluation,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 評価の一覧（管理者用。新しい順、ケースごとの結果は含めない）
+  app.get('/api/admin/evaluations', requireAdmin, (req, res) => {
+    const evaluations = evaluationStore.list();
+    res.json({
+      success: true,
+      evaluations,
+      total_count: evaluations.length,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 評価レポート（管理者用。compare に別の評価のIDを指定すると、その評価を基準にした比較を付ける）
+  app.get('/api/admin/evaluations/:id', requireAdmin, (req, res) => {
+    const evaluation = evaluationStore.get(req.params.id);
+    if (!evaluation) {
+      return sendError(res, new ApiError('NOT_FOUND', '評価が見つかりません'));
+    }
+
+    let comparison;
+    if (req.query.compare) {
+      const baseline = evaluationStore.get(req.query.compare);
+      if (!baseline) {
+        return sendError(res, new ApiError('NOT_FOUND', '比較する評価が見つかりません'));
+      }
+      if (evaluation.status !== 'completed' || baseline.status !== 'completed') {
+        return sendError(res, new ApiError('CONFLICT', '比較できるのは完了した評価のみです'));
+      }
+      comparison = compareReports(baseline, evaluation);
+    }
+
+    res.json({
+      success: true,
+      evaluation,
+      ...(comparison ? { comparison } : {}),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // APIキー一覧（管理者用）
+  app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    const keys = apiKeyStore.list();
+    res.json({
+      success: true,
+      keys,
+      total_count: keys.length,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // APIキー発行（管理者用）
+  app.post('/api/admin/keys', requireAdmin, (req, res) => {
+    const { name, quotas } = req.body;
+
+    const { key, entry } = apiKeyStore.create({ name: name.trim(), quotas });
+    logger.info('APIキーを発行しました', { key_id: entry.id, name: entry.name, key_prefix: entry.key_prefix });
+
+    res.status(201).json({
+      success: true,
+      // 平文のキーはこのレスポンスでのみ返す
+      api_key: key,
+      key: entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // APIキー更新（管理者用）
+  app.patch('/api/admin/keys/:id', requireAdmin, (req, res) => {
+    const { name, quotas, disabled } = req.body;
+
+    const entry = apiKeyStore.update(req.params.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      quotas,
+      disabled
+    });
+    if (!entry) {
+      return sendError(res, new ApiError('NOT_FOUND', 'APIキーが見つかりません'));
+    }
+
+    res.json({
+      success: true,
+      key: entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // APIキー削除（管理者用）
+  app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+    if (!apiKeyStore.remove(req.params.id)) {
+      return sendError(res, new ApiError('NOT_FOUND', 'APIキーが見つかりません'));
+    }
+
+    res.json({
+      success: true,
+      deleted_id: req.params.id,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 用語集の方言コード確認
+  function requireGlossaryDialect(req, res, next) {
+    if (!supportedDialects.find(d => d.code === req.params.dialect)) {
+      return sendError(res, new ApiError('NOT_FOUND', '対応していない方言コードです', {
+        extra: { supported_dialects: supportedDialects.map(d => d.code) }
+      }));
+    }
+    next();
+  }
+
+  // 用語集一覧
+  app.get('/api/glossaries/:dialect', requireGlossaryDialect, (req, res) => {
+    const entries = glossaryStore.list(req.params.dialect);
+    res.json({
+      success: true,
+      dialect_code: req.params.dialect,
+      dialect_name: getLanguageName(req.params.dialect),
+      entries,
+      total_count: entries.length,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 用語登録（管理者用）
+  app.post('/api/glossaries/:dialect', requireAdmin, requireGlossaryDialect, (req, res) => {
+    const { standard, dialect, note } = req.body;
+
+    const entry = glossaryStore.add(req.params.dialect, { standard, dialect, note });
+    res.status(201).json({
+      success: true,
+      entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 用語更新（管理者用）
+  app.put('/api/glossaries/:dialect/:id', requireAdmin, requireGlossaryDialect, (req, res) => {
+    const { standard, dialect, note } = req.body;
+
+    const entry = glossaryStore.update(req.params.dialect, req.params.id, { standard, dialect, note });
+    if (!entry) {
+      return sendError(res, new ApiError('NOT_FOUND', '用語が見つかりません'));
+    }
+
+    res.json({
+      success: true,
+      entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 用語削除（管理者用）
+  app.delete('/api/glossaries/:dialect/:id', requireAdmin, requireGlossaryDialect, (req, res) => {
+    if (!glossaryStore.remove(req.params.dialect, req.params.id)) {
+      return sendError(res, new ApiError('NOT_FOUND', '用語が見つかりません'));
+    }
+
+    res.json({
+      success: true,
+      deleted_id: req.params.id,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 翻訳元・翻訳先の解決
+  // source_dialect/target_dialect（'standard' または方言コード）を優先し、
+  // 指定がない場合は従来の from/to/dialect から組み立てる
+  // 各項目の値は OpenAPI 定義で検証済みのため、ここでは項目の組み合わせだけを確認する
+  function resolveLanguagePair(body) {
+    const { from, to, dialect, source_dialect, target_dialect } = body;
+
+    if (source_dialect !== undefined || target_dialect !== undefined) {
+      const missing = ['source_dialect', 'target_dialect'].find(field => body[field] === undefined);
+      if (missing) {
+        return { error: validationError(missing, 'source_dialectとtarget_dialectは両方指定する必要があります') };
+      }
+
+      if (source_dialect === target_dialect) {
+        return { error: validationError('target_dialect', '翻訳元と翻訳先が同じです') };
+      }
+
+      return { source: source_dialect, target: target_dialect };
+    }
+
+    const missing = ['from', 'to', 'dialect'].find(field => body[field] === undefined);
+    if (missing) {
+      return {
+        error: validationError(missing, `${missing}が必要です（またはsource_dialectとtarget_dialectを指定してください）`, {
+          supported_dialects: supportedDialects.map(d => d.code)
+        })
+      };
+    }
+
+    if (from === to) {
+      return { error: validationError('to', '翻訳元と翻訳先が同じです') };
+    }
+
+    return {
+      source: from === 'standard' ? STANDARD : dialect,
+      target: to === 'standard' ? STANDARD : dialect
+    };
+  }
+
+  // 翻訳方向とレジスター（口調）の解決
+  function resolveTranslationPair(body) {
+    const pair = resolveLanguagePair(body);
+    return pair.error ? pair : { ...pair, register: body.register };
+  }
+
+  // 候補の件数（重複の除去やプロバイダーの制限で n より少なくなることがある）
+  function describeCandidateCount(candidates, n) {
+    return { candidate_count: candidates.length, requested_candidate_count: n };
+  }
+
+  // レスポンス用の翻訳方向情報（register を指定しなかった場合は口調を指示していないため null）
+  function describeTranslationPair({ source, target, register }) {
+    // 従来のdialect_codeには方言側（方言同士の場合は翻訳先）を設定する
+    const dialectCode = target !== STANDARD ? target : source;
+
+    return {
+      from_type: source === STANDARD ? 'standard' : 'dialect',
+      to_type: target === STANDARD ? 'standard' : 'dialect',
+      dialect_code: dialectCode,
+      dialect_name: getLanguageName(dialectCode),
+      source_dialect: source,
+      source_dialect_name: getLanguageName(source),
+      target_dialect: target,
+      target_dialect_name: getLanguageName(target),
+      register: register || null,
+      register_name: register ? getRegisterName(register) : null
+    };
+  }
+
+  // 翻訳エンドポイント
+  app.post('/api/translate', async (req, res) => {
+    logger.info('翻訳リクエスト受信', { text: logger.redact(req.body.text) });
+
+    try {
+      const { text, n = 1, explain = false, reading = false } = req.body;
+
+      const pair = resolveTranslationPair(req.body);
+      if (pair.error) {
+        return sendError(res, pair.error);
+      }
+
+      // 翻訳実行
+      const startTime = now();
+      const { translatedText, candidates, cached, glossary } = await translateWithCache(text, pair.source, pair.target, {
+        register: pair.register,
+        n
+      });
+
+      // 解説はキャッシュせず毎回生成する
+      let explanation;
+      if (explain) {
+        const raw = await translationProvider.explain(text, translatedText, pair.source, pair.target);
+        explanation = buildExplanation({ text, translatedText, source: pair.source, target: pair.target, raw });
+      }
+      // 読みは訳文（候補がある場合は1番目）に付ける
+      const translationReading = reading ? await readWithCache(translatedText, pair.target) : null;
+      const processingTime = now() - startTime;
+
+      logger.info('翻訳完了', {
+        source: pair.source,
+        target: pair.target,
+        translated: logger.redact(translatedText),
+        cached,
+        processing_time_ms: processingTime
+      });
+      const historyId = recordHistory(req, 'translate', {
+        originalText: text,
+        translatedText,
+        source: pair.source,
+        target: pair.target,
+        register: pair.register
+      });
+
+      res.json({
+        success: true,
+        data: {
+          original_text: text,
+          translated_text: translatedText,
+          ...describeTranslationPair(pair),
+          cached,
+          glossary,
+          ...(candidates ? { candidates, ...describeCandidateCount(candidates, n) } : {}),
+          ...(explanation ? { explanation } : {}),
+          ...(translationReading ? { reading: translationReading } : {}),
+          history_id: historyId,
+          processing_time_ms: processingTime,
+          timestamp: new Date(now()).toISOString()
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof ExplanationSchemaError) {
+        logger.warn('解説の形式エラー', { details: error.details });
+      } else if (error instanceof ReadingSchemaError) {
+        logger.warn('読みの形式エラー', { details: error.details });
+      } else {
+        logger.error('翻訳エラー', { error });
+      }
+      sendError(res, error);
+    }
+  });
+
+  // Server-Sent Events の送信
+  function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // ストリーミング翻訳エンドポイント（Server-Sent Events）
+  app.post('/api/translate/stream', async (req, res) => {
+    logger.info('ストリーミング翻訳リクエスト受信', { text: logger.redact(req.body.text) });
+
+    const { text } = req.body;
+
+    // ストリーム開始前は通常のJSONでエラーを返す
+    const pair = resolveTranslationPair(req.body);
+    if (pair.error) {
+      return sendError(res, pair.error);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let clientClosed = false;
+    res.on('close', () => {
+      clientClosed = true;
+    });
+
+    const startTime = now();
+    let sentText = '';
+
+    // 途中結果全体を受け取り、差分と現在の全文を送る
+    const onChunk = (partialText) => {
+      if (clientClosed || partialText === sentText) return;
+      const delta = partialText.startsWith(sentText) ? partialText.slice(sentText.length) : partialText;
+      sendEvent(res, 'delta', { delta, text: partialText });
+      sentText = partialText;
+    };
+
+    try {
+      sendEvent(res, 'start', describeTranslationPair(pair));
+
+      const { translatedText, cached, glossary } = await translateWithCache(text, pair.source, pair.target, {
+        onChunk,
+        register: pair.register
+      });
+      // ストリーミング非対応のプロバイダーやキャッシュの場合は結果をまとめて送る
+      onChunk(translatedText);
+
+      const processingTime = now() - startTime;
+      logger.info('ストリーミング翻訳完了', {
+        source: pair.source,
+        target: pair.target,
+        translated: logger.redact(translatedText),
+        cached,
+        processing_time_ms: processingTime
+      });
+      const historyId = recordHistory(req, 'translate', {
+        originalText: text,
+        translatedText,
+        source: pair.source,
+        target: pair.target,
+        register: pair.register
+      });
+
+      if (!clientClosed) {
+        sendEvent(res, 'done', {
+          original_text: text,
+          translated_text: translatedText,
+          ...describeTranslationPair(pair),
+          cached,
+          glossary,
+          history_id: historyId,
+          processing_time_ms: processingTime,
+          timestamp: new Date(now()).toISOString()
+        });
+      }
+
+    } catch (error) {
+      logger.error('ストリーミング翻訳エラー', { error });
+      res.locals.translationFailed = true;
+      if (!clientClosed) {
+        sendEvent(res, 'error', errorBody(toApiError(error), req.id));
+      }
+    } finally {
+      res.end();
+    }
+  });
+
+  // バッチ翻訳エンドポイント
+  app.post('/api/translate/batch', async (req, res) => {
+    logger.info('バッチ翻訳リクエスト受信', { count: req.body.texts.length });
+
+    try {
+      const { texts, n = 1, reading = false } = req.body;
+
+      const pair = resolveTranslationPair(req.body);
+      if (pair.error) {
+        return sendError(res, pair.error);
+      }
+
+      const startTime = now();
+
+      // 並列処理で翻訳（但し同時実行数を制限）
+      const batchSize = 5; // 同時実行数を制限
+      const results = [];
+      // 外部APIのレート制限・タイムアウトに応じてチャンク間の待ち時間を調整
+      const pacer = createAdaptivePacer();
+
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const batch = texts.slice(i, i + batchSize);
+        const chunkErrors = [];
+        const batchPromises = batch.map(async (text, batchIndex) => {
+          const originalIndex = i + batchIndex;
+          try {
+            const { translatedText, candidates, cached, glossary } = await translateWithCache(text, pair.source, pair.target, {
+              register: pair.register,
+              n
+            });
+            batchItemsTotal.inc({ kind: 'batch', result: 'success' });
+
+            // 読みの生成に失敗しても翻訳の結果は返す（reading_error に理由を入れる）
+            let itemReading = null;
+            let readingError = null;
+            if (reading) {
+              try {
+                itemReading = await readWithCache(translatedText, pair.target);
+              } catch (error) {
+                logger.warn('バッチ翻訳の項目で読みの生成に失敗', { index: originalIndex, error: error.message });
+                chunkErrors.push(error);
+                const apiError = toApiError(error);
+                readingError = { code: apiError.code, error: apiError.message };
+              }
+            }
+
+            return {
+              index: originalIndex,
+              original: text,
+              translated: translatedText,
+              success: true,
+              cached,
+              glossary,
+              ...(candidates ? { candidates, ...describeCandidateCount(candidates, n) } : {}),
+              ...(itemReading ? { reading: itemReading } : {}),
+              ...(readingError ? { reading_error: readingError } : {})
+            };
+          } catch (error) {
+            logger.warn('バッチ翻訳の項目でエラー', { index: originalIndex, error: error.message });
+            batchItemsTotal.inc({ kind: 'batch', result: 'failure' });
+            chunkErrors.push(error);
+            const apiError = toApiError(error);
+            return {
+              index: originalIndex,
+              original: text,
+              translated: null,
+              success: false,
+              code: apiError.code,
+              error: apiError.message
+            };
+          }
+        });
+
+        const batchResults = await Promise.all(batchPromises);
+        results.push(...batchResults);
+
+        pacer.update(chunkErrors);
+        if (i + batchSize < texts.length) {
+          await pacer.pause();
+        }
+      }
+
+      // インデックス順にソート
+      results.sort((a, b) => a.index - b.index);
+
+      const processingTime = now() - startTime;
+      const successCount = results.filter(r => r.success).length;
+
+      logger.info('バッチ翻訳完了', {
+        total_count: texts.length,
+        success_count: successCount,
+        processing_time_ms: processingTime
+      });
+      results.filter(r => r.success).forEach(r => recordHistory(req, 'batch', {
+        originalText: r.original,
+        translatedText: r.translated,
+        source: pair.source,
+        target: pair.target,
+        register: pair.register
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          results: results,
+          ...describeTranslationPair(pair),
+          processing_time_ms: processingTime,
+          total_count: texts.length,
+          success_count: successCount,
+          error_count: texts.length - successCount,
+          cached_count: results.filter(r => r.cached).length,
+          timestamp: new Date(now()).toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('バッチ翻訳エラー', { error });
+      sendError(res, error);
+    }
+  });
+
+  // ジョブの取得（APIキーで作成したジョブは同じキーか管理者のみ参照可能）
+  function findJob(req, res) {
+    const job = jobManager.get(req.params.id);
+    const ownerMismatch = job && job.api_key_id &&
+      !(req.apiKey && req.apiKey.id === job.api_key_id) && !isAdminRequest(req);
+
+    if (!job || ownerMismatch) {
+      sendError(res, new ApiError('NOT_FOUND', 'ジョブが見つかりません'));
+      return null;
+    }
+    return job;
+  }
+
+  // 文書翻訳エンドポイント（SRT / WebVTT / Markdown の構造を保ったまま翻訳し、同じ形式で返す）
+  app.post('/api/translate/document', async (req, res) => {
+    const { content, format, filename, preserve_headings } = req.body;
+    logger.info('文書翻訳リクエスト受信', { format, length: content.length });
+
+    try {
+      const documentFormat = normalizeFormat(format, filename);
+      if (!documentFormat) {
+        return sendError(res, validationError(
+          'format',
+          'formatは "srt"、"vtt"、"markdown" のいずれかである必要があります（filenameの拡張子からも判定します）'
+        ));
+      }
+
+      const pair = resolveTranslationPair(req.body);
+      if (pair.error) {
+        return sendError(res, pair.error);
+      }
+
+      const parsed = parseDocument(content, documentFormat, {
+        maxSegmentLength: TEXT_MAX_LENGTH,
+        preserveHeadings: preserve_headings !== false
+      });
+
+      if (parsed.segments.length > documentMaxSegments) {
+        return sendError(res, validationError(
+          'content',
+          `翻訳対象の行が多すぎます（${parsed.segments.length}件、上限${documentMaxSegments}件）`
+        ));
+      }
+
+      const startTime = now();
+
+      // 同じ文は1回だけ翻訳する
+      const uniqueSegments = [...new Set(parsed.segments)];
+      const translatedByText = new Map();
+      let lastError = null;
+      let errorCount = 0;
+      const batchSize = 5;
+      const pacer = createAdaptivePacer();
+
+      for (let i = 0; i < uniqueSegments.length; i += batchSize) {
+        const chunkErrors = [];
+        await Promise.all(uniqueSegments.slice(i, i + batchSize).map(async (segment) => {
+          try {
+            const { translatedText } = await translateWithCache(segment, pair.source, pair.target, { register: pair.register });
+            translatedByText.set(segment, translatedText);
+            batchItemsTotal.inc({ kind: 'document', result: 'success' });
+          } catch (error) {
+            logger.warn('文書翻訳の行でエラー', { error: error.message });
+            batchItemsTotal.inc({ kind: 'document', result: 'failure' });
+            chunkErrors.push(error);
+            lastError = error;
+            errorCount++;
+          }
+        }));
+
+        pacer.update(chunkErrors);
+        if (i + batchSize < uniqueSegments.length) {
+          await pacer.pause();
+        }
+      }
+
+      // すべて失敗した場合は最後のエラーの種類（レート制限など）を返す
+      if (uniqueSegments.length > 0 && errorCount === uniqueSegments.length) {
+        throw lastError.type ? lastError : new Error('すべての行の翻訳に失敗しました');
+      }
+
+      const { content: translatedContent, fallbackSegments } = parsed.render(
+        parsed.segments.map(segment => translatedByText.get(segment))
+      );
+      const processingTime = now() - startTime;
+
+      logger.info('文書翻訳完了', {
+        format: documentFormat,
+        segment_count: parsed.segments.length,
+        untranslated_count: fallbackSegments.length,
+        processing_time_ms: processingTime
+      });
+
+      const { extension, contentType } = DOCUMENT_FORMATS[documentFormat];
+      const baseName = filename ? String(filename).replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') : 'document';
+
+      res.set({
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'X-Segment-Count': String(parsed.segments.length),
+        // 翻訳に失敗した・目印が失われたため原文のまま残した行の数
+        'X-Untranslated-Segment-Count': String(fallbackSegments.length),
+        'X-Processing-Time-Ms': String(processingTime)
+      });
+      res.attachment(`${baseName}.${pair.target}.${extension}`);
+      res.send(translatedContent);
+
+    } catch (error) {
+      logger.error('文書翻訳エラー', { error });
+      sendError(res, error);
+    }
+  });
+
+  // 非同期バッチジョブの登録
+  // 1回のリクエストで大量の翻訳を登録できるため、APIキー付きのリクエストに限り、件数だけクォータを消費する
+  // Webhook はサーバーから任意のURLへ送信するため、外部のアドレスにのみ許可する
+  app.post('/api/jobs', async (req, res) => {
+    const { texts, webhook_url } = req.body;
+    logger.info('ジョブ登録リクエスト受信', { count: texts.length, webhook: !!webhook_url });
+
+    if (!req.apiKey) {
+      return sendError(res, new ApiError('UNAUTHORIZED', 'ジョブの登録にはAPIキーが必要です'));
+    }
+
+    const pair = resolveTranslationPair(req.body);
+    if (pair.error) {
+      return sendError(res, pair.error);
+    }
+
+    if (webhook_url) {
+      const webhookError = await jobManager.verifyWebhookUrl(webhook_url);
+      if (webhookError) {
+        return sendError(res, validationError('webhook_url', webhookError));
+      }
+    }
+
+    const job = jobManager.create({
+      texts,
+      source: pair.source,
+      target: pair.target,
+      register: pair.register,
+      webhookUrl: webhook_url,
+      apiKeyId: req.apiKey.id
+    });
+    logger.info('ジョブを登録しました', { job_id: job.id, count: texts.length });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        ...jobManager.summarize(job),
+        ...describeTranslationPair(pair)
+      },
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // ジョブの進捗と途中結果
+  app.get('/api/jobs/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+    res.json({
+      success: true,
+      data: {
+        ...jobManager.summarize(job),
+        ...describeTranslationPair(job),
+        results: jobManager.results(job, { offset, limit }),
+        offset,
+        limit
+      },
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // ジョブのキャンセル
+  app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    if (!jobManager.cancel(job)) {
+      return sendError(res, new ApiError('CONFLICT', `このジョブはキャンセルできません（状態: ${job.status}）`));
+    }
+
+    res.json({
+      success: true,
+      data: jobManager.summarize(job),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 失敗した項目の再実行
+  app.post('/api/jobs/:id/retry', (req, res) => {
+    if (!req.apiKey) {
+      return sendError(res, new ApiError('UNAUTHORIZED', 'ジョブの再実行にはAPIキーが必要です'));
+    }
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const retried = jobManager.retryFailed(job);
+    if (retried === 0) {
+      return sendError(res, new ApiError('CONFLICT', `再実行できる項目がありません（状態: ${job.status}）`));
+    }
+
+    res.status(202).json({
+      success: true,
+      retried_count: retried,
+      data: jobManager.summarize(job),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // TSVの値（タブ・改行は空白にする）
+  function escapeTsv(value) {
+    return (value === null || value === undefined ? '' : String(value)).replace(/[\t\r\n]+/g, ' ');
+  }
+
+  // ジョブ結果のダウンロード（format: json / jsonl / tsv）
+  app.get('/api/jobs/:id/results', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const format = req.query.format || 'json';
+    const results = jobManager.results(job);
+
+    if (format === 'jsonl') {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.attachment(`job-${job.id}.jsonl`);
+      return res.send(results.map(r => JSON.stringify(r)).join('\n') + '\n');
+    }
+
+    if (format === 'tsv') {
+      const lines = ['index\tstatus\toriginal\ttranslated\terror'].concat(
+        results.map(r => [r.index, r.status, r.original, r.translated, r.error].map(escapeTsv).join('\t'))
+      );
+      res.set('Content-Type', 'text/tab-separated-values; charset=utf-8');
+      res.attachment(`job-${job.id}.tsv`);
+      return res.send(lines.join('\n') + '\n');
+    }
+
+    res.attachment(`job-${job.id}.json`);
+    res.json({
+      success: true,
+      data: {
+        ...jobManager.summarize(job),
+        ...describeTranslationPair(job),
+        results
+      },
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 判定結果に基づく標準語訳
+  // プロバイダーが判定と同時に翻訳していればそれを使い、なければ判定した方言から翻訳する
+  // 文ごとの判定がある場合は文ごとにその方言から翻訳し、判定できなかった文はそのまま残す
+  async function translateDetected(text, raw, detection) {
+    if (raw.translated_text) return raw.translated_text;
+
+    if (!detection.segments) {
+      return detection.detected_dialect === UNKNOWN_DIALECT
+        ? text
+        : translationProvider.translate(text, detection.detected_dialect, STANDARD);
+    }
+
+    const chars = Array.from(text);
+    const parts = [];
+    let cursor = 0;
+    for (const segment of detection.segments) {
+      parts.push(chars.slice(cursor, segment.offsets.start).join(''));
+      parts.push(segment.detected_dialect === UNKNOWN_DIALECT
+        ? segment.text
+        : await translationProvider.translate(segment.text, segment.detected_dialect, STANDARD));
+      cursor = segment.offsets.end;
+    }
+    parts.push(chars.slice(cursor).join(''));
+    return parts.join('');
+  }
+
+  // 方言自動判定翻訳エンドポイント
+  // segments: true で文ごとに判定し、translate: false で判定のみ行う（標準語訳を返さない）
+  app.post('/api/translate/detect', async (req, res) => {
+    logger.info('方言自動判定翻訳リクエスト受信', { text: logger.redact(req.body.text) });
+
+    try {
+      const { text, translate = true, segments = false } = req.body;
+
+      // 方言判定と翻訳実行
+      const startTime = now();
+      inputCharactersTotal.inc({ operation: 'detect', dialect: 'auto', direction: 'dialect_to_standard' }, text.length);
+      const sentences = segments ? splitSentences(text) : null;
+      const raw = await translationProvider.detect(text, {
+        segments: sentences ? sentences.map(s => s.text) : undefined,
+        translate
+      });
+      const detection = buildDetection({ text, raw, sentences, dialects: dialectRegistry });
+      const translatedText = translate ? await translateDetected(text, raw, detection) : undefined;
+      const processingTime = now() - startTime;
+
+      logger.info('方言自動判定翻訳完了', {
+        detected: detection.detected_dialect,
+        confidence: detection.confidence,
+        segment_count: sentences ? sentences.length : undefined,
+        mixed: detection.mixed,
+        translated: translate ? logger.redact(translatedText) : undefined,
+        processing_time_ms: processingTime
+      });
+      // 判定のみの場合は訳文なしで記録する
+      recordHistory(req, 'detect', {
+        originalText: text,
+        translatedText: translate ? translatedText : null,
+        source: detection.detected_dialect,
+        target: translate ? STANDARD : null,
+        detectedDialect: detection.detected_dialect
+      });
+
+      res.json({
+        success: true,
+        data: {
+          original_text: text,
+          ...(translate ? { translated_text: translatedText } : {}),
+          ...detection,
+          processing_time_ms: processingTime,
+          timestamp: new Date(now()).toISOString()
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof DetectionSchemaError) {
+        logger.warn('方言判定の形式エラー', { details: error.details });
+      } else {
+        logger.error('方言自動判定翻訳エラー', { error });
+      }
+      sendError(res, error);
+    }
+  });
+
+  // 翻訳履歴（HISTORY_ENABLED=false の場合は利用できない。APIキーまたは管理者トークンが必要）
+  function requireHistory(req, res, next) {
+    if (!historyStore.enabled) {
+      return sendError(res, new ApiError('NOT_CONFIGURED', '翻訳履歴は無効になっています'));
+    }
+    if (!req.apiKey && !isAdminRequest(req)) {
+      return sendError(res, new ApiError('UNAUTHORIZED', '翻訳履歴を利用するにはAPIキーが必要です'));
+    }
+    next();
+  }
+
+  // 履歴の検索条件（管理者はすべての履歴、それ以外はリクエストのAPIキーの履歴のみ）
+  function historyFilters(req) {
+    const { q, dialect, type, favorite } = req.query;
+    return {
+      apiKeyId: isAdminRequest(req) ? undefined : req.apiKey.id,
+      q,
+      dialect,
+      type,
+      favorite: favorite === undefined ? undefined : favorite === 'true'
+    };
+  }
+
+  // リクエストのAPIキーの履歴か（他のAPIキーの履歴は管理者のみ参照可能）
+  function canAccessHistory(req, entry) {
+    return isAdminRequest(req) || (!!req.apiKey && entry.api_key_id === req.apiKey.id);
+  }
+
+  // 履歴の取得
+  function findHistoryEntry(req, res) {
+    const entry = historyStore.get(req.params.id);
+
+    if (!entry || !canAccessHistory(req, entry)) {
+      sendError(res, new ApiError('NOT_FOUND', '履歴が見つかりません'));
+      return null;
+    }
+    return entry;
+  }
+
+  // 履歴一覧・検索（新しい順。q: 原文・訳文の部分一致、dialect: 下位方言を含む）
+  app.get('/api/history', requireHistory, (req, res) => {
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const entries = historyStore.search(historyFilters(req));
+
+    res.json({
+      success: true,
+      entries: entries.slice(offset, offset + limit),
+      total_count: entries.length,
+      offset,
+      limit,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 履歴のエクスポート（format: json / jsonl / tsv。検索条件は一覧と同じ）
+  app.get('/api/history/export', requireHistory, (req, res) => {
+    const format = req.query.format || 'json';
+    const entries = historyStore.search(historyFilters(req));
+
+    if (format === 'jsonl') {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.attachment('history.jsonl');
+      return res.send(entries.map(e => JSON.stringify(e)).join('\n') + (entries.length > 0 ? '\n' : ''));
+    }
+
+    if (format === 'tsv') {
+      const columns = ['created_at', 'type', 'source_dialect', 'target_dialect', 'register', 'favorite', 'original_text', 'translated_text'];
+      const lines = [columns.join('\t')].concat(entries.map(e => columns.map(column => escapeTsv(e[column])).join('\t')));
+      res.set('Content-Type', 'text/tab-separated-values; charset=utf-8');
+      res.attachment('history.tsv');
+      return res.send(lines.join('\n') + '\n');
+    }
+
+    res.attachment('history.json');
+    res.json({
+      success: true,
+      entries,
+      total_count: entries.length,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 履歴の詳細
+  app.get('/api/history/:id', requireHistory, (req, res) => {
+    const entry = findHistoryEntry(req, res);
+    if (!entry) return;
+
+    res.json({
+      success: true,
+      entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // お気に入りの設定・解除（お気に入りは保存期間を過ぎても削除しない）
+  app.patch('/api/history/:id', requireHistory, (req, res) => {
+    const entry = findHistoryEntry(req, res);
+    if (!entry) return;
+
+    res.json({
+      success: true,
+      entry: historyStore.setFavorite(entry.id, req.body.favorite),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 履歴の削除
+  app.delete('/api/history/:id', requireHistory, (req, res) => {
+    const entry = findHistoryEntry(req, res);
+    if (!entry) return;
+
+    historyStore.remove(entry.id);
+    res.json({
+      success: true,
+      deleted_id: entry.id,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 履歴の一括削除（検索条件は一覧と同じ。favorite を指定しない場合はお気に入りを残す）
+  app.delete('/api/history', requireHistory, (req, res) => {
+    const filters = historyFilters(req);
+    const deleted = historyStore.removeMatching({
+      ...filters,
+      favorite: filters.favorite === undefined ? false : filters.favorite
+    });
+    logger.info('翻訳履歴を削除しました', { count: deleted });
+
+    res.json({
+      success: true,
+      deleted_count: deleted,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // フィードバックの対象となる翻訳（history_id で履歴を指定するか、原文・訳文・翻訳方向を直接指定する）
+  function resolveFeedbackSubject(req) {
+    const { history_id: historyId } = req.body;
+
+    if (historyId !== undefined) {
+      const entry = historyStore.get(historyId);
+      if (!entry || !canAccessHistory(req, entry)) {
+        return { error: new ApiError('NOT_FOUND', '履歴が見つかりません') };
+      }
+      if (entry.type === 'detect') {
+        return { error: validationError('history_id', '方言判定の履歴にはフィードバックできません') };
+      }
+      return {
+        originalText: entry.original_text,
+        translatedText: entry.translated_text,
+        source: entry.source_dialect,
+        target: entry.target_dialect,
+        register: entry.register,
+        historyId
+      };
+    }
+
+    const missing = ['original_text', 'translated_text'].find(field => req.body[field] === undefined);
+    if (missing) {
+      return { error: validationError(missing, `${missing}が必要です（またはhistory_idを指定してください）`) };
+    }
+
+    const pair = resolveTranslationPair(req.body);
+    if (pair.error) return pair;
+
+    return {
+      originalText: req.body.original_text,
+      translatedText: req.body.translated_text,
+      ...pair
+    };
+  }
+
+  // 翻訳へのフィードバック（評価と修正訳。管理者の承認後に翻訳例として使う）
+  app.post('/api/feedback', (req, res) => {
+    const { rating, corrected_text: correctedText, comment } = req.body;
+
+    const subject = resolveFeedbackSubject(req);
+    if (subject.error) {
+      return sendError(res, subject.error);
+    }
+
+    const entry = feedbackStore.add({
+      ...subject,
+      correctedText,
+      rating,
+      comment,
+      apiKeyId: req.apiKey ? req.apiKey.id : null
+    });
+    logger.info('フィードバックを受け付けました', {
+      id: entry.id,
+      source: entry.source_dialect,
+      target: entry.target_dialect,
+      rating,
+      corrected: !!entry.corrected_text
+    });
+
+    res.status(201).json({
+      success: true,
+      feedback: entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // フィードバック一覧（管理者用。新しい順）
+  app.get('/api/feedback', requireAdmin, (req, res) => {
+    const { status, dialect, source_dialect: source, target_dialect: target } = req.query;
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const entries = feedbackStore.list({ status, dialect, source, target });
+
+    res.json({
+      success: true,
+      feedback: entries.slice(offset, offset + limit),
+      total_count: entries.length,
+      offset,
+      limit,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // フィードバックの詳細（管理者用）
+  app.get('/api/feedback/:id', requireAdmin, (req, res) => {
+    const entry = feedbackStore.get(req.params.id);
+    if (!entry) {
+      return sendError(res, new ApiError('NOT_FOUND', 'フィードバックが見つかりません'));
+    }
+
+    res.json({
+      success: true,
+      feedback: entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // フィードバックのレビュー（管理者用。修正訳を書き直して承認することもできる）
+  app.patch('/api/feedback/:id', requireAdmin, (req, res) => {
+    const { status, corrected_text: correctedText, review_note: note } = req.body;
+
+    const current = feedbackStore.get(req.params.id);
+    if (!current) {
+      return sendError(res, new ApiError('NOT_FOUND', 'フィードバックが見つかりません'));
+    }
+
+    // 修正訳のない低評価のフィードバックは翻訳例にできないので承認しない
+    const nextCorrected = correctedText !== undefined ? correctedText : current.corrected_text;
+    if (status === 'approved' && !nextCorrected && current.rating < MIN_EXAMPLE_RATING) {
+      return sendError(res, validationError('corrected_text', `評価が${MIN_EXAMPLE_RATING}未満のフィードバックを承認するには修正訳が必要です`));
+    }
+
+    const entry = feedbackStore.review(current.id, { status, correctedText, note });
+    logger.info('フィードバックをレビューしました', { id: entry.id, status });
+
+    res.json({
+      success: true,
+      feedback: entry,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // フィードバックの削除（管理者用）
+  app.delete('/api/feedback/:id', requireAdmin, (req, res) => {
+    if (!feedbackStore.remove(req.params.id)) {
+      return sendError(res, new ApiError('NOT_FOUND', 'フィードバックが見つかりません'));
+    }
+
+    res.json({
+      success: true,
+      deleted_id: req.params.id,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 会話ルームの取得（APIキーで作成したルームの詳細・記録・削除は、同じキーか管理者のみ）
+  function findRoom(req, res) {
+    const room = roomManager.get(req.params.id);
+    const ownerMismatch = room && room.api_key_id &&
+      !(req.apiKey && req.apiKey.id === room.api_key_id) && !isAdminRequest(req);
+
+    if (!room || ownerMismatch) {
+      sendError(res, new ApiError('NOT_FOUND', 'ルームが見つかりません'));
+      return null;
+    }
+    return room;
+  }
+
+  // 会話ルームの作成（参加は WebSocket の /api/rooms/:id/ws）
+  app.post('/api/rooms', (req, res) => {
+    const room = roomManager.create({
+      name: req.body.name,
+      register: req.body.register,
+      apiKeyId: req.apiKey ? req.apiKey.id : null
+    });
+    if (!room) {
+      return sendError(res, new ApiError('CONFLICT', 'ルーム数が上限に達しています。しばらく待ってから再度お試しください'));
+    }
+
+    res.status(201).json({
+      success: true,
+      room: roomManager.summarize(room),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 会話ルームの状態（参加者など）
+  app.get('/api/rooms/:id', (req, res) => {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    res.json({
+      success: true,
+      room: roomManager.summarize(room),
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 会話の記録のエクスポート（format: json / jsonl / tsv / text）
+  app.get('/api/rooms/:id/transcript', (req, res) => {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    const format = req.query.format || 'json';
+    const transcript = roomManager.transcript(room);
+    const filename = `room-${room.id}`;
+
+    if (format === 'jsonl') {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.attachment(`${filename}.jsonl`);
+      return res.send(transcript.map(e => JSON.stringify(e)).join('\n') + (transcript.length > 0 ? '\n' : ''));
+    }
+
+    if (format === 'tsv') {
+      // 訳文は翻訳先の言語ごとの列にする
+      const languages = [...new Set(transcript.flatMap(e => Object.keys(e.translations || {})))];
+      const columns = ['seq', 'created_at', 'type', 'name', 'language', 'text', ...languages.map(l => `text_${l}`)];
+      const rows = transcript.map(e => [
+        e.seq,
+        e.created_at,
+        e.type,
+        e.participant.name,
+        e.participant.language,
+        e.text,
+        ...languages.map(l => (e.translations || {})[l])
+      ]);
+      const lines = [columns.join('\t')].concat(rows.map(row => row.map(escapeTsv).join('\t')));
+      res.set('Content-Type', 'text/tab-separated-values; charset=utf-8');
+      res.attachment(`${filename}.tsv`);
+      return res.send(lines.join('\n') + '\n');
+    }
+
+    if (format === 'text') {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.attachment(`${filename}.txt`);
+      return res.send(formatTranscriptText(room, transcript, dialectRegistry));
+    }
+
+    res.attachment(`${filename}.json`);
+    res.json({
+      success: true,
+      room: roomManager.summarize(room),
+      transcript,
+      total_count: transcript.length,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 会話ルームの削除（参加中の接続も切断する）
+  app.delete('/api/rooms/:id', (req, res) => {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    roomManager.remove(room);
+    res.json({
+      success: true,
+      deleted_id: room.id,
+      timestamp: new Date(now()).toISOString()
+    });
+  });
+
+  // 会話ルームの WebSocket 接続（/api/rooms/:id/ws?name=...&dialect=...）
+  // 接続後は {"type": "message", "text": "..."} を送ると、原文と訳文が参加者全員に配信される
+  const roomSockets = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+  const ROOM_SOCKET_PATH = /^\/api\/rooms\/([^/]+)\/ws$/;
+  const PARTICIPANT_NAME_MAX_LENGTH = 50;
+
+  // アップグレード前のエラーは HTTP のエラー応答として返す
+  function rejectUpgrade(socket, apiError, requestId) {
+    const body = JSON.stringify(errorBody(apiError, requestId));
+    socket.end([
+      `HTTP/1.1 ${apiError.status} ${http.STATUS_CODES[apiError.status]}`,
+      'Content-Type: application/json; charset=utf-8',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      `X-Request-Id: ${requestId}`,
+      'Connection: close',
+      '',
+      body
+    ].join('\r\n'));
+  }
+
+  // 接続の認証と参加条件の確認（ブラウザの WebSocket はヘッダーを付けられないため、APIキーはクエリの api_key でも受け付ける）
+  // 問題がなければ { room, name, language, apiKey }、あれば { error } を返す
+  function authorizeRoomConnection(req, url, roomId) {
+    const authorization = req.headers.authorization || '';
+    const providedKey = req.headers['x-api-key'] || url.searchParams.get('api_key') ||
+      (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+    let apiKey = null;
+
+    if (providedKey) {
+      apiKey = apiKeyStore.authenticate(providedKey);
+      if (!apiKey) {
+        return { error: new ApiError('UNAUTHORIZED', 'APIキーが無効です') };
+      }
+      if (apiKey.disabled) {
+        return { error: new ApiError('FORBIDDEN', 'このAPIキーは無効化されています') };
+      }
+    } else if (apiKeysRequired) {
+      return { error: new ApiError('UNAUTHORIZED', 'APIキーが必要です（X-API-Key ヘッダーまたは api_key パラメーターで指定してください）') };
+    }
+
+    // APIキーで作成したルームには同じキーでのみ参加できる（findRoom と同じく、存在しない場合と区別しない）
+    const room = roomManager.get(roomId);
+    const ownerMismatch = room && room.api_key_id && !(apiKey && apiKey.id === room.api_key_id);
+    if (!room || ownerMismatch) {
+      return { error: new ApiError('NOT_FOUND', 'ルームが見つかりません') };
+    }
+
+    const name = (url.searchParams.get('name') || '').trim();
+    if (!name || name.length > PARTICIPANT_NAME_MAX_LENGTH) {
+      return { error: validationError('name', `nameは1〜${PARTICIPANT_NAME_MAX_LENGTH}文字で指定してください`) };
+    }
+
+    const language = url.searchParams.get('dialect');
+    if (!isValidLanguageCode(language)) {
+      return {
+        error: validationError('dialect', 'dialectは"standard"または方言コードで指定してください', {
+          supported_dialects: supportedDialects.map(d => d.code)
+        })
+      };
+    }
+
+    if (roomManager.isFull(room)) {
+      return { error: new ApiError('CONFLICT', 'ルームの参加者数が上限に達しています') };
+    }
+    return { room, name, language, apiKey };
+  }
+
+  // HTTP サーバーの upgrade イベントの処理（listen では自動で登録する）
+  function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(ROOM_SOCKET_PATH);
+    const requestId = crypto.randomUUID();
+
+    if (!match) {
+      return rejectUpgrade(socket, new ApiError('NOT_FOUND', 'エンドポイントが見つかりません'), requestId);
+    }
+
+    const connection = authorizeRoomConnection(req, url, decodeURIComponent(match[1]));
+    if (connection.error) {
+      logger.info('ルームへの接続を拒否しました', { code: connection.error.code, request_id: requestId });
+      return rejectUpgrade(socket, connection.error, requestId);
+    }
+
+    roomSockets.handleUpgrade(req, socket, head, ws => connectRoomParticipant(ws, connection));
+  }
+
+  function connectRoomParticipant(ws, { room, name, language, apiKey }) {
+    const sendJson = payload => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+    };
+    const sendRoomError = apiError => sendJson({ type: 'error', ...errorBody(apiError) });
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const participant = roomManager.join(room, {
+      name,
+      language,
+      apiKeyId: apiKey ? apiKey.id : null,
+      send: sendJson,
+      close: () => ws.close(1000, 'room deleted')
+    });
+
+    ws.on('message', (data, isBinary) => {
+      let payload = null;
+      try {
+        payload = isBinary ? null : JSON.parse(data.toString('utf8'));
+      } catch (error) {
+        payload = null;
+      }
+      if (!payload || payload.type !== 'message') {
+        return sendRoomError(new ApiError('INVALID_JSON', '{"type": "message", "text": "..."} の形式のJSONを送ってください'));
+      }
+
+      const text = typeof payload.text === 'string' ? payload.text.trim() : '';
+      if (!text || text.length > TEXT_MAX_LENGTH) {
+        return sendRoomError(validationError('text', `textは1〜${TEXT_MAX_LENGTH}文字で指定してください`));
+      }
+
+      // APIキーで参加した場合は発言ごとにクォータを消費する（発言の処理に失敗した場合は取り消す）
+      const usage = { requests: 1, characters: text.length };
+      let windowStart = null;
+      if (apiKey) {
+        const quota = apiKeyStore.consume(apiKey, usage);
+        if (!quota.allowed) {
+          return sendRoomError(new ApiError('QUOTA_EXCEEDED', null, {
+            extra: { exceeded: quota.exceeded, usage: quota.usage }
+          }));
+        }
+        windowStart = quota.usage.window_start;
+      }
+
+      roomManager.postMessage(room, participant, text).catch(error => {
+        if (apiKey) apiKeyStore.refund(apiKey, usage, windowStart);
+        logger.error('ルームの発言の処理に失敗しました', { room_id: room.id, error });
+        sendRoomError(toApiError(error));
+      });
+    });
+
+    ws.on('close', () => roomManager.leave(room, participant));
+    ws.on('error', error => logger.warn('ルームの接続エラー', { room_id: room.id, error }));
+  }
+
+  // エラーハンドリングミドルウェア
+  // express.json の解析エラーなどはコードに応じたステータスで返す
+  app.use((error, req, res, next) => {
+    const apiError = toApiError(error);
+    if (apiError.status >= 500) {
+      logger.error('未処理のエラー', { error });
+    } else {
+      logger.warn('リクエストエラー', { code: apiError.code, error: error.message });
+    }
+    if (res.headersSent) {
+      return next(error);
+    }
+    sendError(res, apiError);
+  });
+
+  // 404 ハンドラー
+  app.use((req, res) => {
+    logger.info('見つからないエンドポイント', { method: req.method, path: req.path });
+    sendError(res, new ApiError('NOT_FOUND', 'エンドポイントが見つかりません', {
+      extra: {
+        requested_path: req.path,
+        available_endpoints: endpointList
+      }
+    }));
+  });
+
+  // Keep-Alive機能の実装
+  function performKeepAlive() {
+    if (!keepAliveUrl) {
+      logger.warn('Keep-Alive URL が設定されていません');
+      return;
+    }
+
+    const url = `${keepAliveUrl}/api/keep-alive`;
+    const protocol = keepAliveUrl.startsWith('https') ? https : http;
+
+    const options = {
+      method: 'GET',
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'KeepAlive/1.0',
+        'Accept': 'application/json'
+      }
+    };
+
+    logger.debug('Keep-Alive ping実行中', { url });
+
+    const req = protocol.get(url, options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            const response = JSON.parse(data);
+            logger.info('Keep-Alive成功', { uptime: response.uptime_formatted || null });
+          } catch (e) {
+            logger.info('Keep-Alive成功（JSON解析失敗）');
+          }
+        } else {
+          logger.warn('Keep-Alive警告', { status: res.statusCode });
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      logger.error('Keep-Alive エラー', { error: error.message });
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      logger.error('Keep-Alive タイムアウト', { url });
+    });
+  }
+
+  // Keep-Aliveの開始（常時有効）
+  function startKeepAlive() {
+    if (keepAliveTimer || keepAliveInterval) {
+      logger.debug('Keep-Alive は既に実行中です');
+      return;
+    }
+
+    if (!keepAliveUrl) {
+      logger.warn('Keep-Alive URL が未設定のためスキップします');
+      return;
+    }
+
+    // 最初のpingは5分後
+    keepAliveTimer = setTimeout(() => {
+      keepAliveTimer = null;
+      performKeepAlive();
+
+      // その後は14分間隔で実行（15分のタイムアウトを回避）
+      keepAliveInterval = setInterval(() => {
+        performKeepAlive();
+      }, 14 * 60 * 1000); // 14分 = 840,000ms
+
+    }, 5 * 60 * 1000); // 5分後に開始
+
+    logger.info('Keep-Alive スケジューラを開始しました', { interval_minutes: 14 });
+  }
+
+  // Keep-Aliveの停止
+  function stopKeepAlive() {
+    if (keepAliveTimer) {
+      clearTimeout(keepAliveTimer);
+      keepAliveTimer = null;
+    }
+    if (keepAliveInterval) {
+      clearInterval(keepAliveInterval);
+      keepAliveInterval = null;
+      logger.info('Keep-Alive を停止しました');
+    }
+  }
+
+  // アップタイム表示用のフォーマット関数
+  function formatUptime(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+
+    if (days > 0) {
+      return `${days}日 ${hours}時間 ${minutes}分 ${secs}秒`;
+    } else if (hours > 0) {
+      return `${hours}時間 ${minutes}分 ${secs}秒`;
+    } else if (minutes > 0) {
+      return `${minutes}分 ${secs}秒`;
+    } else {
+      return `${secs}秒`;
+    }
+  }
+
+  // 定期的なメモリ使用量ログ
+  function logMemoryUsage() {
+    const memUsage = process.memoryUsage();
+    const uptime = process.uptime();
+
+    logger.info('サーバー状況レポート', {
+      uptime_seconds: Math.floor(uptime),
+      memory_mb: Math.round(memUsage.rss / 1024 / 1024),
+      activity_count: activityCounter,
+      minutes_since_last_activity: Math.floor((now() - lastActivityTime) / 60000),
+      keep_alive_active: !!keepAliveInterval
+    });
+  }
+
+  // 定期処理（start で開始し、stop で止める）
+  const timers = [];
+  let started = false;
+  let server = null;
+
+  // 定期処理（keep-alive・メモリ使用量のログ・キャッシュのスナップショット）の開始と未完了のジョブの再開
+  function start() {
+    if (started) return;
+    started = true;
+
+    // Keep-Alive開始（14分間隔）
+    if (keepAliveUrl) {
+      logger.info('Keep-Alive URL設定', { url: keepAliveUrl });
+      startKeepAlive();
+    }
+
+    // 30分ごとにメモリ使用量をログ出力（初回は10秒後）
+    timers.push(setTimeout(logMemoryUsage, 10000));
+    timers.push(setInterval(logMemoryUsage, 30 * 60 * 1000));
+
+    // 翻訳キャッシュの定期スナップショット
+    if (env.CACHE_SNAPSHOT_FILE) {
+      const snapshotMinutes = parseInt(env.CACHE_SNAPSHOT_INTERVAL_MINUTES, 10) || 5;
+      timers.push(setInterval(() => translationCache.save(), snapshotMinutes * 60 * 1000));
+    }
+
+    // 期限切れの会話ルームの削除（1分ごと）と、応答のない WebSocket 接続の切断（30秒ごと）
+    timers.push(setInterval(() => roomManager.sweep(), 60 * 1000));
+    timers.push(setInterval(() => {
+      roomSockets.clients.forEach(ws => {
+        if (!ws.isAlive) return ws.terminate();
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, 30 * 1000));
+
+    jobManager.resume();
+  }
+
+  // 定期処理を止め、キャッシュ・APIキーの利用量・履歴・ジョブの途中経過を保存する（listen で起動したサーバーも閉じる）
+  function stop() {
+    stopKeepAlive();
+    // Node.js では setInterval のタイマーも clearTimeout で止められる
+    timers.splice(0).forEach(timer => clearTimeout(timer));
+    started = false;
+
+    translationCache.save();
+    apiKeyStore.flush();
+    historyStore.flush();
+    jobManager.flush();
+    roomSockets.clients.forEach(ws => ws.close(1001, 'server shutting down'));
+
+    if (server) {
+      server.close();
+      server = null;
+    }
+  }
+
+  // サーバー起動（起動後に start で定期処理も開始する）
+  function listen(port = env.PORT || 3000, callback) {
+    server = app.listen(port, () => {
+      logger.info('九州方言翻訳API サーバーが起動しました', {
+        port: server.address().port,
+        url: `http://localhost:${server.address().port}`,
+        dialects: supportedDialects.map(d => d.code),
+        gemini_configured: !!env.GEMINI_API_KEY,
+        translation_provider: translationProvider.name,
+        model: translationProvider.model,
+        keep_alive_url: keepAliveUrl,
+        log_level: logger.level,
+        log_text: logger.textMode
+      });
+
+      start();
+      if (callback) callback();
+    });
+
+    // 会話ルームの WebSocket
+    server.on('upgrade', handleUpgrade);
+
+    // サーバーのKeep-Alive設定
+    server.keepAliveTimeout = 65000; // 65秒
+    return server;
+  }
+
+  return {
+    app,
+    provider: translationProvider,
+    dialects: dialectRegistry,
+    start,
+    stop,
+    listen,
+    handleUpgrade
+  };
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { logger: defaultLogger } = require('./logger');
+
+// キャッシュキー用のテキスト正規化（全角・半角の揺れと前後・連続空白を吸収）
+function normalizeText(text) {
+  return text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+// 設定オブジェクトをキー順に並べて安定した文字列にする
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  return `{${Object.keys(value).sort()
+    .filter(k => value[k] !== undefined)
+    .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+    .join(',')}}`;
+}
+
+// 翻訳結果のLRUキャッシュ（件数上限・TTL・任意のスナップショットファイル）
+function createTranslationCache(options = {}) {
+  const enabled = options.enabled !== false;
+  const maxEntries = options.maxEntries || 1000;
+  const ttlMs = options.ttlMs || 60 * 60 * 1000;
+  const snapshotFile = options.snapshotFile || null;
+  const now = options.now || Date.now;
+  const logger = options.logger || defaultLogger;
+
+  // Mapの挿入順をLRUの順序として使う（先頭が最も古い）
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  let lastSnapshotAt = null;
+
+  function buildKey({ text, source, target, settings }) {
+    return stableStringify({ text: normalizeText(text), source, target, settings: settings || {} });
+  }
+
+  function get(key) {
+    if (!enabled) return undefined;
+
+    const entry = entries.get(key);
+    if (!entry) {
+      counters.misses++;
+      return undefined;
+    }
+
+    if (entry.expiresAt <= now()) {
+      entries.delete(key);
+      counters.expirations++;
+      counters.misses++;
+      return undefined;
+    }
+
+    // 参照されたエントリを末尾（最新）へ移動
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits++;
+    return entry.value;
+  }
+
+  function set(key, value) {
+    if (!enabled) return;
+
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  function clear() {
+    const purged = entries.size;
+    entries.clear();
+    return purged;
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      enabled,
+      size: entries.size,
+      max_entries: maxEntries,
+      ttl_seconds: Math.round(ttlMs / 1000),
+      hits: counters.hits,
+      misses: counters.misses,
+      hit_rate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0,
+      evictions: counters.evictions,
+      expirations: counters.expirations,
+      snapshot_file: snapshotFile,
+      last_snapshot_at: lastSnapshotAt ? new Date(lastSnapshotAt).toISOString() : null
+    };
+  }
+
+  // スナップショットの読み込み（期限切れのエントリは捨てる）
+  function load() {
+    if (!enabled || !snapshotFile || !fs.existsSync(snapshotFile)) return 0;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+      const current = now();
+      let loaded = 0;
+      (data.entries || []).forEach(([key, entry]) => {
+        if (entry && entry.expiresAt > current) {
+          entries.set(key, entry);
+          loaded++;
+        }
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      logger.info('翻訳キャッシュを復元しました', { count: loaded, file: snapshotFile });
+      return loaded;
+    } catch (error) {
+      logger.error('翻訳キャッシュの復元に失敗しました', { file: snapshotFile, error });
+      return 0;
+    }
+  }
+
+  // スナップショットの保存（一時ファイルに書いてからリネーム）
+  function save() {
+    if (!enabled || !snapshotFile) return false;
+
+    try {
+      fs.mkdirSync(path.dirname(snapshotFile), { recursive: true });
+      const tmpFile = `${snapshotFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        saved_at: new Date(now()).toISOString(),
+        entries: [...entries.entries()]
+      }));
+      fs.renameSync(tmpFile, snapshotFile);
+      lastSnapshotAt = now();
+      return true;
+    } catch (error) {
+      logger.error('翻訳キャッシュの保存に失敗しました', { file: snapshotFile, error });
+      return false;
+    }
+  }
+
+  return {
+    buildKey,
+    get,
+    set,
+    clear,
+    stats,
+    load,
+    save
+  };
+}
+
+module.exports = {
+  normalizeText,
+  createTranslationCache
+};
@@ -0,0 +1,305 @@
+const { defaultDialectRegistry } = require('./dialects');
+const { validate } = require('./schema');
+const { locate } = require('./explain');
+
+// 最上位のスコアがこれ未満なら判定不能（unknown）とする
+const MIN_DETECTION_SCORE = 0.2;
+const UNKNOWN = 'unknown';
+const UNKNOWN_NAME = '九州弁（詳細不明）';
+
+// 文の区切り（句点・感嘆符・疑問符・改行）
+const SENTENCE_PATTERN = /[^。！？!?\n]+[。！？!?]*/g;
+
+const offsetsSchema = {
+  type: 'object',
+  required: ['start', 'end'],
+  additionalProperties: false,
+  properties: {
+    start: { type: 'integer', minimum: 0 },
+    end: { type: 'integer', minimum: 0 }
+  }
+};
+
+// プロバイダーが返す判定結果（オフセット・判定の確定はサーバー側で行う）
+// 方言コードは方言の定義（dialects）にあるものだけを受け付ける
+//   scores: 方言ごとのスコア（0〜1。記載のない方言は 0 とみなす）
+//   markers: 判定の根拠になった方言表現
+//   segments: 文ごとのスコア（文ごとの判定を求めた場合のみ）
+//   translated_text: 標準語訳（プロバイダーが判定と同時に翻訳した場合のみ）
+function rawDetectionSchema(dialects = defaultDialectRegistry) {
+  const dialectCodes = dialects.supportedDialects.map(d => d.code);
+  const rawScoresSchema = {
+    type: 'array',
+    maxItems: 100,
+    items: {
+      type: 'object',
+      required: ['dialect', 'score'],
+      properties: {
+        dialect: { enum: dialectCodes },
+        score: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  };
+
+  return {
+    type: 'object',
+    required: ['scores', 'markers'],
+    properties: {
+      scores: rawScoresSchema,
+      markers: {
+        type: 'array',
+        maxItems: 200,
+        items: {
+          type: 'object',
+          required: ['expression', 'dialect'],
+          properties: {
+            expression: { type: 'string', minLength: 1, maxLength: 100 },
+            dialect: { enum: dialectCodes },
+            standard_meaning: { type: 'string', nullable: true, maxLength: 200 }
+          }
+        }
+      },
+      segments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['index', 'scores'],
+          properties: {
+            index: { type: 'integer', minimum: 0 },
+            scores: rawScoresSchema
+          }
+        }
+      },
+      translated_text: { type: 'string', nullable: true }
+    }
+  };
+}
+
+const scoreSchema = {
+  type: 'object',
+  required: ['dialect', 'dialect_name', 'score'],
+  additionalProperties: false,
+  properties: {
+    dialect: { type: 'string' },
+    dialect_name: { type: 'string' },
+    score: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const decisionProperties = {
+  detected_dialect: { type: 'string' },
+  dialect_name: { type: 'string' },
+  parent_dialect: { type: 'string', nullable: true },
+  confidence: { enum: ['high', 'medium', 'low'] }
+};
+
+// レスポンスとして返す判定結果
+const DETECTION_SCHEMA = {
+  type: 'object',
+  required: ['detected_dialect', 'dialect_name', 'parent_dialect', 'confidence', 'scores', 'markers', 'offset_unit', 'dropped_marker_count'],
+  additionalProperties: false,
+  properties: {
+    ...decisionProperties,
+    scores: { type: 'array', items: scoreSchema },
+    markers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['expression', 'dialect', 'dialect_name', 'standard_meaning', 'offsets'],
+        additionalProperties: false,
+        properties: {
+          expression: { type: 'string', minLength: 1 },
+          dialect: { type: 'string' },
+          dialect_name: { type: 'string' },
+          standard_meaning: { type: 'string', nullable: true },
+          offsets: offsetsSchema,
+          segment_index: { type: 'integer', minimum: 0 }
+        }
+      }
+    },
+    offset_unit: { const: 'code_point' },
+    dropped_marker_count: { type: 'integer', minimum: 0 },
+    segments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'text', 'offsets', 'detected_dialect', 'dialect_name', 'parent_dialect', 'confidence', 'scores'],
+        additionalProperties: false,
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          text: { type: 'string' },
+          offsets: offsetsSchema,
+          ...decisionProperties,
+          scores: { type: 'array', items: scoreSchema }
+        }
+      }
+    },
+    mixed: { type: 'boolean' }
+  }
+};
+
+// 判定結果の形式が不正な場合のエラー
+class DetectionSchemaError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'DetectionSchemaError';
+    // 翻訳プロバイダーの応答不正として扱う（502）
+    this.type = 'invalid_response';
+    this.details = details;
+  }
+}
+
+function codePointLength(value) {
+  return Array.from(value).length;
+}
+
+// テキストを文に分ける（オフセットはコードポイント単位。前後の空白は除く）
+function splitSentences(text) {
+  const sentences = [];
+  for (const match of text.matchAll(SENTENCE_PATTERN)) {
+    const sentence = match[0].trim();
+    if (!sentence) continue;
+    const index = match.index + match[0].indexOf(sentence);
+    const start = codePointLength(text.slice(0, index));
+    sentences.push({
+      index: sentences.length,
+      text: sentence,
+      start,
+      end: start + codePointLength(sentence)
+    });
+  }
+  return sentences;
+}
+
+// 方言の系統（最上位の方言コード）
+function rootOf(dialects, code) {
+  const lineage = dialects.getDialectLineage(code);
+  return lineage[lineage.length - 1];
+}
+
+// すべての対応方言のスコアを高い順に並べる（同点は方言の定義順なので親の方言が先になる）
+function rankScores(dialects, rawScores) {
+  const byCode = new Map();
+  rawScores.forEach(({ dialect, score }) => {
+    byCode.set(dialect, Math.max(byCode.get(dialect) || 0, score));
+  });
+
+  return dialects.supportedDialects
+    .map(d => ({
+      dialect: d.code,
+      dialect_name: d.name,
+      score: Math.round((byCode.get(d.code) || 0) * 1000) / 1000
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// スコアから判定と信頼度を決める
+// 信頼度は別系統の方言（親子関係にない方言）のスコアとの差で判断する
+function decide(dialects, ranked) {
+  const top = ranked[0];
+  if (!top || top.score < MIN_DETECTION_SCORE) {
+    return { detected_dialect: UNKNOWN, dialect_name: UNKNOWN_NAME, parent_dialect: null, confidence: 'low' };
+  }
+
+  const rival = ranked.find(s => rootOf(dialects, s.dialect) !== rootOf(dialects, top.dialect));
+  const margin = top.score - (rival ? rival.score : 0);
+  let confidence = 'low';
+  if (top.score >= 0.6 && margin >= 0.3) {
+    confidence = 'high';
+  } else if (margin >= 0.1) {
+    confidence = 'medium';
+  }
+
+  return {
+    detected_dialect: top.dialect,
+    dialect_name: dialects.getDialectName(top.dialect),
+    parent_dialect: dialects.findDialect(top.dialect).parent,
+    confidence
+  };
+}
+
+// プロバイダーの判定結果を検証し、判定・根拠の位置・文ごとの判定を付けて返す
+// sentences は splitSentences の結果（文ごとの判定を求めない場合は null）
+// dialects は判定の対象にする方言の定義（既定は DIALECTS_PATH の定義）
+function buildDetection({ text, raw, sentences, dialects = defaultDialectRegistry }) {
+  const rawErrors = validate(rawDetectionSchema(dialects), raw);
+  if (sentences) {
+    // 文ごとの判定を求めた場合は、すべての文のスコアがそろっている必要がある
+    const returned = new Set((raw && Array.isArray(raw.segments) ? raw.segments : []).map(s => s && s.index));
+    sentences
+      .filter(sentence => !returned.has(sentence.index))
+      .forEach(sentence => rawErrors.push({ path: `segments[${sentence.index}]`, message: '文のスコアがありません' }));
+  }
+  if (rawErrors.length > 0) {
+    throw new DetectionSchemaError('方言判定の結果の形式が正しくありません', rawErrors);
+  }
+
+  const ranked = rankScores(dialects, raw.scores);
+  const cursors = new Map();
+  let dropped = 0;
+
+  const markers = raw.markers.map(marker => {
+    if (!cursors.has(marker.dialect)) cursors.set(marker.dialect, new Map());
+    const offsets = locate(text, marker.expression, cursors.get(marker.dialect));
+
+    // テキストに見つからない表現は根拠として扱わない
+    if (!offsets) {
+      dropped++;
+      return null;
+    }
+
+    const segment = sentences && sentences.find(s => offsets.start >= s.start && offsets.start < s.end);
+    return {
+      expression: marker.expression,
+      dialect: marker.dialect,
+      dialect_name: dialects.getDialectName(marker.dialect),
+      standard_meaning: marker.standard_meaning || null,
+      offsets,
+      ...(segment ? { segment_index: segment.index } : {})
+    };
+  }).filter(Boolean).sort((a, b) => a.offsets.start - b.offsets.start);
+
+  const detection = {
+    ...decide(dialects, ranked),
+    scores: ranked,
+    markers,
+    offset_unit: 'code_point',
+    dropped_marker_count: dropped
+  };
+
+  if (sentences) {
+    detection.segments = sentences.map(sentence => {
+      const segmentRanked = rankScores(dialects, raw.segments.find(s => s.index === sentence.index).scores);
+      return {
+        index: sentence.index,
+        text: sentence.text,
+        offsets: { start: sentence.start, end: sentence.end },
+        ...decide(dialects, segmentRanked),
+        // 文ごとのスコアはスコアのある方言だけを返す
+        scores: segmentRanked.filter(s => s.score > 0)
+      };
+    });
+    // 系統の異なる方言と判定された文があれば混在とみなす
+    const roots = new Set(detection.segments
+      .filter(s => s.detected_dialect !== UNKNOWN)
+      .map(s => rootOf(dialects, s.detected_dialect)));
+    detection.mixed = roots.size > 1;
+  }
+
+  const errors = validate(DETECTION_SCHEMA, detection);
+  if (errors.length > 0) {
+    throw new DetectionSchemaError('方言判定の結果の形式が正しくありません', errors);
+  }
+
+  return detection;
+}
+
+module.exports = {
+  UNKNOWN,
+  MIN_DETECTION_SCORE,
+  rawDetectionSchema,
+  DETECTION_SCHEMA,
+  DetectionSchemaError,
+  splitSentences,
+  buildDetection
+};
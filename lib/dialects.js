@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+// 方言の定義（既定の定義は起動時に読み込む）
+// DIALECTS_PATH にはJSONファイル、またはJSONファイルを置いたディレクトリを指定できる
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'data', 'dialects.json');
+const CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// 翻訳元・翻訳先として方言の代わりに指定できる標準語のコード
+const STANDARD = 'standard';
+
+// 方言コードとして使えない予約語（標準語と判定不能）
+const RESERVED_CODES = [STANDARD, 'unknown'];
+
+// ファイルの内容から方言の定義の配列を取り出す（配列 または { dialects: [...] }）
+function readEntries(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.dialects;
+  if (!Array.isArray(entries)) {
+    throw new Error(`方言の定義が配列ではありません: ${filePath}`);
+  }
+  return entries;
+}
+
+// ディレクトリの場合はファイル名順に読み込んで連結する
+function readRegistry(registryPath) {
+  if (!fs.statSync(registryPath).isDirectory()) {
+    return readEntries(registryPath);
+  }
+
+  return fs.readdirSync(registryPath)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .flatMap(name => readEntries(path.join(registryPath, name)));
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()) : [];
+}
+
+// 定義を検証し、親子関係を解決した方言の一覧を作る
+// 子の方言は親の直後に並べる（定義ファイル内の順序は保つ）
+function buildRegistry(rawEntries, source) {
+  const entries = new Map();
+
+  rawEntries.forEach((raw, i) => {
+    const code = raw && raw.code;
+    if (typeof code !== 'string' || !CODE_PATTERN.test(code) || RESERVED_CODES.includes(code)) {
+      throw new Error(`方言コードが不正です（${source} の${i + 1}件目）: ${code}`);
+    }
+    if (entries.has(code)) {
+      throw new Error(`方言コードが重複しています: ${code}`);
+    }
+    if (typeof raw.name !== 'string' || !raw.name.trim()) {
+      throw new Error(`方言名がありません: ${code}`);
+    }
+
+    entries.set(code, {
+      code,
+      name: raw.name,
+      region: raw.region || null,
+      parent: raw.parent || null,
+      sub_dialects: [],
+      features: stringList(raw.features),
+      examples: (Array.isArray(raw.examples) ? raw.examples : [])
+        .filter(e => e && typeof e.dialect === 'string' && typeof e.standard === 'string')
+        .map(({ dialect, standard }) => ({ dialect, standard })),
+      prompt_hints: stringList(raw.prompt_hints)
+    });
+  });
+
+  entries.forEach(entry => {
+    if (!entry.parent) return;
+    if (!entries.has(entry.parent)) {
+      throw new Error(`親の方言が定義されていません: ${entry.code} → ${entry.parent}`);
+    }
+    // 親をたどって循環していないか確認
+    const seen = new Set([entry.code]);
+    for (let code = entry.parent; code; code = entries.get(code).parent) {
+      if (seen.has(code)) {
+        throw new Error(`方言の親子関係が循環しています: ${entry.code}`);
+      }
+      seen.add(code);
+    }
+    entries.get(entry.parent).sub_dialects.push(entry.code);
+  });
+
+  const ordered = [];
+  function visit(entry) {
+    ordered.push(entry);
+    entry.sub_dialects.forEach(code => visit(entries.get(code)));
+  }
+  entries.forEach(entry => {
+    if (!entry.parent) visit(entry);
+  });
+
+  return ordered;
+}
+
+// 方言の定義（data/dialects.json と同じ形式の配列）から方言の一覧と検索用の関数を作る
+// アプリに別の方言の一覧を渡す場合（createApp の dialects）にも使う
+function createDialectRegistry(rawEntries, source = '方言の定義') {
+  const dialectRegistry = buildRegistry(rawEntries, source);
+
+  // 対応方言リスト（下位方言を含む。各方言の直後にその下位方言が並ぶ）
+  const supportedDialects = dialectRegistry.map(({ code, name, region, parent }) => ({ code, name, region, parent }));
+
+  // 方言コードから方言情報を取得
+  function findDialect(code) {
+    return supportedDialects.find(d => d.code === code);
+  }
+
+  // 特徴・例文・プロンプト用のヒントを含む方言の詳細
+  function getDialectDetail(code) {
+    return dialectRegistry.find(d => d.code === code);
+  }
+
+  // 方言コードとその親（上位の方言）のコードを近い順に返す
+  function getDialectLineage(code) {
+    const lineage = [];
+    for (let dialect = findDialect(code); dialect; dialect = findDialect(dialect.parent)) {
+      lineage.push(dialect.code);
+    }
+    return lineage;
+  }
+
+  // 方言の階層（下位方言を sub_dialects に入れ子にした一覧）
+  function getDialectTree() {
+    function toNode(detail) {
+      return {
+        code: detail.code,
+        name: detail.name,
+        region: detail.region,
+        sub_dialects: detail.sub_dialects.map(code => toNode(getDialectDetail(code)))
+      };
+    }
+    return dialectRegistry.filter(d => !d.parent).map(toNode);
+  }
+
+  // 方言名を取得（未知のコードは「九州弁」として扱う）
+  function getDialectName(code) {
+    const dialectInfo = findDialect(code);
+    return dialectInfo ? dialectInfo.name : '九州弁';
+  }
+
+  // 標準語を含む言語名を取得
+  function getLanguageName(code) {
+    return code === STANDARD ? '標準語' : getDialectName(code);
+  }
+
+  // 標準語または対応方言のコードかどうか
+  function isValidLanguageCode(code) {
+    return code === STANDARD || !!findDialect(code);
+  }
+
+  return {
+    supportedDialects,
+    findDialect,
+    getDialectDetail,
+    getDialectLineage,
+    getDialectTree,
+    getDialectName,
+    getLanguageName,
+    isValidLanguageCode
+  };
+}
+
+// JSONファイル（またはディレクトリ）から方言の定義を読み込む
+function loadDialectRegistry(registryPath) {
+  return createDialectRegistry(readRegistry(registryPath), registryPath);
+}
+
+// 起動時に DIALECTS_PATH（既定は data/dialects.json）から読み込む方言の定義
+const defaultDialectRegistry = loadDialectRegistry(process.env.DIALECTS_PATH
+  ? path.resolve(process.env.DIALECTS_PATH)
+  : DEFAULT_REGISTRY_PATH);
+
+module.exports = {
+  STANDARD,
+  ...defaultDialectRegistry,
+  defaultDialectRegistry,
+  createDialectRegistry,
+  loadDialectRegistry
+};
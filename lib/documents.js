@@ -0,0 +1,244 @@
+// 字幕（SRT / WebVTT）・Markdown の構造を保ったまま翻訳対象のテキストだけを取り出す
+
+const FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt' },
+  markdown: { extension: 'md', contentType: 'text/markdown' }
+};
+
+const FORMAT_ALIASES = {
+  srt: 'srt',
+  vtt: 'vtt',
+  webvtt: 'vtt',
+  md: 'markdown',
+  markdown: 'markdown'
+};
+
+// 翻訳時に保護する記号の目印（⟦番号⟧）
+const PLACEHOLDER_PATTERN = /⟦(\d+)⟧/g;
+
+// 長い文を分割するときの単位（目印は途中で切らない）
+const SPLIT_UNIT_PATTERN = /⟦\d+⟧|[\s\S]/gu;
+
+// 字幕のタグ（<i>、<v 話者>、{\an8} など）
+const SUBTITLE_INLINE_PATTERN = /<[^>\n]+>|\{\\[^}\n]*\}/g;
+
+// Markdownのインライン要素（コード・画像・リンクのURL・自動リンク・HTMLタグ・URL）
+const MARKDOWN_INLINE_PATTERN = /(`+)[^`]*?\1|!\[[^\]]*\]\([^)]*\)|\]\([^)]*\)|\]\[[^\]]*\]|\[(?=[^\]]*\](?:\(|\[))|<https?:\/\/[^>]+>|<\/?[A-Za-z][^>]*>|https?:\/\/[^\s)>\]]+/g;
+
+// Setext 見出しの下線（直前の行を見出しにする。--- は区切り線と同じ形だが、文の直後では下線として扱う）
+const SETEXT_UNDERLINE_PATTERN = /^\s{0,3}(=+|-+)\s*$/;
+
+function normalizeFormat(format, filename) {
+  if (format) {
+    return FORMAT_ALIASES[String(format).toLowerCase()] || null;
+  }
+  if (filename) {
+    const extension = String(filename).split('.').pop().toLowerCase();
+    return FORMAT_ALIASES[extension] || null;
+  }
+  return null;
+}
+
+// 長い文を文末記号で区切り、各片が maxLength 以下になるようにまとめる
+function splitLongText(text, maxLength) {
+  if (text.length <= maxLength) return [text];
+
+  const sentences = text.match(/[^。！？!?]+[。！？!?]*|[。！？!?]+/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  sentences.forEach(sentence => {
+    // 1文が上限を超える場合は文字数で分割（目印の途中では分割しない）
+    const units = sentence.length > maxLength ? sentence.match(SPLIT_UNIT_PATTERN) : [sentence];
+    units.forEach(unit => {
+      if (current && current.length + unit.length > maxLength) {
+        pieces.push(current);
+        current = '';
+      }
+      current += unit;
+    });
+  });
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+// 文書をリテラル部分と翻訳対象の部分に分けて保持する
+function createDocumentBuilder(maxSegmentLength) {
+  const parts = [];
+  const segments = [];
+
+  function literal(value) {
+    if (value) parts.push(value);
+  }
+
+  // inlinePattern に一致する部分は目印に置き換えて翻訳から保護する
+  function text(value, inlinePattern) {
+    const leading = value.match(/^\s*/)[0];
+    const core = value.slice(leading.length).replace(/\s+$/, '');
+    const trailing = value.slice(leading.length + core.length);
+
+    literal(leading);
+    if (core) {
+      const tokens = [];
+      const protectedText = inlinePattern
+        ? core.replace(inlinePattern, match => `⟦${tokens.push(match) - 1}⟧`)
+        : core;
+
+      // 記号だけの行は翻訳しない
+      if (protectedText.replace(PLACEHOLDER_PATTERN, '').trim() === '') {
+        literal(core);
+      } else {
+        splitLongText(protectedText, maxSegmentLength).forEach(piece => {
+          parts.push({ segment: segments.length });
+          segments.push({ text: piece, tokens });
+        });
+      }
+    }
+    literal(trailing);
+  }
+
+  // 翻訳結果で文書を組み立てる（目印が失われた部分は原文を使う）
+  function render(translations) {
+    const fallbacks = [];
+    const output = parts.map(part => {
+      if (typeof part === 'string') return part;
+
+      const segment = segments[part.segment];
+      const translated = translations[part.segment];
+      const placeholders = segment.text.match(PLACEHOLDER_PATTERN) || [];
+      const usable = typeof translated === 'string' &&
+        placeholders.every(p => translated.includes(p));
+      if (!usable) {
+        fallbacks.push(part.segment);
+      }
+
+      const value = usable ? translated : segment.text;
+      return value.replace(PLACEHOLDER_PATTERN, (whole, i) => segment.tokens[Number(i)] || '');
+    }).join('');
+
+    return { content: output, fallbackSegments: [...new Set(fallbacks)] };
+  }
+
+  return {
+    literal,
+    text,
+    build: () => ({ segments: segments.map(s => s.text), render })
+  };
+}
+
+function splitLines(content) {
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  return { newline, lines: content.split(/\r?\n/) };
+}
+
+// SRT / WebVTT: タイムスタンプ行の後から空行までを字幕テキストとして扱う
+// キュー番号・識別子・ヘッダー・NOTE/STYLE ブロックはそのまま残す
+function parseSubtitles(content, maxSegmentLength) {
+  const builder = createDocumentBuilder(maxSegmentLength);
+  const { newline, lines } = splitLines(content);
+  let inCueText = false;
+
+  lines.forEach((line, i) => {
+    if (line.trim() === '') {
+      inCueText = false;
+      builder.literal(line);
+    } else if (line.includes('-->')) {
+      inCueText = true;
+      builder.literal(line);
+    } else if (inCueText) {
+      builder.text(line, SUBTITLE_INLINE_PATTERN);
+    } else {
+      builder.literal(line);
+    }
+
+    if (i < lines.length - 1) builder.literal(newline);
+  });
+
+  return builder.build();
+}
+
+// Markdown: コードブロック・フロントマター・リンク参照定義・区切り線・見出しの下線はそのまま残し、
+// 見出し・リスト・引用の記号やリンク先URLを保ったまま本文を翻訳する
+// 見出しは既定で翻訳しない（options.preserveHeadings が false の場合のみ翻訳する）
+function parseMarkdown(content, maxSegmentLength, options = {}) {
+  const builder = createDocumentBuilder(maxSegmentLength);
+  const { newline, lines } = splitLines(content);
+  let fence = null;
+  let inFrontMatter = lines[0] === '---';
+  let previousBlank = true;
+
+  lines.forEach((line, i) => {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+
+    if (inFrontMatter) {
+      builder.literal(line);
+      if (i > 0 && line === '---') inFrontMatter = false;
+    } else if (fence) {
+      builder.literal(line);
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+      builder.literal(line);
+    } else if (line.trim() === '') {
+      builder.literal(line);
+    } else if (previousBlank && /^( {4}|\t)/.test(line) && !/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+      // インデントによるコードブロック
+      builder.literal(line);
+    } else if (/^\s{0,3}\[[^\]]+\]:\s*\S+/.test(line) || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+      SETEXT_UNDERLINE_PATTERN.test(line)) {
+      builder.literal(line);
+    } else if (/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(line)) {
+      // 表の区切り行
+      builder.literal(line);
+    } else if (/^\s*\|.*\|\s*$/.test(line)) {
+      // 表の行はセルごとに翻訳
+      line.split('|').forEach((cell, j, cells) => {
+        if (j === 0 || j === cells.length - 1) {
+          builder.literal(cell);
+        } else {
+          builder.text(cell, MARKDOWN_INLINE_PATTERN);
+        }
+        if (j < cells.length - 1) builder.literal('|');
+      });
+    } else {
+      // ATX 見出し（# 見出し）と Setext 見出し（次の行が === または --- の下線。リスト・引用の行は除く）
+      const heading = line.match(/^(\s{0,3}#{1,6}\s+)(.*?)(\s+#+\s*)?$/) ||
+        (SETEXT_UNDERLINE_PATTERN.test(lines[i + 1] || '') && line.match(/^(\s{0,3})(?!(?:[-*+>]|\d+[.)])\s)(.*\S)(\s*)$/));
+      if (heading) {
+        builder.literal(heading[1]);
+        if (options.preserveHeadings !== false) {
+          builder.literal(heading[2]);
+        } else {
+          builder.text(heading[2], MARKDOWN_INLINE_PATTERN);
+        }
+        builder.literal(heading[3] || '');
+      } else {
+        const prefix = line.match(/^\s*(?:>\s*)*(?:(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?)?/)[0];
+        builder.literal(prefix);
+        builder.text(line.slice(prefix.length), MARKDOWN_INLINE_PATTERN);
+      }
+    }
+
+    previousBlank = line.trim() === '';
+    if (i < lines.length - 1) builder.literal(newline);
+  });
+
+  return builder.build();
+}
+
+// 文書を解析し、翻訳対象の文字列一覧と組み立て関数を返す
+function parseDocument(content, format, options = {}) {
+  const maxSegmentLength = options.maxSegmentLength || 2000;
+  if (format === 'markdown') {
+    return parseMarkdown(content, maxSegmentLength, options);
+  }
+  return parseSubtitles(content, maxSegmentLength);
+}
+
+module.exports = {
+  FORMATS,
+  normalizeFormat,
+  parseDocument
+};
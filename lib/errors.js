@@ -0,0 +1,119 @@
+// APIのエラーコードと共通のエラー応答
+// code は機械判定用の固定値、error は人が読むためのメッセージ
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, message: 'リクエストの内容が不正です' },
+  INVALID_JSON: { status: 400, message: 'リクエストボディのJSONが不正です' },
+  CONTENT_BLOCKED: { status: 400, message: '入力が翻訳サービスの安全フィルターによってブロックされました' },
+  UNAUTHORIZED: { status: 401, message: '認証が必要です' },
+  FORBIDDEN: { status: 403, message: 'この操作は許可されていません' },
+  NOT_FOUND: { status: 404, message: 'リソースが見つかりません' },
+  CONFLICT: { status: 409, message: '現在の状態ではこの操作を実行できません' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'リクエストボディが大きすぎます' },
+  RATE_LIMITED: { status: 429, message: 'レート制限に達しました。しばらく待ってから再度お試しください。' },
+  QUOTA_EXCEEDED: { status: 429, message: 'APIキーのクォータを超過しました' },
+  UPSTREAM_RATE_LIMITED: { status: 429, message: '翻訳サービスのレート制限に達しました。しばらく待ってから再度お試しください。' },
+  INTERNAL_ERROR: { status: 500, message: 'サーバーエラーが発生しました' },
+  UPSTREAM_ERROR: { status: 502, message: '翻訳サービスでエラーが発生しました' },
+  UPSTREAM_INVALID_RESPONSE: { status: 502, message: '翻訳サービスの応答が不正です' },
+  NOT_CONFIGURED: { status: 503, message: '必要な設定がされていないため利用できません' },
+  CIRCUIT_OPEN: { status: 503, message: '翻訳サービスの障害が続いているため、一時的に停止しています' },
+  UPSTREAM_TIMEOUT: { status: 504, message: '翻訳サービスが時間内に応答しませんでした' }
+};
+
+// 外部API・プロバイダーのエラーの種類（error.type）とエラーコードの対応
+const UPSTREAM_ERROR_CODES = {
+  rate_limited: 'UPSTREAM_RATE_LIMITED',
+  timeout: 'UPSTREAM_TIMEOUT',
+  circuit_open: 'CIRCUIT_OPEN',
+  not_configured: 'NOT_CONFIGURED',
+  content_blocked: 'CONTENT_BLOCKED',
+  invalid_response: 'UPSTREAM_INVALID_RESPONSE',
+  unavailable: 'UPSTREAM_ERROR',
+  auth: 'UPSTREAM_ERROR',
+  other: 'UPSTREAM_ERROR'
+};
+
+// express.json（body-parser）のエラーの種類とエラーコードの対応
+const BODY_PARSER_ERROR_CODES = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE'
+};
+
+// エラーコード付きのエラー
+//   details: 項目ごとのエラー（[{ field, message }]）
+//   extra: 応答に含める追加の情報（supported_dialects など）
+class ApiError extends Error {
+  constructor(code, message, { details, extra, retryAfterMs, cause } = {}) {
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    super(message || definition.message);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = definition.status;
+    this.details = details;
+    this.extra = extra;
+    this.retryAfterMs = retryAfterMs || null;
+    if (cause) this.cause = cause;
+  }
+}
+
+// 入力項目のバリデーションエラー（1項目）
+function validationError(field, message, extra) {
+  return new ApiError('VALIDATION_FAILED', message, {
+    details: [{ field, message }],
+    extra
+  });
+}
+
+// 任意のエラーを ApiError に変換する
+// 外部APIのエラーは種類に応じたコードにする（元のメッセージは応答に含めず、呼び出し元のログに残す）
+// それ以外の想定外のエラーは内部の情報を返さない
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error && BODY_PARSER_ERROR_CODES[error.type]) {
+    return new ApiError(BODY_PARSER_ERROR_CODES[error.type], null, { cause: error });
+  }
+
+  if (error && UPSTREAM_ERROR_CODES[error.type]) {
+    return new ApiError(UPSTREAM_ERROR_CODES[error.type], null, {
+      details: error.details,
+      retryAfterMs: error.retryAfterMs,
+      cause: error
+    });
+  }
+
+  return new ApiError('INTERNAL_ERROR', null, { cause: error });
+}
+
+// エラー応答の本文（clock はタイムスタンプの時計。createApp からは注入した now を渡す）
+function errorBody(apiError, requestId, clock = Date) {
+  return {
+    success: false,
+    code: apiError.code,
+    error: apiError.message,
+    ...(apiError.details ? { details: apiError.details } : {}),
+    ...(apiError.retryAfterMs ? { retry_after_seconds: Math.ceil(apiError.retryAfterMs / 1000) } : {}),
+    ...(apiError.extra || {}),
+    ...(requestId ? { request_id: requestId } : {}),
+    timestamp: new Date(clock.now()).toISOString()
+  };
+}
+
+// エラー応答を送る（待ち時間がわかれば Retry-After を付ける）
+function sendError(res, error, clock = Date) {
+  const apiError = toApiError(error);
+  if (apiError.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(apiError.retryAfterMs / 1000)));
+  }
+  res.status(apiError.status).json(errorBody(apiError, res.req && res.req.id, clock));
+  return apiError;
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  validationError,
+  toApiError,
+  errorBody,
+  sendError
+};
@@ -0,0 +1,484 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STANDARD, defaultDialectRegistry } = require('./dialects');
+const { DEFAULT_REGISTER, findRegister } = require('./registers');
+const { buildDetection } = require('./detect');
+const { toApiError } = require('./errors');
+const { logger: defaultLogger } = require('./logger');
+
+// 評価用の正解データ（ゴールデンセット）
+// GOLDEN_SET_PATH にはJSONファイル、またはJSONファイルを置いたディレクトリを指定できる
+const DEFAULT_GOLDEN_SET_PATH = path.join(__dirname, '..', 'data', 'golden');
+const DEFAULT_EVALUATIONS_DIR = path.join(__dirname, '..', 'storage', 'evaluations');
+
+const DIRECTIONS = ['standard_to_dialect', 'dialect_to_standard'];
+
+// 比較で改善・悪化とみなすケースごとの chrF の差
+const CHANGE_THRESHOLD = 5;
+
+// ファイルの内容からケースの配列を取り出す（配列 または { cases: [...] }）
+function readCases(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const cases = Array.isArray(data) ? data : data.cases;
+  if (!Array.isArray(cases)) {
+    throw new Error(`ゴールデンセットのケースが配列ではありません: ${filePath}`);
+  }
+  return cases;
+}
+
+// ケースを検証して読み込む（ディレクトリの場合はファイル名順に連結する）
+//   { id, dialect, direction, text, references: [...], register? }
+// 方言コードは registry（方言の定義）にあるものだけを受け付ける
+function loadGoldenSet(goldenPath = DEFAULT_GOLDEN_SET_PATH, registry = defaultDialectRegistry) {
+  const rawCases = fs.statSync(goldenPath).isDirectory()
+    ? fs.readdirSync(goldenPath)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .flatMap(name => readCases(path.join(goldenPath, name)))
+    : readCases(goldenPath);
+
+  const ids = new Set();
+  const cases = rawCases.map((raw, i) => {
+    const label = raw && raw.id ? raw.id : `${i + 1}件目`;
+    if (!raw || typeof raw.id !== 'string' || !raw.id.trim()) {
+      throw new Error(`ゴールデンセットのケースにIDがありません（${label}）`);
+    }
+    if (ids.has(raw.id)) {
+      throw new Error(`ゴールデンセットのIDが重複しています: ${raw.id}`);
+    }
+    if (!registry.findDialect(raw.dialect)) {
+      throw new Error(`ゴールデンセットの方言コードが不正です（${label}）: ${raw.dialect}`);
+    }
+    if (!DIRECTIONS.includes(raw.direction)) {
+      throw new Error(`ゴールデンセットの翻訳方向が不正です（${label}）: ${raw.direction}`);
+    }
+    if (typeof raw.text !== 'string' || !raw.text.trim()) {
+      throw new Error(`ゴールデンセットの原文がありません（${label}）`);
+    }
+    const references = Array.isArray(raw.references)
+      ? raw.references.filter(r => typeof r === 'string' && r.trim())
+      : [];
+    if (references.length === 0) {
+      throw new Error(`ゴールデンセットの参照訳がありません（${label}）`);
+    }
+    if (raw.register !== undefined && !findRegister(raw.register)) {
+      throw new Error(`ゴールデンセットの口調が不正です（${label}）: ${raw.register}`);
+    }
+    ids.add(raw.id);
+
+    return {
+      id: raw.id,
+      dialect: raw.dialect,
+      direction: raw.direction,
+      text: raw.text,
+      references,
+      register: raw.register || DEFAULT_REGISTER
+    };
+  });
+
+  return {
+    path: goldenPath,
+    // 実行間の比較で同じゴールデンセットかどうかを確かめるためのハッシュ
+    hash: crypto.createHash('sha256').update(JSON.stringify(cases)).digest('hex').slice(0, 16),
+    cases
+  };
+}
+
+// 方言（下位方言を含む）・翻訳方向・件数でケースを絞り込む
+function selectCases(cases, { dialects, directions, limit } = {}, registry = defaultDialectRegistry) {
+  const selected = cases
+    .filter(c => !dialects || dialects.length === 0 ||
+      dialects.some(code => registry.getDialectLineage(c.dialect).includes(code)))
+    .filter(c => !directions || directions.length === 0 || directions.includes(c.direction));
+  return limit ? selected.slice(0, limit) : selected;
+}
+
+// 比較用の正規化（全角・半角の統一、空白と句読点・記号の除去）
+function normalize(text) {
+  return text.normalize('NFKC').replace(/[\s、。，．,.！？!?「」『』（）()・…ー〜~]/g, '');
+}
+
+function charNgrams(chars, n) {
+  const counts = new Map();
+  for (let i = 0; i + n <= chars.length; i++) {
+    const gram = chars.slice(i, i + n).join('');
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+}
+
+// 1つの参照訳に対する chrF（文字 n-gram の F スコア、0〜100）
+// 空白は除き、両方に n-gram がある次数だけで平均する（sacreBLEU の chrF と同じ扱い）
+function chrfAgainst(hypothesis, reference, { maxOrder = 6, beta = 2 } = {}) {
+  const hyp = Array.from(hypothesis.replace(/\s+/g, ''));
+  const ref = Array.from(reference.replace(/\s+/g, ''));
+  if (hyp.length === 0 && ref.length === 0) return 100;
+
+  const factor = beta * beta;
+  let total = 0;
+  let orders = 0;
+  for (let n = 1; n <= maxOrder; n++) {
+    const hypGrams = charNgrams(hyp, n);
+    const refGrams = charNgrams(ref, n);
+    const hypCount = hyp.length - n + 1;
+    const refCount = ref.length - n + 1;
+    if (hypCount <= 0 || refCount <= 0) continue;
+
+    let matches = 0;
+    hypGrams.forEach((count, gram) => {
+      matches += Math.min(count, refGrams.get(gram) || 0);
+    });
+    const precision = matches / hypCount;
+    const recall = matches / refCount;
+    const denominator = factor * precision + recall;
+    total += denominator > 0 ? ((1 + factor) * precision * recall) / denominator : 0;
+    orders++;
+  }
+
+  return orders > 0 ? (total / orders) * 100 : 0;
+}
+
+// 参照訳のうち最も近いものに対する chrF
+function chrf(hypothesis, references, options) {
+  return Math.max(...references.map(reference => chrfAgainst(hypothesis, reference, options)));
+}
+
+// 正規化した訳がいずれかの参照訳と一致するか
+function exactMatch(hypothesis, references) {
+  const normalized = normalize(hypothesis);
+  return references.some(reference => normalize(reference) === normalized);
+}
+
+// レポートに残すプロバイダーの設定
+function describeProvider(provider) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    temperature: provider.temperature !== undefined ? provider.temperature : null
+  };
+}
+
+// レポートのID（作成日時順に並ぶ）
+function createReportId(date) {
+  return `${date.toISOString().replace(/[-:]/g, '').replace(/\..+$/, '')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// 翻訳の指標（エラーになったケースは chrF 0・不一致として数える）
+function translationMetrics(results) {
+  const chrfs = results.map(r => (r.error ? 0 : r.chrf));
+  return {
+    count: results.length,
+    chrf: chrfs.length > 0 ? round(mean(chrfs), 2) : null,
+    exact_match: results.length > 0 ? round(results.filter(r => r.exact_match).length / results.length, 3) : null,
+    error_count: results.filter(r => r.error).length
+  };
+}
+
+// 方言判定の指標
+//   accuracy: 方言コードが一致した割合
+//   family_accuracy: 同じ系統（最上位の方言）と判定した割合（博多弁を福岡弁と判定した場合など）
+function detectionMetrics(results) {
+  const detected = results.filter(r => r.detection);
+  const rate = predicate => (detected.length > 0
+    ? round(detected.filter(r => predicate(r.detection)).length / detected.length, 3)
+    : null);
+  return {
+    count: detected.length,
+    accuracy: rate(d => d.correct),
+    family_accuracy: rate(d => d.family_correct),
+    error_count: detected.filter(r => r.detection.error).length
+  };
+}
+
+// ケースごとの結果から全体・方言別・方向別の集計を作る
+function summarize(results) {
+  const groupBy = key => {
+    const groups = {};
+    results.forEach(r => {
+      (groups[r[key]] = groups[r[key]] || []).push(r);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([group, items]) => [group, translationMetrics(items)]));
+  };
+
+  return {
+    translation: translationMetrics(results),
+    detection: detectionMetrics(results),
+    by_dialect: groupBy('dialect'),
+    by_direction: groupBy('direction')
+  };
+}
+
+function rootOf(registry, code) {
+  const lineage = registry.getDialectLineage(code);
+  return lineage[lineage.length - 1];
+}
+
+// 1ケースの評価（方言→標準語のケースは方言判定も評価する）
+async function evaluateCase(provider, testCase, { detection, registry }) {
+  const source = testCase.direction === 'standard_to_dialect' ? STANDARD : testCase.dialect;
+  const target = testCase.direction === 'standard_to_dialect' ? testCase.dialect : STANDARD;
+  const result = {
+    id: testCase.id,
+    dialect: testCase.dialect,
+    direction: testCase.direction,
+    text: testCase.text,
+    references: testCase.references
+  };
+
+  const startTime = Date.now();
+  try {
+    const hypothesis = await provider.translate(testCase.text, source, target, { register: testCase.register });
+    Object.assign(result, {
+      hypothesis,
+      chrf: round(chrf(hypothesis, testCase.references), 2),
+      exact_match: exactMatch(hypothesis, testCase.references)
+    });
+  } catch (error) {
+    const apiError = toApiError(error);
+    Object.assign(result, { hypothesis: null, chrf: null, exact_match: false, error: { code: apiError.code, message: apiError.message } });
+  }
+  result.duration_ms = Date.now() - startTime;
+
+  // 判定は /api/translate/detect と同じ処理（プロバイダーの判定結果を buildDetection で確定）で行う
+  if (detection && testCase.direction === 'dialect_to_standard') {
+    try {
+      const raw = await provider.detect(testCase.text, { translate: false });
+      const detected = buildDetection({ text: testCase.text, raw, sentences: null, dialects: registry });
+      result.detection = {
+        expected: testCase.dialect,
+        detected: detected.detected_dialect,
+        confidence: detected.confidence,
+        correct: detected.detected_dialect === testCase.dialect,
+        family_correct: registry.findDialect(detected.detected_dialect)
+          ? rootOf(registry, detected.detected_dialect) === rootOf(registry, testCase.dialect)
+          : false
+      };
+    } catch (error) {
+      const apiError = toApiError(error);
+      result.detection = {
+        expected: testCase.dialect,
+        detected: null,
+        confidence: null,
+        correct: false,
+        family_correct: false,
+        error: { code: apiError.code, message: apiError.message }
+      };
+    }
+  }
+
+  return result;
+}
+
+// ゴールデンセットでプロバイダーを評価し、レポートを返す
+//   config: レポートに残すプロバイダーの設定（provider / model / temperature）
+//   onProgress: (完了件数, 全件数) を受け取るコールバック
+//   registry: 方言判定の対象にする方言の定義
+async function runEvaluation({
+  id,
+  provider,
+  goldenSet,
+  cases = goldenSet.cases,
+  config,
+  label,
+  detection = true,
+  registry = defaultDialectRegistry,
+  onProgress
+}) {
+  const startTime = Date.now();
+  const results = [];
+
+  // 外部APIのレート制限を避けるため1件ずつ評価する
+  for (const testCase of cases) {
+    results.push(await evaluateCase(provider, testCase, { detection, registry }));
+    if (onProgress) onProgress(results.length, cases.length);
+  }
+
+  return {
+    id: id || createReportId(new Date(startTime)),
+    label: label || null,
+    created_at: new Date(startTime).toISOString(),
+    duration_ms: Date.now() - startTime,
+    config,
+    golden_set: {
+      hash: goldenSet.hash,
+      case_count: goldenSet.cases.length,
+      evaluated_count: cases.length
+    },
+    detection,
+    summary: summarize(results),
+    cases: results
+  };
+}
+
+function delta(baseline, current) {
+  return {
+    baseline,
+    current,
+    delta: baseline === null || current === null ? null : round(current - baseline, 3)
+  };
+}
+
+// 2つのレポートの比較（両方で評価したケースだけで集計し直す）
+function compareReports(baseline, current) {
+  const baselineCases = new Map(baseline.cases.map(c => [c.id, c]));
+  const common = current.cases.filter(c => baselineCases.has(c.id));
+  const commonIds = new Set(common.map(c => c.id));
+  const before = summarize(baseline.cases.filter(c => commonIds.has(c.id)));
+  const after = summarize(common);
+
+  const changes = common
+    .map(c => {
+      const previous = baselineCases.get(c.id);
+      return {
+        id: c.id,
+        baseline_chrf: previous.error ? 0 : previous.chrf,
+        current_chrf: c.error ? 0 : c.chrf,
+        baseline_hypothesis: previous.hypothesis,
+        current_hypothesis: c.hypothesis
+      };
+    })
+    .map(c => ({ ...c, delta: round(c.current_chrf - c.baseline_chrf, 2) }));
+
+  return {
+    baseline: { id: baseline.id, label: baseline.label, created_at: baseline.created_at, config: baseline.config },
+    current: { id: current.id, label: current.label, created_at: current.created_at, config: current.config },
+    // ゴールデンセットが変わっている場合は参照訳の違いも差に含まれる
+    same_golden_set: baseline.golden_set.hash === current.golden_set.hash,
+    common_case_count: common.length,
+    translation: {
+      chrf: delta(before.translation.chrf, after.translation.chrf),
+      exact_match: delta(before.translation.exact_match, after.translation.exact_match),
+      error_count: delta(before.translation.error_count, after.translation.error_count)
+    },
+    detection: {
+      accuracy: delta(before.detection.accuracy, after.detection.accuracy),
+      family_accuracy: delta(before.detection.family_accuracy, after.detection.family_accuracy)
+    },
+    by_dialect: Object.fromEntries(Object.keys(after.by_dialect).map(code => [
+      code,
+      { chrf: delta(before.by_dialect[code].chrf, after.by_dialect[code].chrf) }
+    ])),
+    improved: changes.filter(c => c.delta >= CHANGE_THRESHOLD).sort((a, b) => b.delta - a.delta),
+    regressed: changes.filter(c => c.delta <= -CHANGE_THRESHOLD).sort((a, b) => a.delta - b.delta)
+  };
+}
+
+// 評価の実行とレポートの保存（レポートは1件ずつJSONファイルに保存する）
+function createEvaluationStore(options = {}) {
+  const dir = options.dir || DEFAULT_EVALUATIONS_DIR;
+  const logger = options.logger || defaultLogger;
+  const registry = options.registry || defaultDialectRegistry;
+  // 実行中の評価（完了するとファイルに保存し、ここから消す）
+  const running = new Map();
+
+  function reportPath(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function save(report) {
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = reportPath(report.id);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(report, null, 2) + '\n');
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  // ID は英数字とハイフンのみ（パスの指定に使うため）
+  function get(id) {
+    if (running.has(id)) return running.get(id);
+    if (!/^[\w-]+$/.test(id) || !fs.existsSync(reportPath(id))) return null;
+    return { status: 'completed', ...JSON.parse(fs.readFileSync(reportPath(id), 'utf8')) };
+  }
+
+  // 一覧用の要約（ケースごとの結果は含めない）
+  function summaryOf(report) {
+    const { cases, ...rest } = report;
+    return rest;
+  }
+
+  // 新しい順
+  function list() {
+    const completed = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).flatMap(file => {
+        try {
+          return [{ status: 'completed', ...summaryOf(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))) }];
+        } catch (error) {
+          logger.error('評価レポートの読み込みに失敗しました', { file, error });
+          return [];
+        }
+      })
+      : [];
+    return [...running.values(), ...completed]
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  // バックグラウンドで評価を実行する（実行中の状態をすぐに返す）
+  function start({ provider, goldenSet, cases, config, label, detection }) {
+    const id = createReportId(new Date());
+    const state = {
+      id,
+      status: 'running',
+      label: label || null,
+      created_at: new Date().toISOString(),
+      config,
+      progress: { completed_count: 0, total_count: cases.length }
+    };
+    running.set(id, state);
+    logger.info('評価を開始しました', { id, config, case_count: cases.length });
+
+    runEvaluation({
+      id,
+      provider,
+      goldenSet,
+      cases,
+      config,
+      label,
+      detection,
+      registry,
+      onProgress: (completed, total) => {
+        state.progress = { completed_count: completed, total_count: total };
+      }
+    }).then(report => {
+      save(report);
+      running.delete(id);
+      logger.info('評価が完了しました', { id, summary: report.summary.translation, detection: report.summary.detection });
+    }).catch(error => {
+      state.status = 'failed';
+      state.error = error.message;
+      logger.error('評価に失敗しました', { id, error });
+    });
+
+    return state;
+  }
+
+  return {
+    start,
+    get,
+    list,
+    save,
+    summaryOf
+  };
+}
+
+module.exports = {
+  DEFAULT_GOLDEN_SET_PATH,
+  DIRECTIONS,
+  describeProvider,
+  loadGoldenSet,
+  selectCases,
+  chrf,
+  exactMatch,
+  summarize,
+  runEvaluation,
+  compareReports,
+  createEvaluationStore
+};
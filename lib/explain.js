@@ -0,0 +1,152 @@
+const { STANDARD } = require('./dialects');
+const { validate } = require('./schema');
+
+const offsetsSchema = {
+  type: 'object',
+  nullable: true,
+  required: ['start', 'end'],
+  additionalProperties: false,
+  properties: {
+    start: { type: 'integer', minimum: 0 },
+    end: { type: 'integer', minimum: 0 }
+  }
+};
+
+// プロバイダーが返す解説（オフセットはサーバー側で計算する）
+const RAW_EXPLANATION_SCHEMA = {
+  type: 'object',
+  required: ['expressions', 'grammar_note'],
+  properties: {
+    expressions: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['dialect_expression', 'standard_meaning', 'side'],
+        properties: {
+          dialect_expression: { type: 'string', minLength: 1, maxLength: 100 },
+          standard_meaning: { type: 'string', minLength: 1, maxLength: 200 },
+          note: { type: 'string', nullable: true, maxLength: 500 },
+          side: { enum: ['source', 'output'] }
+        }
+      }
+    },
+    grammar_note: { type: 'string', maxLength: 1000 }
+  }
+};
+
+// レスポンスとして返す解説
+const EXPLANATION_SCHEMA = {
+  type: 'object',
+  required: ['spans', 'grammar_note', 'offset_unit', 'dropped_span_count'],
+  additionalProperties: false,
+  properties: {
+    spans: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['dialect_expression', 'standard_meaning', 'note', 'side', 'source_offsets', 'output_offsets'],
+        additionalProperties: false,
+        properties: {
+          dialect_expression: { type: 'string', minLength: 1 },
+          standard_meaning: { type: 'string', minLength: 1 },
+          note: { type: 'string', nullable: true },
+          side: { enum: ['source', 'output'] },
+          source_offsets: offsetsSchema,
+          output_offsets: offsetsSchema
+        }
+      }
+    },
+    grammar_note: { type: 'string' },
+    offset_unit: { const: 'code_point' },
+    dropped_span_count: { type: 'integer', minimum: 0 }
+  }
+};
+
+// 解説の形式が不正な場合のエラー
+class ExplanationSchemaError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ExplanationSchemaError';
+    // 翻訳プロバイダーの応答不正として扱う（502）
+    this.type = 'invalid_response';
+    this.details = details;
+  }
+}
+
+// 文字列中の位置をコードポイント単位のオフセットに変換して探す
+// 同じ語句が複数回出てくる場合は前回見つけた位置より後ろを探す
+function locate(text, needle, cursors) {
+  if (!needle) return null;
+  const from = cursors.get(needle) || 0;
+  let index = text.indexOf(needle, from);
+  if (index === -1) index = text.indexOf(needle);
+  if (index === -1) return null;
+
+  cursors.set(needle, index + needle.length);
+  const start = Array.from(text.slice(0, index)).length;
+  return { start, end: start + Array.from(needle).length };
+}
+
+// プロバイダーの解説を検証し、原文・訳文でのオフセットを付けて返す
+function buildExplanation({ text, translatedText, source, target, raw }) {
+  const rawErrors = validate(RAW_EXPLANATION_SCHEMA, raw);
+  if (rawErrors.length > 0) {
+    throw new ExplanationSchemaError('解説の形式が正しくありません', rawErrors);
+  }
+
+  const sourceCursors = new Map();
+  const outputCursors = new Map();
+  let dropped = 0;
+
+  const spans = raw.expressions.map(expression => {
+    const sideText = expression.side === 'source' ? text : translatedText;
+    const sideCursors = expression.side === 'source' ? sourceCursors : outputCursors;
+    const dialectOffsets = locate(sideText, expression.dialect_expression, sideCursors);
+
+    // 方言の語句がテキストに見つからない解説は捨てる
+    if (!dialectOffsets) {
+      dropped++;
+      return null;
+    }
+
+    // 反対側が標準語なら、標準語の意味が現れる位置も探す
+    const otherIsStandard = expression.side === 'source' ? target === STANDARD : source === STANDARD;
+    const otherOffsets = otherIsStandard
+      ? (expression.side === 'source'
+        ? locate(translatedText, expression.standard_meaning, outputCursors)
+        : locate(text, expression.standard_meaning, sourceCursors))
+      : null;
+
+    return {
+      dialect_expression: expression.dialect_expression,
+      standard_meaning: expression.standard_meaning,
+      note: expression.note || null,
+      side: expression.side,
+      source_offsets: expression.side === 'source' ? dialectOffsets : otherOffsets,
+      output_offsets: expression.side === 'output' ? dialectOffsets : otherOffsets
+    };
+  }).filter(Boolean);
+
+  const explanation = {
+    spans,
+    grammar_note: raw.grammar_note,
+    offset_unit: 'code_point',
+    dropped_span_count: dropped
+  };
+
+  const errors = validate(EXPLANATION_SCHEMA, explanation);
+  if (errors.length > 0) {
+    throw new ExplanationSchemaError('解説の形式が正しくありません', errors);
+  }
+
+  return explanation;
+}
+
+module.exports = {
+  RAW_EXPLANATION_SCHEMA,
+  EXPLANATION_SCHEMA,
+  ExplanationSchemaError,
+  locate,
+  buildExplanation
+};
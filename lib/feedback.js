@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { defaultDialectRegistry } = require('./dialects');
+const { logger: defaultLogger } = require('./logger');
+
+const DEFAULT_FEEDBACK_FILE = path.join(__dirname, '..', 'storage', 'feedback.json');
+
+// レビューの状態（approved のものだけを翻訳例として使う）
+const FEEDBACK_STATUSES = ['pending', 'approved', 'rejected'];
+
+// 修正訳がない場合に、元の訳を翻訳例として使える評価の下限
+const MIN_EXAMPLE_RATING = 4;
+
+// 翻訳方向ごとの保存キー
+function directionKey(source, target) {
+  return `${source}>${target}`;
+}
+
+// 文字バイグラム（1文字のテキストはその文字）
+function bigrams(text) {
+  const chars = Array.from(text.replace(/\s+/g, ''));
+  if (chars.length < 2) return new Set(chars);
+  const result = new Set();
+  for (let i = 0; i < chars.length - 1; i++) {
+    result.add(chars[i] + chars[i + 1]);
+  }
+  return result;
+}
+
+// 文字バイグラムのDice係数による類似度（0〜1）
+function similarity(a, b) {
+  if (a === b) return 1;
+  const x = bigrams(a);
+  const y = bigrams(b);
+  if (x.size === 0 || y.size === 0) return 0;
+  let shared = 0;
+  x.forEach(gram => {
+    if (y.has(gram)) shared++;
+  });
+  return (2 * shared) / (x.size + y.size);
+}
+
+// 翻訳例として使う訳（修正訳、または評価の高い元の訳。使えない場合は null）
+function exampleTarget(entry) {
+  if (entry.corrected_text) return entry.corrected_text;
+  return entry.rating >= MIN_EXAMPLE_RATING ? entry.translated_text : null;
+}
+
+// 翻訳結果へのフィードバック（評価と修正訳、翻訳方向ごとにJSONファイルに保存）
+// 承認された修正訳は、似た入力の翻訳で翻訳例（few-shot）として使う
+//   maxExamples: 1回の翻訳で使う翻訳例の最大数
+//   minSimilarity: 翻訳例として使う入力の類似度の下限
+function createFeedbackStore(options = {}) {
+  const filePath = options.file || DEFAULT_FEEDBACK_FILE;
+  const maxExamples = options.maxExamples !== undefined ? options.maxExamples : 3;
+  const minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : 0.3;
+  const now = options.now || Date.now;
+  const logger = options.logger || defaultLogger;
+  const dialects = options.dialects || defaultDialectRegistry;
+  let feedback = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      feedback = JSON.parse(fs.readFileSync(filePath, 'utf8')).feedback || {};
+    } catch (error) {
+      logger.error('フィードバックファイルの読み込みに失敗しました', { file: filePath, error });
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ feedback }, null, 2) + '\n');
+    fs.renameSync(tmpFile, filePath);
+  }
+
+  function allEntries() {
+    return Object.values(feedback).flat();
+  }
+
+  function add({ originalText, translatedText, correctedText, rating, comment, source, target, register, historyId, apiKeyId }) {
+    const key = directionKey(source, target);
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      source_dialect: source,
+      target_dialect: target,
+      register: register || null,
+      original_text: originalText,
+      translated_text: translatedText,
+      corrected_text: correctedText ? correctedText.trim() : null,
+      rating,
+      comment: comment || null,
+      status: 'pending',
+      review_note: null,
+      history_id: historyId || null,
+      api_key_id: apiKeyId || null,
+      created_at: new Date(now()).toISOString(),
+      reviewed_at: null
+    };
+    feedback[key] = [...(feedback[key] || []), entry];
+    save();
+    return entry;
+  }
+
+  // 条件に一致するフィードバック（新しい順）
+  //   dialect: 翻訳元・翻訳先のどちらかの方言（下位方言を含む）
+  function list({ status, dialect, source, target } = {}) {
+    return allEntries()
+      .filter(e => !status || e.status === status)
+      .filter(e => !source || e.source_dialect === source)
+      .filter(e => !target || e.target_dialect === target)
+      .filter(e => !dialect || [e.source_dialect, e.target_dialect]
+        .some(code => dialects.getDialectLineage(code).includes(dialect)))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  function get(id) {
+    return allEntries().find(e => e.id === id) || null;
+  }
+
+  // レビュー結果の記録（レビュー時に修正訳を書き直すこともできる）
+  function review(id, { status, correctedText, note }) {
+    const entry = get(id);
+    if (!entry) return null;
+    if (correctedText !== undefined) entry.corrected_text = correctedText ? correctedText.trim() : null;
+    if (note !== undefined) entry.review_note = note;
+    entry.status = status;
+    entry.reviewed_at = new Date(now()).toISOString();
+    save();
+    return entry;
+  }
+
+  function remove(id) {
+    const entry = get(id);
+    if (!entry) return false;
+    const key = directionKey(entry.source_dialect, entry.target_dialect);
+    feedback[key] = feedback[key].filter(e => e.id !== id);
+    if (feedback[key].length === 0) delete feedback[key];
+    save();
+    return true;
+  }
+
+  // 入力に似た承認済みの翻訳例（同じ翻訳方向のもの。類似度の高い順）
+  function findExamples(text, source, target) {
+    if (maxExamples <= 0) return [];
+
+    return (feedback[directionKey(source, target)] || [])
+      .filter(e => e.status === 'approved' && exampleTarget(e))
+      .map(e => ({ entry: e, score: similarity(text, e.original_text) }))
+      .filter(({ score }) => score >= minSimilarity)
+      // 同じ類似度なら新しくレビューされたものを優先
+      .sort((a, b) => b.score - a.score || (b.entry.reviewed_at || '').localeCompare(a.entry.reviewed_at || ''))
+      .slice(0, maxExamples)
+      .map(({ entry }) => ({ source_text: entry.original_text, target_text: exampleTarget(entry) }));
+  }
+
+  function stats() {
+    const entries = allEntries();
+    return {
+      total_count: entries.length,
+      ...Object.fromEntries(FEEDBACK_STATUSES.map(status => [
+        `${status}_count`,
+        entries.filter(e => e.status === status).length
+      ]))
+    };
+  }
+
+  return {
+    add,
+    list,
+    get,
+    review,
+    remove,
+    findExamples,
+    stats
+  };
+}
+
+module.exports = {
+  FEEDBACK_STATUSES,
+  MIN_EXAMPLE_RATING,
+  createFeedbackStore
+};
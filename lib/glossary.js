@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STANDARD, defaultDialectRegistry } = require('./dialects');
+const { logger: defaultLogger } = require('./logger');
+
+const DEFAULT_GLOSSARY_FILE = path.join(__dirname, '..', 'storage', 'glossaries.json');
+
+// 方言ごとの用語集（標準語 ⇔ 方言の語句対、JSONファイルに保存）
+// 下位の方言（博多弁など）の翻訳には親の方言（福岡弁など）の用語も使う
+function createGlossaryStore(options = {}) {
+  const filePath = options.file || DEFAULT_GLOSSARY_FILE;
+  const logger = options.logger || defaultLogger;
+  const now = options.now || Date.now;
+  const dialects = options.dialects || defaultDialectRegistry;
+  let glossaries = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      glossaries = JSON.parse(fs.readFileSync(filePath, 'utf8')).glossaries || {};
+    } catch (error) {
+      logger.error('用語集ファイルの読み込みに失敗しました', { file: filePath, error });
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ glossaries }, null, 2) + '\n');
+    fs.renameSync(tmpFile, filePath);
+  }
+
+  function list(dialectCode) {
+    return glossaries[dialectCode] || [];
+  }
+
+  function add(dialectCode, { standard, dialect, note }) {
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      standard: standard.trim(),
+      dialect: dialect.trim(),
+      note: note || null,
+      created_at: new Date(now()).toISOString(),
+      updated_at: new Date(now()).toISOString()
+    };
+    glossaries[dialectCode] = [...list(dialectCode), entry];
+    save();
+    return entry;
+  }
+
+  function update(dialectCode, id, { standard, dialect, note }) {
+    const entry = list(dialectCode).find(e => e.id === id);
+    if (!entry) return null;
+    if (standard !== undefined) entry.standard = standard.trim();
+    if (dialect !== undefined) entry.dialect = dialect.trim();
+    if (note !== undefined) entry.note = note;
+    entry.updated_at = new Date(now()).toISOString();
+    save();
+    return entry;
+  }
+
+  function remove(dialectCode, id) {
+    const entries = list(dialectCode);
+    if (!entries.some(e => e.id === id)) return false;
+    glossaries[dialectCode] = entries.filter(e => e.id !== id);
+    save();
+    return true;
+  }
+
+  // 方言と親の方言の用語（下位の方言を優先し、同じ key の語句を持つ親の用語は除く）
+  // dialect には用語を登録した方言のコードを入れる
+  function resolve(dialectCode, key) {
+    const lineage = dialects.getDialectLineage(dialectCode);
+    const seen = new Set();
+    const entries = [];
+    (lineage.length > 0 ? lineage : [dialectCode]).forEach(code => {
+      list(code).forEach(e => {
+        if (seen.has(e[key])) return;
+        seen.add(e[key]);
+        entries.push({ ...e, dialect_code: code });
+      });
+    });
+    return entries;
+  }
+
+  // 入力テキストに含まれる用語と、翻訳結果で使うべき訳語の組を返す
+  function match(text, source, target) {
+    const terms = [];
+
+    if (source === STANDARD) {
+      resolve(target, 'standard').forEach(e => {
+        if (text.includes(e.standard)) {
+          terms.push({ id: e.id, dialect: e.dialect_code, source_term: e.standard, target_term: e.dialect });
+        }
+      });
+    } else if (target === STANDARD) {
+      resolve(source, 'dialect').forEach(e => {
+        if (text.includes(e.dialect)) {
+          terms.push({ id: e.id, dialect: e.dialect_code, source_term: e.dialect, target_term: e.standard });
+        }
+      });
+    } else {
+      // 方言同士は標準語の見出しが一致する用語を対応させる
+      const targetEntries = resolve(target, 'standard');
+      resolve(source, 'dialect').forEach(e => {
+        if (!text.includes(e.dialect)) return;
+        const counterpart = targetEntries.find(t => t.standard === e.standard);
+        if (counterpart) {
+          terms.push({ id: counterpart.id, dialect: counterpart.dialect_code, source_term: e.dialect, target_term: counterpart.dialect });
+        }
+      });
+    }
+
+    // 長い語句を優先（短い語句が長い語句の一部になっている場合の置換順序のため）
+    return terms.sort((a, b) => b.source_term.length - a.source_term.length);
+  }
+
+  // 翻訳結果が用語集に従っているかを確認
+  function checkCompliance(translatedText, terms) {
+    const applied = [];
+    const violated = [];
+    terms.forEach(term => {
+      (translatedText.includes(term.target_term) ? applied : violated).push(term);
+    });
+    return { applied, violated };
+  }
+
+  return {
+    list,
+    add,
+    update,
+    remove,
+    match,
+    checkCompliance
+  };
+}
+
+module.exports = {
+  createGlossaryStore
+};
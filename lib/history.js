@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { defaultDialectRegistry } = require('./dialects');
+const { logger: defaultLogger } = require('./logger');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'storage', 'history.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 記録元（翻訳・バッチ翻訳・方言判定）
+const HISTORY_TYPES = ['translate', 'batch', 'detect'];
+
+// 翻訳履歴（翻訳・バッチ翻訳・方言判定の結果、JSONファイルに保存）
+//   retentionDays: 保存日数（0 は無期限。お気に入りは期限で削除しない）
+//   maxEntries: 最大件数（超えた場合はお気に入り以外の古いものから削除する）
+//   enabled: false の場合は記録も読み込みもしない
+function createHistoryStore(options = {}) {
+  const filePath = options.file || DEFAULT_HISTORY_FILE;
+  const enabled = options.enabled !== false;
+  const retentionDays = options.retentionDays !== undefined ? options.retentionDays : 30;
+  const maxEntries = options.maxEntries || 10000;
+  const now = options.now || Date.now;
+  const logger = options.logger || defaultLogger;
+  const dialects = options.dialects || defaultDialectRegistry;
+  let entries = [];
+  let saveTimer = null;
+
+  if (enabled && fs.existsSync(filePath)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8')).entries || [];
+      logger.info('翻訳履歴を読み込みました', { count: entries.length, file: filePath });
+    } catch (error) {
+      logger.error('翻訳履歴ファイルの読み込みに失敗しました', { file: filePath, error });
+    }
+  }
+
+  function save() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ entries }, null, 2) + '\n');
+    fs.renameSync(tmpFile, filePath);
+  }
+
+  // 記録は翻訳のたびに行われるので書き込みをまとめる
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        save();
+      } catch (error) {
+        logger.error('翻訳履歴ファイルの保存に失敗しました', { file: filePath, error });
+      }
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  // 保存期間と最大件数を超えた履歴を削除し、削除した件数を返す
+  function prune() {
+    const before = entries.length;
+    if (retentionDays > 0) {
+      const threshold = now() - retentionDays * DAY_MS;
+      entries = entries.filter(e => e.favorite || Date.parse(e.created_at) >= threshold);
+    }
+    let excess = entries.length - maxEntries;
+    if (excess > 0) {
+      // entries は古い順に並んでいる
+      entries = entries.filter(e => {
+        if (excess > 0 && !e.favorite) {
+          excess--;
+          return false;
+        }
+        return true;
+      });
+    }
+    return before - entries.length;
+  }
+
+  // 履歴を記録する（無効な場合は null）
+  function record({ type, originalText, translatedText, source, target, register, detectedDialect, apiKeyId, requestId }) {
+    if (!enabled) return null;
+
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      original_text: originalText,
+      translated_text: translatedText === undefined ? null : translatedText,
+      source_dialect: source,
+      target_dialect: target || null,
+      register: register || null,
+      ...(detectedDialect ? { detected_dialect: detectedDialect } : {}),
+      favorite: false,
+      api_key_id: apiKeyId || null,
+      request_id: requestId || null,
+      created_at: new Date(now()).toISOString()
+    };
+    entries.push(entry);
+    prune();
+    scheduleSave();
+    return entry;
+  }
+
+  // 方言の条件に一致するか（下位方言の履歴は親の方言の検索にも含める）
+  function matchesDialect(entry, dialect) {
+    return [entry.source_dialect, entry.target_dialect, entry.detected_dialect]
+      .some(code => code && dialects.getDialectLineage(code).includes(dialect));
+  }
+
+  // 条件に一致する履歴（新しい順）
+  //   apiKeyId: undefined の場合はすべてのAPIキーの履歴を対象にする
+  //   q: 原文・訳文の部分一致
+  function search({ apiKeyId, q, dialect, type, favorite } = {}) {
+    return entries
+      .filter(e => apiKeyId === undefined || e.api_key_id === apiKeyId)
+      .filter(e => !q || e.original_text.includes(q) || (e.translated_text || '').includes(q))
+      .filter(e => !dialect || matchesDialect(e, dialect))
+      .filter(e => !type || e.type === type)
+      .filter(e => favorite === undefined || e.favorite === favorite)
+      .reverse();
+  }
+
+  function get(id) {
+    return entries.find(e => e.id === id) || null;
+  }
+
+  function setFavorite(id, favorite) {
+    const entry = get(id);
+    if (!entry) return null;
+    entry.favorite = favorite;
+    scheduleSave();
+    return entry;
+  }
+
+  function remove(id) {
+    if (!get(id)) return false;
+    entries = entries.filter(e => e.id !== id);
+    scheduleSave();
+    return true;
+  }
+
+  // 条件に一致する履歴をまとめて削除し、削除した件数を返す
+  function removeMatching(filters) {
+    const targets = new Set(search(filters).map(e => e.id));
+    entries = entries.filter(e => !targets.has(e.id));
+    if (targets.size > 0) scheduleSave();
+    return targets.size;
+  }
+
+  function stats() {
+    return {
+      enabled,
+      entry_count: entries.length,
+      favorite_count: entries.filter(e => e.favorite).length,
+      retention_days: retentionDays,
+      max_entries: maxEntries
+    };
+  }
+
+  if (enabled && prune() > 0) {
+    scheduleSave();
+  }
+
+  return {
+    enabled,
+    record,
+    search,
+    get,
+    setFavorite,
+    remove,
+    removeMatching,
+    prune,
+    stats,
+    flush: () => {
+      if (saveTimer) save();
+    }
+  };
+}
+
+module.exports = {
+  HISTORY_TYPES,
+  createHistoryStore
+};
@@ -0,0 +1,442 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+const dns = require('dns');
+const net = require('net');
+const { logger: defaultLogger } = require('./logger');
+const { createAdaptivePacer } = require('./resilience');
+const { toApiError } = require('./errors');
+
+const DEFAULT_JOBS_DIR = path.join(__dirname, '..', 'storage', 'jobs');
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Webhookの送信先にできないアドレス（ループバック・プライベート・リンクローカル・メタデータなど）
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  // IPv4射影アドレス（::ffff:127.0.0.1 など）は IPv4 として判定する
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Webhook URLの形式の確認（http / https のみ。エラーメッセージか null を返す）
+function checkWebhookUrl(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return 'webhook_urlは正しいURLである必要があります';
+  }
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    return 'webhook_urlは http または https のURLである必要があります';
+  }
+  if (target.username || target.password) {
+    return 'webhook_urlに認証情報を含めることはできません';
+  }
+  return null;
+}
+
+// 名前解決の結果がすべて送信可能なアドレスかを確認する（allowPrivate で確認を省略）
+// 送信時もこの lookup で接続先を決めるため、確認後に名前解決の結果が変わっても内部のアドレスには接続しない
+function createWebhookLookup(allowPrivate) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = addresses.find(a => isBlockedAddress(a.address));
+      if (blocked && !allowPrivate) {
+        const blockedError = new Error(`Webhookの送信先が内部のアドレスです (${hostname} → ${blocked.address})`);
+        blockedError.code = 'EWEBHOOKBLOCKED';
+        return callback(blockedError);
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// 登録時の送信先の確認（エラーメッセージか null を返す）
+function verifyWebhookHost(url, { allowPrivate = false } = {}) {
+  const message = checkWebhookUrl(url);
+  if (message) return Promise.resolve(message);
+
+  // IPアドレスのホスト名は [::1] のような角括弧を外して扱う
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  return new Promise((resolve) => {
+    createWebhookLookup(allowPrivate)(hostname, {}, (error) => {
+      if (!error) return resolve(null);
+      resolve(error.code === 'EWEBHOOKBLOCKED'
+        ? 'webhook_urlにループバック・プライベートなど内部のアドレスは指定できません'
+        : 'webhook_urlのホスト名を解決できません');
+    });
+  });
+}
+
+// 完了通知のWebhook送信
+function postWebhook(url, payload, logger = defaultLogger, { allowPrivate = false } = {}) {
+  return new Promise((resolve) => {
+    if (checkWebhookUrl(url)) {
+      logger.error('Webhook URLが不正です', { url });
+      return resolve(false);
+    }
+    const target = new URL(url);
+    // IPアドレスのホスト名は名前解決（lookup）を通らないため、ここで確認する
+    const literal = target.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(literal) && isBlockedAddress(literal) && !allowPrivate) {
+      logger.error('Webhookの送信先が内部のアドレスです', { url });
+      return resolve(false);
+    }
+
+    const body = JSON.stringify(payload);
+    const protocol = target.protocol === 'https:' ? https : http;
+    const req = protocol.request(target, {
+      method: 'POST',
+      timeout: 10000,
+      lookup: createWebhookLookup(allowPrivate),
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'DialectBridge-Jobs/1.0'
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        logger[ok ? 'info' : 'warn']('Webhook送信', { url, status: res.statusCode });
+        resolve(ok);
+      });
+    });
+
+    req.on('error', (error) => {
+      logger.error('Webhook送信エラー', { url, error });
+      resolve(false);
+    });
+    req.on('timeout', () => {
+      req.destroy();
+      logger.error('Webhook送信タイムアウト', { url });
+      resolve(false);
+    });
+
+    req.end(body);
+  });
+}
+
+// 非同期バッチジョブの管理（1ジョブ1ファイルで保存し、再起動時に未完了分を再開する）
+//   retentionDays: 終了したジョブを保存する日数（0 は無期限）
+//   maxFinishedJobs: 保存する終了したジョブの上限（超えた分は古いものから削除）
+//   allowPrivateWebhooks: true で内部のアドレスへのWebhook送信を許可する（開発用）
+function createJobManager(options = {}) {
+  const dir = options.dir || DEFAULT_JOBS_DIR;
+  const translate = options.translate;
+  const concurrency = options.concurrency || 5;
+  const logger = options.logger || defaultLogger;
+  const now = options.now || Date.now;
+  const retentionDays = options.retentionDays !== undefined ? options.retentionDays : 7;
+  const maxFinishedJobs = options.maxFinishedJobs || 1000;
+  const allowPrivateWebhooks = !!options.allowPrivateWebhooks;
+  const jobs = new Map();
+  const queue = [];
+  const dirtyJobs = new Set();
+  let saveTimer = null;
+  let running = false;
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(file => {
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        jobs.set(job.id, job);
+      } catch (error) {
+        logger.error('ジョブファイルの読み込みに失敗しました', { file, error });
+      }
+    });
+  }
+
+  prune();
+
+  function write(job) {
+    dirtyJobs.delete(job.id);
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, `${job.id}.json`);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(job));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  // 状態の変化（登録・完了・キャンセルなど）はすぐに書き込む
+  function save(job) {
+    job.updated_at = new Date(now()).toISOString();
+    write(job);
+  }
+
+  // 途中経過の更新は頻繁なので書き込みをまとめる
+  function scheduleSave(job) {
+    job.updated_at = new Date(now()).toISOString();
+    dirtyJobs.add(job.id);
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      flush();
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  // 未保存の途中経過を書き出す（終了時用）
+  function flush() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    [...dirtyJobs].forEach(id => {
+      const job = jobs.get(id);
+      if (!job) return dirtyJobs.delete(id);
+      try {
+        write(job);
+      } catch (error) {
+        logger.error('ジョブファイルの保存に失敗しました', { job_id: id, error });
+      }
+    });
+  }
+
+  // 保存期間を過ぎた終了済みのジョブと、上限を超えた古い終了済みのジョブを削除する
+  function prune() {
+    const finished = [...jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => (a.completed_at || a.created_at).localeCompare(b.completed_at || b.created_at));
+    const threshold = retentionDays > 0 ? now() - retentionDays * DAY_MS : null;
+    const expired = finished.filter((job, i) =>
+      i < finished.length - maxFinishedJobs ||
+      (threshold !== null && Date.parse(job.completed_at || job.created_at) < threshold));
+
+    expired.forEach(job => {
+      jobs.delete(job.id);
+      dirtyJobs.delete(job.id);
+      try {
+        fs.rmSync(path.join(dir, `${job.id}.json`), { force: true });
+      } catch (error) {
+        logger.error('ジョブファイルの削除に失敗しました', { job_id: job.id, error });
+      }
+    });
+    if (expired.length > 0) {
+      logger.info('古いジョブを削除しました', { count: expired.length });
+    }
+    return expired.length;
+  }
+
+  function progress(job) {
+    const counts = { pending: 0, succeeded: 0, failed: 0 };
+    job.items.forEach(item => counts[item.status]++);
+    return {
+      total_count: job.items.length,
+      pending_count: counts.pending,
+      success_count: counts.succeeded,
+      error_count: counts.failed,
+      percent: Math.floor(((counts.succeeded + counts.failed) / job.items.length) * 100)
+    };
+  }
+
+  // レスポンス用の要約
+  function summarize(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      source_dialect: job.source,
+      target_dialect: job.target,
+      register: job.register || null,
+      webhook_url: job.webhook_url,
+      progress: progress(job),
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      completed_at: job.completed_at
+    };
+  }
+
+  function results(job, { offset = 0, limit = job.items.length } = {}) {
+    return job.items.slice(offset, offset + limit).map(item => ({
+      index: item.index,
+      original: item.text,
+      translated: item.translated,
+      success: item.status === 'succeeded',
+      status: item.status,
+      attempts: item.attempts,
+      ...(item.error ? { error: item.error } : {})
+    }));
+  }
+
+  function enqueue(job) {
+    if (!queue.includes(job.id)) {
+      queue.push(job.id);
+    }
+    setImmediate(run);
+  }
+
+  async function processJob(job) {
+    job.status = 'running';
+    save(job);
+
+    const pending = job.items.filter(item => item.status === 'pending');
+    // レート制限・タイムアウトが出たらチャンクの間隔を広げる
+    const pacer = createAdaptivePacer();
+    for (let i = 0; i < pending.length; i += concurrency) {
+      // キャンセルは処理中のチャンクが終わった時点で反映する
+      if (job.status === 'cancelled') break;
+      if (i > 0) await pacer.pause();
+
+      const chunkErrors = [];
+      await Promise.all(pending.slice(i, i + concurrency).map(async (item) => {
+        item.attempts++;
+        try {
+          item.translated = await translate(item.text, job.source, job.target, job.register);
+          item.status = 'succeeded';
+          item.error = null;
+        } catch (error) {
+          logger.warn('ジョブ翻訳エラー', { job_id: job.id, index: item.index, error: error.message });
+          chunkErrors.push(error);
+          item.status = 'failed';
+          item.error = toApiError(error).message;
+        }
+      }));
+      pacer.update(chunkErrors);
+      scheduleSave(job);
+    }
+
+    if (job.status !== 'cancelled') {
+      job.status = 'completed';
+      job.completed_at = new Date(now()).toISOString();
+      save(job);
+      logger.info('ジョブ完了', { job_id: job.id, progress: progress(job) });
+      prune();
+
+      if (job.webhook_url) {
+        await postWebhook(job.webhook_url, { event: 'job.completed', job: summarize(job) }, logger, {
+          allowPrivate: allowPrivateWebhooks
+        });
+      }
+    }
+  }
+
+  // キューのジョブを1件ずつ処理する
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      while (queue.length > 0) {
+        const job = jobs.get(queue.shift());
+        if (job && job.status !== 'cancelled') {
+          await processJob(job);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function create({ texts, source, target, register, webhookUrl, apiKeyId }) {
+    const timestamp = new Date(now()).toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      source,
+      target,
+      register,
+      webhook_url: webhookUrl || null,
+      api_key_id: apiKeyId || null,
+      items: texts.map((text, index) => ({
+        index,
+        text,
+        status: 'pending',
+        translated: null,
+        error: null,
+        attempts: 0
+      })),
+      created_at: timestamp,
+      updated_at: timestamp,
+      completed_at: null
+    };
+    prune();
+    jobs.set(job.id, job);
+    save(job);
+    enqueue(job);
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function cancel(job) {
+    if (FINISHED_STATUSES.includes(job.status)) return false;
+    job.status = 'cancelled';
+    job.completed_at = new Date(now()).toISOString();
+    save(job);
+    return true;
+  }
+
+  // 失敗した項目だけを再実行する
+  function retryFailed(job) {
+    const failed = job.items.filter(item => item.status === 'failed');
+    if (failed.length === 0 || job.status !== 'completed') return 0;
+
+    failed.forEach(item => {
+      item.status = 'pending';
+      item.error = null;
+    });
+    job.status = 'queued';
+    job.completed_at = null;
+    save(job);
+    enqueue(job);
+    return failed.length;
+  }
+
+  // 起動時に未完了のジョブを再開
+  function resume() {
+    const unfinished = [...jobs.values()]
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    unfinished.forEach(job => {
+      job.status = 'queued';
+      enqueue(job);
+    });
+    if (unfinished.length > 0) {
+      logger.info('未完了のジョブを再開します', { count: unfinished.length });
+    }
+    return unfinished.length;
+  }
+
+  function stats() {
+    const counts = {};
+    jobs.forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return { total_count: jobs.size, queued_count: queue.length, by_status: counts };
+  }
+
+  return {
+    create,
+    get,
+    cancel,
+    retryFailed,
+    resume,
+    summarize,
+    results,
+    stats,
+    prune,
+    flush,
+    // 登録時のWebhook URLの確認（エラーメッセージか null）
+    verifyWebhookUrl: url => verifyWebhookHost(url, { allowPrivate: allowPrivateWebhooks })
+  };
+}
+
+module.exports = {
+  isBlockedAddress,
+  createJobManager
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 1行1イベントのJSONログ
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// ユーザーのテキストの記録方法: hash（長さとハッシュ）/ redact（長さのみ）/ plain（そのまま）
+const TEXT_MODES = ['hash', 'redact', 'plain'];
+
+// リクエスト単位の情報（request_id）を非同期処理をまたいで引き継ぐ
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+function createLogger(options = {}) {
+  const level = LEVELS[options.level] !== undefined ? options.level : 'info';
+  const textMode = TEXT_MODES.includes(options.text) ? options.text : 'hash';
+  const write = options.write || (line => process.stdout.write(`${line}\n`));
+  const now = options.now || (() => new Date());
+  const baseFields = options.fields || {};
+
+  // ログに残すユーザーのテキストを設定に応じて伏せる
+  function redact(value) {
+    if (textMode === 'plain' || value === undefined || value === null) return value;
+    if (typeof value !== 'string') return { type: typeof value };
+    if (textMode === 'redact') return { length: value.length };
+    return {
+      length: value.length,
+      sha256: crypto.createHash('sha256').update(value).digest('hex').slice(0, 16)
+    };
+  }
+
+  function log(levelName, message, fields = {}) {
+    if (LEVELS[levelName] < LEVELS[level]) return;
+
+    const entry = {
+      timestamp: now().toISOString(),
+      level: levelName,
+      message,
+      ...(requestContext.getStore() || {}),
+      ...baseFields
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = serializeError(value);
+    });
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ timestamp: entry.timestamp, level: levelName, message, log_error: error.message });
+    }
+    write(line);
+  }
+
+  return {
+    level,
+    textMode,
+    redact,
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    child: (fields) => createLogger({ ...options, level, text: textMode, write, now, fields: { ...baseFields, ...fields } })
+  };
+}
+
+// LOG_LEVEL / LOG_TEXT で設定する共通のロガー
+const logger = createLogger({
+  level: process.env.LOG_LEVEL,
+  text: process.env.LOG_TEXT
+});
+
+module.exports = {
+  LEVELS,
+  TEXT_MODES,
+  requestContext,
+  createLogger,
+  logger
+};
@@ -0,0 +1,142 @@
+// Prometheus テキスト形式（version 0.0.4）のメトリクス
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 翻訳レイテンシ用のバケット（秒）
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// 翻訳プロバイダーのエラーを種類に分類する（メトリクスのラベル用）
+// UpstreamError は type をそのまま使い、それ以外はメッセージから推定する
+function classifyProviderError(error) {
+  if (error && error.type) return error.type;
+  const message = (error && error.message) || '';
+  if (/GEMINI_API_KEY|未設定|not configured/i.test(message)) return 'not_configured';
+  if (/429|RESOURCE_EXHAUSTED|rate.?limit|quota/i.test(message)) return 'rate_limited';
+  if (/timeout|timed out|ETIMEDOUT|DEADLINE_EXCEEDED|タイムアウト/i.test(message)) return 'timeout';
+  if (/SAFETY|blocked|PROHIBITED_CONTENT|RECITATION/i.test(message)) return 'content_blocked';
+  if (/API key not valid|PERMISSION_DENIED|401|403/i.test(message)) return 'auth';
+  if (/JSON|スキーマ|候補が空/.test(message)) return 'invalid_response';
+  if (/ECONNRESET|ECONNREFUSED|ENOTFOUND|fetch failed|50[0-9]|UNAVAILABLE/i.test(message)) return 'unavailable';
+  return 'other';
+}
+
+// メトリクスの登録と出力
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // ラベル名の順に値を並べた系列のキー
+  function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  function pickLabels(labelNames, labels) {
+    const picked = {};
+    labelNames.forEach(name => {
+      picked[name] = labels[name] === undefined ? '' : labels[name];
+    });
+    return picked;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`)
+    });
+
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  // 出力時に collect() で値を取得するゲージ（[{ labels, value }] を返す）
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => collect().map(s => `${name}${formatLabels(s.labels || {})} ${formatValue(s.value)}`)
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => {
+        const lines = [];
+        series.forEach(s => {
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: formatValue(bound) })} ${s.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          lines.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+          lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+        });
+        return lines;
+      }
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  classifyProviderError,
+  createMetricsRegistry
+};
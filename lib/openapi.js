@@ -0,0 +1,1278 @@
+const { STANDARD, defaultDialectRegistry } = require('./dialects');
+const { registers, MAX_CANDIDATES } = require('./registers');
+const { DEFAULT_QUOTAS } = require('./api-keys');
+const { EXPLANATION_SCHEMA } = require('./explain');
+const { READING_SCHEMA } = require('./reading');
+const { DETECTION_SCHEMA } = require('./detect');
+const { HISTORY_TYPES } = require('./history');
+const { FEEDBACK_STATUSES } = require('./feedback');
+const { DIRECTIONS: EVALUATION_DIRECTIONS } = require('./evaluation');
+const { PROVIDER_NAMES } = require('./providers');
+const { ERROR_CODES, ApiError } = require('./errors');
+const { validate } = require('./schema');
+const { logger: defaultLogger } = require('./logger');
+
+// API の OpenAPI 3 定義
+// リクエスト・レスポンスの検証、エンドポイント一覧、/api/openapi.json と docs.html はすべてこの定義から作る
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function jsonBody(schemaName) {
+  return { required: true, content: jsonContent(ref(schemaName)) };
+}
+
+// 成功時のレスポンスと、共通のエラーレスポンス
+function responses(status, description, schema, extra = {}) {
+  return {
+    [status]: { description, ...(schema ? { content: jsonContent(schema) } : {}) },
+    ...extra,
+    default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+  };
+}
+
+// 空白だけではない文字列
+function nonEmptyString(maxLength) {
+  return {
+    type: 'string',
+    minLength: 1,
+    maxLength,
+    pattern: '\\S',
+    'x-error-message': `空でない${maxLength}文字以下の文字列である必要があります`
+  };
+}
+
+function pathParameter(name, description) {
+  return { name, in: 'path', required: true, description, schema: { type: 'string' } };
+}
+
+function queryParameter(name, description, schema) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+// 成功レスポンスの共通部分（data の中身はエンドポイントごと。key で項目名を変えられる）
+function successEnvelope(dataSchema, key = 'data') {
+  return {
+    type: 'object',
+    required: ['success', key],
+    properties: {
+      success: { const: true },
+      [key]: dataSchema,
+      timestamp: { type: 'string' }
+    }
+  };
+}
+
+function buildSchemas(limits, dialects) {
+  const textSchema = {
+    type: 'string',
+    minLength: 1,
+    maxLength: limits.textMaxLength,
+    pattern: '\\S',
+    'x-error-message': `空白以外の文字を含む${limits.textMaxLength}文字以下の文字列である必要があります`,
+    description: '翻訳するテキスト'
+  };
+
+  // 翻訳方向の指定（from/to/dialect か source_dialect/target_dialect のどちらか）
+  const languagePairProperties = {
+    from: { type: 'string', enum: ['standard', 'dialect'], description: '翻訳元（従来形式）' },
+    to: { type: 'string', enum: ['standard', 'dialect'], description: '翻訳先（従来形式）' },
+    dialect: ref('DialectCode'),
+    source_dialect: ref('LanguageCode'),
+    target_dialect: ref('LanguageCode'),
+    register: ref('Register')
+  };
+
+  const translationPairInfo = {
+    from_type: { type: 'string', enum: ['standard', 'dialect'] },
+    to_type: { type: 'string', enum: ['standard', 'dialect'] },
+    dialect_code: { type: 'string' },
+    dialect_name: { type: 'string' },
+    source_dialect: { type: 'string' },
+    source_dialect_name: { type: 'string' },
+    target_dialect: { type: 'string' },
+    target_dialect_name: { type: 'string' },
+    register: { type: 'string', nullable: true, description: 'register を指定しなかった場合は null' },
+    register_name: { type: 'string', nullable: true }
+  };
+
+  // n が2以上の場合の候補の件数（重複の除去やプロバイダーの制限で n より少なくなることがある）
+  const candidateCountInfo = {
+    candidate_count: { type: 'integer', minimum: 0, description: '返した候補の数' },
+    requested_candidate_count: { type: 'integer', minimum: 1, description: '指定した候補数（n）' }
+  };
+
+  return {
+    DialectCode: {
+      type: 'string',
+      enum: dialects.supportedDialects.map(d => d.code),
+      description: '方言コード'
+    },
+    LanguageCode: {
+      type: 'string',
+      enum: [STANDARD, ...dialects.supportedDialects.map(d => d.code)],
+      description: '"standard" または方言コード'
+    },
+    Register: {
+      type: 'string',
+      enum: registers.map(r => r.code),
+      description: '翻訳結果の口調（省略時は口調を指示せず、レスポンスの register は null）'
+    },
+    Text: textSchema,
+    ErrorResponse: {
+      type: 'object',
+      required: ['success', 'code', 'error', 'timestamp'],
+      properties: {
+        success: { const: false },
+        code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+        error: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string' },
+              path: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        },
+        retry_after_seconds: { type: 'integer', minimum: 0 },
+        request_id: { type: 'string' },
+        timestamp: { type: 'string' }
+      }
+    },
+    GlossaryCompliance: {
+      type: 'object',
+      required: ['applied', 'violated'],
+      properties: {
+        applied: { type: 'array' },
+        violated: { type: 'array' }
+      }
+    },
+    TranslateRequest: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: ref('Text'),
+        ...languagePairProperties,
+        n: { type: 'integer', minimum: 1, maximum: MAX_CANDIDATES, description: '候補数（2以上で candidates を返す）' },
+        explain: { type: 'boolean', description: 'true で方言表現の解説を付ける' },
+        reading: { type: 'boolean', description: 'true で訳文の読み（かな・ローマ字・SSML）を付ける' }
+      }
+    },
+    StreamRequest: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: ref('Text'),
+        ...languagePairProperties
+      }
+    },
+    BatchRequest: {
+      type: 'object',
+      required: ['texts'],
+      properties: {
+        texts: { type: 'array', minItems: 1, maxItems: limits.batchMaxItems, items: ref('Text') },
+        ...languagePairProperties,
+        n: { type: 'integer', minimum: 1, maximum: MAX_CANDIDATES },
+        reading: { type: 'boolean', description: 'true で成功した項目の訳文に読み（かな・ローマ字・SSML）を付ける' }
+      }
+    },
+    DetectRequest: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: ref('Text'),
+        segments: { type: 'boolean', description: '文ごとにも判定する（既定: false）' },
+        translate: { type: 'boolean', description: 'false の場合は判定のみ行い、標準語訳を返さない（既定: true）' }
+      }
+    },
+    DocumentRequest: {
+      type: 'object',
+      required: ['content'],
+      properties: {
+        content: {
+          type: 'string',
+          minLength: 1,
+          maxLength: limits.documentMaxChars,
+          pattern: '\\S',
+          'x-error-message': `空白以外の文字を含む${limits.documentMaxChars}文字以下の文字列である必要があります`
+        },
+        format: { type: 'string', description: '"srt" / "vtt" / "markdown"（省略時は filename の拡張子から判定）' },
+        filename: { type: 'string' },
+        preserve_headings: { type: 'boolean', default: true, description: 'Markdownの見出しを翻訳せずに残す（false で見出しも翻訳）' },
+        ...languagePairProperties
+      }
+    },
+    JobRequest: {
+      type: 'object',
+      required: ['texts'],
+      properties: {
+        texts: { type: 'array', minItems: 1, maxItems: limits.jobsMaxItems, items: ref('Text') },
+        webhook_url: {
+          type: 'string',
+          nullable: true,
+          format: 'uri',
+          pattern: '^https?://',
+          'x-error-message': 'httpまたはhttpsのURLである必要があります',
+          description: '完了通知の送信先（APIキーが必要。ループバック・プライベートなど内部のアドレスは不可）'
+        },
+        ...languagePairProperties
+      }
+    },
+    GlossaryEntryRequest: {
+      type: 'object',
+      required: ['standard', 'dialect'],
+      properties: {
+        standard: nonEmptyString(100),
+        dialect: nonEmptyString(100),
+        note: { type: 'string', nullable: true, maxLength: 500 }
+      }
+    },
+    GlossaryEntryUpdate: {
+      type: 'object',
+      properties: {
+        standard: nonEmptyString(100),
+        dialect: nonEmptyString(100),
+        note: { type: 'string', nullable: true, maxLength: 500 }
+      }
+    },
+    Quotas: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(DEFAULT_QUOTAS).map(field => [
+        field,
+        { type: 'integer', minimum: 1, description: `既定: ${DEFAULT_QUOTAS[field]}` }
+      ]))
+    },
+    ApiKeyCreateRequest: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: nonEmptyString(100),
+        quotas: ref('Quotas')
+      }
+    },
+    ApiKeyUpdateRequest: {
+      type: 'object',
+      properties: {
+        name: nonEmptyString(100),
+        quotas: ref('Quotas'),
+        disabled: { type: 'boolean' }
+      }
+    },
+    HistoryFavoriteRequest: {
+      type: 'object',
+      required: ['favorite'],
+      properties: {
+        favorite: { type: 'boolean' }
+      }
+    },
+    FeedbackRequest: {
+      type: 'object',
+      required: ['rating'],
+      properties: {
+        history_id: { type: 'string', description: '対象の翻訳履歴のID（指定しない場合は original_text・translated_text と翻訳方向を指定）' },
+        original_text: ref('Text'),
+        translated_text: nonEmptyString(limits.textMaxLength * 2),
+        ...languagePairProperties,
+        rating: { type: 'integer', minimum: 1, maximum: 5, description: '訳の評価（1〜5）' },
+        corrected_text: { ...nonEmptyString(limits.textMaxLength * 2), nullable: true, description: '正しい訳' },
+        comment: { type: 'string', nullable: true, maxLength: 500 }
+      }
+    },
+    FeedbackReviewRequest: {
+      type: 'object',
+      required: ['status'],
+      properties: {
+        status: { type: 'string', enum: FEEDBACK_STATUSES },
+        corrected_text: { ...nonEmptyString(limits.textMaxLength * 2), nullable: true, description: '修正訳の書き直し' },
+        review_note: { type: 'string', nullable: true, maxLength: 500 }
+      }
+    },
+    EvaluationRequest: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string', enum: PROVIDER_NAMES, description: '評価する翻訳プロバイダー（省略時はサーバーの設定）' },
+        model: nonEmptyString(100),
+        temperature: { type: 'number', minimum: 0, maximum: 2, description: '翻訳の温度（gemini のみ）' },
+        dialects: { type: 'array', items: ref('DialectCode'), description: '評価する方言（下位方言のケースを含む。省略時はすべて）' },
+        directions: { type: 'array', items: { type: 'string', enum: EVALUATION_DIRECTIONS } },
+        limit: { type: 'integer', minimum: 1, description: '評価するケースの最大数' },
+        detection: { type: 'boolean', description: '方言→標準語のケースで方言判定も評価する（既定: true）' },
+        label: { type: 'string', maxLength: 100, description: 'レポートに付ける名前' }
+      }
+    },
+    HealthResponse: {
+      type: 'object',
+      required: ['status', 'timestamp', 'version', 'translation_provider'],
+      properties: {
+        status: { type: 'string', enum: ['healthy', 'degraded'] },
+        timestamp: { type: 'string' },
+        version: { type: 'string' },
+        translation_provider: {
+          type: 'object',
+          required: ['name', 'model', 'configured'],
+          properties: {
+            name: { type: 'string' },
+            model: { type: 'string' },
+            configured: { type: 'boolean' },
+            circuit_breaker: { type: 'object', nullable: true }
+          }
+        }
+      }
+    },
+    DialectsResponse: {
+      type: 'object',
+      required: ['success', 'dialects', 'total_count', 'registers'],
+      properties: {
+        success: { const: true },
+        dialects: {
+          type: 'array',
+          description: 'view=tree の場合は DialectNode の配列',
+          items: {
+            type: 'object',
+            required: ['code', 'name'],
+            properties: {
+              code: { type: 'string' },
+              name: { type: 'string' },
+              region: { type: 'string', nullable: true },
+              parent: { type: 'string', nullable: true },
+              sub_dialects: { type: 'array', items: ref('DialectNode') }
+            }
+          }
+        },
+        total_count: { type: 'integer' },
+        registers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['code', 'name'],
+            properties: { code: { type: 'string' }, name: { type: 'string' } }
+          }
+        },
+        timestamp: { type: 'string' }
+      }
+    },
+    DialectNode: {
+      type: 'object',
+      required: ['code', 'name', 'sub_dialects'],
+      properties: {
+        code: { type: 'string' },
+        name: { type: 'string' },
+        region: { type: 'string', nullable: true },
+        sub_dialects: { type: 'array', items: ref('DialectNode') }
+      }
+    },
+    DialectDetailResponse: successEnvelope({
+      type: 'object',
+      required: ['code', 'name', 'parent', 'sub_dialects', 'features', 'examples', 'prompt_hints'],
+      properties: {
+        code: { type: 'string' },
+        name: { type: 'string' },
+        region: { type: 'string', nullable: true },
+        parent: { type: 'string', nullable: true },
+        parent_name: { type: 'string', nullable: true },
+        sub_dialects: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['code', 'name'],
+            properties: {
+              code: { type: 'string' },
+              name: { type: 'string' },
+              region: { type: 'string', nullable: true }
+            }
+          }
+        },
+        features: { type: 'array', items: { type: 'string' } },
+        examples: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['dialect', 'standard'],
+            properties: { dialect: { type: 'string' }, standard: { type: 'string' } }
+          }
+        },
+        prompt_hints: { type: 'array', items: { type: 'string' } }
+      }
+    }, 'dialect'),
+    Candidate: {
+      type: 'object',
+      required: ['rank', 'translated_text', 'glossary'],
+      properties: {
+        rank: { type: 'integer', minimum: 1 },
+        translated_text: { type: 'string' },
+        glossary: ref('GlossaryCompliance')
+      }
+    },
+    Explanation: EXPLANATION_SCHEMA,
+    Reading: READING_SCHEMA,
+    TranslateResponse: successEnvelope({
+      type: 'object',
+      required: ['original_text', 'translated_text', 'cached', 'glossary', 'processing_time_ms'],
+      properties: {
+        original_text: { type: 'string' },
+        translated_text: { type: 'string' },
+        ...translationPairInfo,
+        cached: { type: 'boolean' },
+        glossary: ref('GlossaryCompliance'),
+        candidates: { type: 'array', items: ref('Candidate') },
+        ...candidateCountInfo,
+        explanation: ref('Explanation'),
+        reading: ref('Reading'),
+        history_id: { type: 'string', nullable: true, description: '記録した翻訳履歴のID（フィードバックの送信に使う。履歴が無効な場合・APIキーなしのリクエストでは null）' },
+        processing_time_ms: { type: 'integer', minimum: 0 },
+        timestamp: { type: 'string' }
+      }
+    }),
+    BatchResponse: successEnvelope({
+      type: 'object',
+      required: ['results', 'total_count', 'success_count', 'error_count'],
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['index', 'original', 'translated', 'success'],
+            properties: {
+              index: { type: 'integer', minimum: 0 },
+              original: { type: 'string' },
+              translated: { type: 'string', nullable: true },
+              success: { type: 'boolean' },
+              cached: { type: 'boolean' },
+              glossary: ref('GlossaryCompliance'),
+              candidates: { type: 'array', items: ref('Candidate') },
+              ...candidateCountInfo,
+              reading: ref('Reading'),
+              reading_error: {
+                type: 'object',
+                required: ['code', 'error'],
+                description: '読みの生成に失敗した理由（翻訳は成功）',
+                properties: {
+                  code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                  error: { type: 'string' }
+                }
+              },
+              code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+              error: { type: 'string' }
+            }
+          }
+        },
+        ...translationPairInfo,
+        processing_time_ms: { type: 'integer', minimum: 0 },
+        total_count: { type: 'integer', minimum: 0 },
+        success_count: { type: 'integer', minimum: 0 },
+        error_count: { type: 'integer', minimum: 0 },
+        cached_count: { type: 'integer', minimum: 0 },
+        timestamp: { type: 'string' }
+      }
+    }),
+    DetectResponse: successEnvelope({
+      type: 'object',
+      required: ['original_text', ...DETECTION_SCHEMA.required],
+      properties: {
+        original_text: { type: 'string' },
+        translated_text: { type: 'string' },
+        ...DETECTION_SCHEMA.properties,
+        processing_time_ms: { type: 'integer', minimum: 0 },
+        timestamp: { type: 'string' }
+      }
+    }),
+    JobResponse: successEnvelope({
+      type: 'object',
+      required: ['id', 'status', 'progress'],
+      properties: {
+        id: { type: 'string' },
+        status: { type: 'string', enum: ['queued', 'running', 'completed', 'cancelled'] },
+        progress: { type: 'object' },
+        results: { type: 'array' }
+      }
+    }),
+    HistoryEntry: {
+      type: 'object',
+      required: ['id', 'type', 'original_text', 'translated_text', 'source_dialect', 'target_dialect', 'favorite', 'created_at'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: HISTORY_TYPES },
+        original_text: { type: 'string' },
+        translated_text: { type: 'string', nullable: true },
+        source_dialect: { type: 'string' },
+        target_dialect: { type: 'string', nullable: true },
+        register: { type: 'string', nullable: true },
+        detected_dialect: { type: 'string' },
+        favorite: { type: 'boolean' },
+        api_key_id: { type: 'string', nullable: true },
+        request_id: { type: 'string', nullable: true },
+        created_at: { type: 'string' }
+      }
+    },
+    HistoryListResponse: {
+      type: 'object',
+      required: ['success', 'entries', 'total_count'],
+      properties: {
+        success: { const: true },
+        entries: { type: 'array', items: ref('HistoryEntry') },
+        total_count: { type: 'integer', minimum: 0 },
+        offset: { type: 'integer', minimum: 0 },
+        limit: { type: 'integer', minimum: 1 },
+        timestamp: { type: 'string' }
+      }
+    },
+    HistoryEntryResponse: successEnvelope(ref('HistoryEntry'), 'entry'),
+    FeedbackEntry: {
+      type: 'object',
+      required: ['id', 'source_dialect', 'target_dialect', 'original_text', 'translated_text', 'corrected_text', 'rating', 'status', 'created_at'],
+      properties: {
+        id: { type: 'string' },
+        source_dialect: { type: 'string' },
+        target_dialect: { type: 'string' },
+        register: { type: 'string', nullable: true },
+        original_text: { type: 'string' },
+        translated_text: { type: 'string' },
+        corrected_text: { type: 'string', nullable: true },
+        rating: { type: 'integer', minimum: 1, maximum: 5 },
+        comment: { type: 'string', nullable: true },
+        status: { type: 'string', enum: FEEDBACK_STATUSES },
+        review_note: { type: 'string', nullable: true },
+        history_id: { type: 'string', nullable: true },
+        api_key_id: { type: 'string', nullable: true },
+        created_at: { type: 'string' },
+        reviewed_at: { type: 'string', nullable: true }
+      }
+    },
+    FeedbackListResponse: {
+      type: 'object',
+      required: ['success', 'feedback', 'total_count'],
+      properties: {
+        success: { const: true },
+        feedback: { type: 'array', items: ref('FeedbackEntry') },
+        total_count: { type: 'integer', minimum: 0 },
+        offset: { type: 'integer', minimum: 0 },
+        limit: { type: 'integer', minimum: 1 },
+        timestamp: { type: 'string' }
+      }
+    },
+    FeedbackResponse: successEnvelope(ref('FeedbackEntry'), 'feedback'),
+    RoomCreateRequest: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', nullable: true, maxLength: 100, description: 'ルームの名前' },
+        register: ref('Register')
+      }
+    },
+    RoomParticipant: {
+      type: 'object',
+      required: ['id', 'name', 'language', 'language_name', 'joined_at'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        language: { type: 'string', description: '"standard" または方言コード' },
+        language_name: { type: 'string' },
+        joined_at: { type: 'string' }
+      }
+    },
+    Room: {
+      type: 'object',
+      required: ['id', 'register', 'participants', 'languages', 'message_count', 'websocket_path', 'created_at'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string', nullable: true },
+        register: { type: 'string', nullable: true },
+        participants: { type: 'array', items: ref('RoomParticipant') },
+        languages: { type: 'array', items: { type: 'string' }, description: '参加中の参加者の言語' },
+        message_count: { type: 'integer', minimum: 0 },
+        dropped_entry_count: { type: 'integer', minimum: 0, description: '上限を超えて記録から削除した件数' },
+        websocket_path: { type: 'string' },
+        created_at: { type: 'string' },
+        last_activity_at: { type: 'string' }
+      }
+    },
+    RoomResponse: successEnvelope(ref('Room'), 'room'),
+    TranscriptEntry: {
+      type: 'object',
+      required: ['seq', 'type', 'participant', 'created_at'],
+      properties: {
+        seq: { type: 'integer', minimum: 1 },
+        type: { type: 'string', enum: ['join', 'leave', 'message'] },
+        participant: ref('RoomParticipant'),
+        text: { type: 'string', description: '発言の原文（type が message の場合）' },
+        translations: { type: 'object', additionalProperties: { type: 'string' }, description: '翻訳先の言語ごとの訳文' },
+        translation_errors: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { code: { type: 'string' }, error: { type: 'string' } }
+          }
+        },
+        created_at: { type: 'string' }
+      }
+    },
+    TranscriptResponse: {
+      type: 'object',
+      required: ['success', 'room', 'transcript', 'total_count'],
+      properties: {
+        success: { const: true },
+        room: ref('Room'),
+        transcript: { type: 'array', items: ref('TranscriptEntry') },
+        total_count: { type: 'integer', minimum: 0 },
+        timestamp: { type: 'string' }
+      }
+    },
+    Evaluation: {
+      type: 'object',
+      required: ['id', 'status', 'created_at', 'config'],
+      properties: {
+        id: { type: 'string' },
+        status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+        label: { type: 'string', nullable: true },
+        created_at: { type: 'string' },
+        duration_ms: { type: 'integer', minimum: 0 },
+        config: {
+          type: 'object',
+          required: ['provider', 'model'],
+          properties: {
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            temperature: { type: 'number', nullable: true }
+          }
+        },
+        progress: { type: 'object' },
+        golden_set: { type: 'object' },
+        detection: { type: 'boolean' },
+        summary: { type: 'object' },
+        cases: { type: 'array', items: { type: 'object' } },
+        error: { type: 'string' }
+      }
+    },
+    EvaluationResponse: successEnvelope(ref('Evaluation'), 'evaluation'),
+    SuccessResponse: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { const: true },
+        timestamp: { type: 'string' }
+      }
+    }
+  };
+}
+
+function buildPaths(limits) {
+  const adminSecurity = [{ AdminToken: [] }];
+  // 翻訳履歴はAPIキーごと（管理者トークンではすべての履歴）
+  const historySecurity = [{ ApiKey: [] }, { BearerAuth: [] }, { AdminToken: [] }];
+  // ジョブの登録・再実行はAPIキーが必要（件数だけクォータを消費する）
+  const jobSecurity = [{ ApiKey: [] }, { BearerAuth: [] }];
+  const idParameter = pathParameter('id', 'ID');
+  const dialectParameter = pathParameter('dialect', '方言コード');
+  const historyFilterParameters = [
+    queryParameter('q', '原文・訳文の部分一致', { type: 'string', maxLength: 200 }),
+    queryParameter('dialect', '方言コード（下位方言の履歴を含む）', ref('DialectCode')),
+    queryParameter('type', '記録元', { type: 'string', enum: HISTORY_TYPES }),
+    queryParameter('favorite', 'お気に入りのみ（true）またはお気に入り以外（false）', { type: 'boolean' })
+  ];
+
+  return {
+    '/': {
+      get: {
+        tags: ['system'],
+        summary: 'サーバー情報（Accept: application/json の場合。それ以外はダッシュボードを返す）',
+        security: [],
+        responses: responses(200, 'サーバー情報', { type: 'object' })
+      }
+    },
+    '/api/health': {
+      get: {
+        tags: ['system'],
+        summary: 'ヘルスチェック',
+        security: [],
+        responses: responses(200, '稼働状況', ref('HealthResponse'))
+      }
+    },
+    '/api/dialects': {
+      get: {
+        tags: ['system'],
+        summary: '対応方言（下位方言を含む）とレジスターの一覧',
+        parameters: [
+          queryParameter('view', '一覧の形式（tree は下位方言を入れ子にした階層）', { type: 'string', enum: ['flat', 'tree'] })
+        ],
+        responses: responses(200, '方言一覧', ref('DialectsResponse'))
+      }
+    },
+    '/api/dialects/{code}': {
+      get: {
+        tags: ['system'],
+        summary: '方言の詳細（地域・親子関係・特徴・例文・プロンプト用のヒント）',
+        parameters: [pathParameter('code', '方言コード')],
+        responses: responses(200, '方言の詳細', ref('DialectDetailResponse'))
+      }
+    },
+    '/api/keep-alive': {
+      get: {
+        tags: ['system'],
+        summary: 'Keep-Alive（レート制限の対象外）',
+        security: [],
+        responses: responses(200, '稼働中', { type: 'object', required: ['status'], properties: { status: { const: 'alive' } } })
+      }
+    },
+    '/api/stats': {
+      get: {
+        tags: ['system'],
+        summary: 'サーバー統計',
+        responses: responses(200, '統計', ref('SuccessResponse'))
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['system'],
+        summary: 'Prometheus 形式のメトリクス（METRICS_TOKEN 設定時は Bearer トークンが必要）',
+        security: [],
+        responses: {
+          200: { description: 'メトリクス', content: { 'text/plain': { schema: { type: 'string' } } } },
+          default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+        }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        tags: ['system'],
+        summary: 'このAPIのOpenAPI定義',
+        security: [],
+        responses: responses(200, 'OpenAPI 3 ドキュメント', { type: 'object' })
+      }
+    },
+    '/api/translate': {
+      post: {
+        tags: ['translation'],
+        summary: '翻訳',
+        requestBody: jsonBody('TranslateRequest'),
+        responses: responses(200, '翻訳結果', ref('TranslateResponse'))
+      }
+    },
+    '/api/translate/stream': {
+      post: {
+        tags: ['translation'],
+        summary: 'ストリーミング翻訳（Server-Sent Events: start / delta / done / error）',
+        requestBody: jsonBody('StreamRequest'),
+        responses: {
+          200: { description: 'イベントストリーム', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+        }
+      }
+    },
+    '/api/translate/batch': {
+      post: {
+        tags: ['translation'],
+        summary: `バッチ翻訳（最大${limits.batchMaxItems}件）`,
+        requestBody: jsonBody('BatchRequest'),
+        responses: responses(200, '翻訳結果', ref('BatchResponse'))
+      }
+    },
+    '/api/translate/detect': {
+      post: {
+        tags: ['translation'],
+        summary: '方言を自動判定（方言ごとのスコア・根拠の表現・文ごとの判定）して標準語に翻訳',
+        requestBody: jsonBody('DetectRequest'),
+        responses: responses(200, '判定結果', ref('DetectResponse'))
+      }
+    },
+    '/api/translate/document': {
+      post: {
+        tags: ['translation'],
+        summary: '文書翻訳（SRT / WebVTT / Markdown の構造を保って翻訳）',
+        requestBody: jsonBody('DocumentRequest'),
+        responses: {
+          200: {
+            description: '翻訳した文書（入力と同じ形式）',
+            content: {
+              'application/x-subrip': { schema: { type: 'string' } },
+              'text/vtt': { schema: { type: 'string' } },
+              'text/markdown': { schema: { type: 'string' } }
+            }
+          },
+          default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+        }
+      }
+    },
+    '/api/jobs': {
+      post: {
+        tags: ['jobs'],
+        summary: `非同期バッチジョブの登録（最大${limits.jobsMaxItems}件）`,
+        security: jobSecurity,
+        requestBody: jsonBody('JobRequest'),
+        responses: responses(202, '登録したジョブ', ref('JobResponse'))
+      }
+    },
+    '/api/jobs/{id}': {
+      get: {
+        tags: ['jobs'],
+        summary: 'ジョブの進捗と途中結果',
+        parameters: [
+          idParameter,
+          queryParameter('offset', '結果の開始位置', { type: 'integer', minimum: 0 }),
+          queryParameter('limit', '結果の件数', { type: 'integer', minimum: 1, maximum: 1000 })
+        ],
+        responses: responses(200, 'ジョブ', ref('JobResponse'))
+      }
+    },
+    '/api/jobs/{id}/cancel': {
+      post: {
+        tags: ['jobs'],
+        summary: 'ジョブのキャンセル',
+        parameters: [idParameter],
+        responses: responses(200, 'キャンセルしたジョブ', ref('JobResponse'))
+      }
+    },
+    '/api/jobs/{id}/retry': {
+      post: {
+        tags: ['jobs'],
+        summary: '失敗した項目の再実行',
+        security: jobSecurity,
+        parameters: [idParameter],
+        responses: responses(202, '再実行するジョブ', ref('JobResponse'))
+      }
+    },
+    '/api/jobs/{id}/results': {
+      get: {
+        tags: ['jobs'],
+        summary: 'ジョブ結果のダウンロード',
+        parameters: [
+          idParameter,
+          queryParameter('format', '出力形式', { type: 'string', enum: ['json', 'jsonl', 'tsv'] })
+        ],
+        responses: {
+          200: {
+            description: 'ジョブ結果',
+            content: {
+              ...jsonContent(ref('JobResponse')),
+              'application/x-ndjson': { schema: { type: 'string' } },
+              'text/tab-separated-values': { schema: { type: 'string' } }
+            }
+          },
+          default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+        }
+      }
+    },
+    '/api/glossaries/{dialect}': {
+      get: {
+        tags: ['glossary'],
+        summary: '用語集の一覧',
+        parameters: [dialectParameter],
+        responses: responses(200, '用語集', ref('SuccessResponse'))
+      },
+      post: {
+        tags: ['glossary'],
+        summary: '用語の登録（管理者用）',
+        security: adminSecurity,
+        parameters: [dialectParameter],
+        requestBody: jsonBody('GlossaryEntryRequest'),
+        responses: responses(201, '登録した用語', ref('SuccessResponse'))
+      }
+    },
+    '/api/glossaries/{dialect}/{id}': {
+      put: {
+        tags: ['glossary'],
+        summary: '用語の更新（管理者用）',
+        security: adminSecurity,
+        parameters: [dialectParameter, idParameter],
+        requestBody: jsonBody('GlossaryEntryUpdate'),
+        responses: responses(200, '更新した用語', ref('SuccessResponse'))
+      },
+      delete: {
+        tags: ['glossary'],
+        summary: '用語の削除（管理者用）',
+        security: adminSecurity,
+        parameters: [dialectParameter, idParameter],
+        responses: responses(200, '削除した用語のID', ref('SuccessResponse'))
+      }
+    },
+    '/api/history': {
+      get: {
+        tags: ['history'],
+        security: historySecurity,
+        summary: '翻訳履歴の一覧・検索（新しい順）',
+        parameters: [
+          ...historyFilterParameters,
+          queryParameter('offset', '結果の開始位置', { type: 'integer', minimum: 0 }),
+          queryParameter('limit', '結果の件数（既定: 50）', { type: 'integer', minimum: 1, maximum: 1000 })
+        ],
+        responses: responses(200, '履歴', ref('HistoryListResponse'))
+      },
+      delete: {
+        tags: ['history'],
+        security: historySecurity,
+        summary: '翻訳履歴の一括削除（favorite を指定しない場合はお気に入りを残す）',
+        parameters: historyFilterParameters,
+        responses: responses(200, '削除件数', ref('SuccessResponse'))
+      }
+    },
+    '/api/history/export': {
+      get: {
+        tags: ['history'],
+        security: historySecurity,
+        summary: '翻訳履歴のエクスポート',
+        parameters: [
+          ...historyFilterParameters,
+          queryParameter('format', '出力形式', { type: 'string', enum: ['json', 'jsonl', 'tsv'] })
+        ],
+        responses: {
+          200: {
+            description: '履歴',
+            content: {
+              ...jsonContent(ref('HistoryListResponse')),
+              'application/x-ndjson': { schema: { type: 'string' } },
+              'text/tab-separated-values': { schema: { type: 'string' } }
+            }
+          },
+          default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+        }
+      }
+    },
+    '/api/history/{id}': {
+      get: {
+        tags: ['history'],
+        security: historySecurity,
+        summary: '翻訳履歴の詳細',
+        parameters: [idParameter],
+        responses: responses(200, '履歴', ref('HistoryEntryResponse'))
+      },
+      patch: {
+        tags: ['history'],
+        security: historySecurity,
+        summary: 'お気に入りの設定・解除',
+        parameters: [idParameter],
+        requestBody: jsonBody('HistoryFavoriteRequest'),
+        responses: responses(200, '更新した履歴', ref('HistoryEntryResponse'))
+      },
+      delete: {
+        tags: ['history'],
+        security: historySecurity,
+        summary: '翻訳履歴の削除',
+        parameters: [idParameter],
+        responses: responses(200, '削除した履歴のID', ref('SuccessResponse'))
+      }
+    },
+    '/api/feedback': {
+      post: {
+        tags: ['feedback'],
+        summary: '翻訳へのフィードバック（評価と修正訳）',
+        requestBody: jsonBody('FeedbackRequest'),
+        responses: responses(201, '受け付けたフィードバック', ref('FeedbackResponse'))
+      },
+      get: {
+        tags: ['feedback'],
+        summary: 'フィードバックの一覧（管理者用。新しい順）',
+        security: adminSecurity,
+        parameters: [
+          queryParameter('status', 'レビューの状態', { type: 'string', enum: FEEDBACK_STATUSES }),
+          queryParameter('dialect', '方言コード（翻訳元・翻訳先のどちらか。下位方言を含む）', ref('DialectCode')),
+          queryParameter('source_dialect', '翻訳元', ref('LanguageCode')),
+          queryParameter('target_dialect', '翻訳先', ref('LanguageCode')),
+          queryParameter('offset', '結果の開始位置', { type: 'integer', minimum: 0 }),
+          queryParameter('limit', '結果の件数（既定: 50）', { type: 'integer', minimum: 1, maximum: 1000 })
+        ],
+        responses: responses(200, 'フィードバック', ref('FeedbackListResponse'))
+      }
+    },
+    '/api/feedback/{id}': {
+      get: {
+        tags: ['feedback'],
+        summary: 'フィードバックの詳細（管理者用）',
+        security: adminSecurity,
+        parameters: [idParameter],
+        responses: responses(200, 'フィードバック', ref('FeedbackResponse'))
+      },
+      patch: {
+        tags: ['feedback'],
+        summary: 'フィードバックのレビュー（管理者用。approved の修正訳は以降の翻訳で翻訳例として使う）',
+        security: adminSecurity,
+        parameters: [idParameter],
+        requestBody: jsonBody('FeedbackReviewRequest'),
+        responses: responses(200, 'レビューしたフィードバック', ref('FeedbackResponse'))
+      },
+      delete: {
+        tags: ['feedback'],
+        summary: 'フィードバックの削除（管理者用）',
+        security: adminSecurity,
+        parameters: [idParameter],
+        responses: responses(200, '削除したフィードバックのID', ref('SuccessResponse'))
+      }
+    },
+    '/api/rooms': {
+      post: {
+        tags: ['rooms'],
+        summary: '会話ルームの作成（参加は WebSocket の /api/rooms/{id}/ws）',
+        requestBody: jsonBody('RoomCreateRequest'),
+        responses: responses(201, '作成したルーム', ref('RoomResponse'))
+      }
+    },
+    '/api/rooms/{id}': {
+      get: {
+        tags: ['rooms'],
+        summary: '会話ルームの状態',
+        parameters: [idParameter],
+        responses: responses(200, 'ルーム', ref('RoomResponse'))
+      },
+      delete: {
+        tags: ['rooms'],
+        summary: '会話ルームの削除（参加中の接続も切断する）',
+        parameters: [idParameter],
+        responses: responses(200, '削除したルームのID', ref('SuccessResponse'))
+      }
+    },
+    '/api/rooms/{id}/transcript': {
+      get: {
+        tags: ['rooms'],
+        summary: '会話の記録のエクスポート',
+        parameters: [
+          idParameter,
+          queryParameter('format', '出力形式', { type: 'string', enum: ['json', 'jsonl', 'tsv', 'text'] })
+        ],
+        responses: {
+          200: {
+            description: '会話の記録',
+            content: {
+              ...jsonContent(ref('TranscriptResponse')),
+              'application/x-ndjson': { schema: { type: 'string' } },
+              'text/tab-separated-values': { schema: { type: 'string' } },
+              'text/plain': { schema: { type: 'string' } }
+            }
+          },
+          default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+        }
+      }
+    },
+    '/api/rooms/{id}/ws': {
+      get: {
+        tags: ['rooms'],
+        summary: '会話ルームへの参加（WebSocket）',
+        description: '接続後に {"type": "message", "text": "..."} を送ると、他の参加者の言語に翻訳し、原文と訳文を参加者全員に送ります。' +
+          'サーバーからは joined・join・leave・message・error の各イベントを JSON で送ります。',
+        parameters: [
+          idParameter,
+          { ...queryParameter('name', '表示名', { type: 'string', minLength: 1, maxLength: 50 }), required: true },
+          { ...queryParameter('dialect', '話す言語', ref('LanguageCode')), required: true },
+          queryParameter('api_key', 'APIキー（X-API-Key ヘッダーを付けられない場合）', { type: 'string' })
+        ],
+        responses: {
+          101: { description: 'WebSocket に切り替え' },
+          default: { description: 'エラー', content: jsonContent(ref('ErrorResponse')) }
+        }
+      }
+    },
+    '/api/admin/cache': {
+      delete: {
+        tags: ['admin'],
+        summary: '翻訳キャッシュの削除',
+        security: adminSecurity,
+        responses: responses(200, '削除件数', ref('SuccessResponse'))
+      }
+    },
+    '/api/admin/evaluations': {
+      get: {
+        tags: ['admin'],
+        summary: '評価の一覧（新しい順）',
+        security: adminSecurity,
+        responses: responses(200, '評価一覧', ref('SuccessResponse'))
+      },
+      post: {
+        tags: ['admin'],
+        summary: 'ゴールデンセットによる評価の開始（chrF・完全一致・方言判定の正解率）',
+        security: adminSecurity,
+        requestBody: jsonBody('EvaluationRequest'),
+        responses: responses(202, '開始した評価', ref('EvaluationResponse'))
+      }
+    },
+    '/api/admin/evaluations/{id}': {
+      get: {
+        tags: ['admin'],
+        summary: '評価レポート（compare を指定すると基準の評価との比較を付ける）',
+        security: adminSecurity,
+        parameters: [
+          idParameter,
+          queryParameter('compare', '比較の基準にする評価のID', { type: 'string' })
+        ],
+        responses: responses(200, '評価レポート', ref('EvaluationResponse'))
+      }
+    },
+    '/api/admin/keys': {
+      get: {
+        tags: ['admin'],
+        summary: 'APIキーの一覧と利用状況',
+        security: adminSecurity,
+        responses: responses(200, 'APIキー一覧', ref('SuccessResponse'))
+      },
+      post: {
+        tags: ['admin'],
+        summary: 'APIキーの発行（平文のキーはこのレスポンスでのみ返す）',
+        security: adminSecurity,
+        requestBody: jsonBody('ApiKeyCreateRequest'),
+        responses: responses(201, '発行したキー', ref('SuccessResponse'))
+      }
+    },
+    '/api/admin/keys/{id}': {
+      patch: {
+        tags: ['admin'],
+        summary: 'APIキーの更新',
+        security: adminSecurity,
+        parameters: [idParameter],
+        requestBody: jsonBody('ApiKeyUpdateRequest'),
+        responses: responses(200, '更新したキー', ref('SuccessResponse'))
+      },
+      delete: {
+        tags: ['admin'],
+        summary: 'APIキーの削除',
+        security: adminSecurity,
+        parameters: [idParameter],
+        responses: responses(200, '削除したキーのID', ref('SuccessResponse'))
+      }
+    }
+  };
+}
+
+// OpenAPI ドキュメントを作成する
+//   limits: textMaxLength / batchMaxItems / jobsMaxItems / documentMaxChars
+//   dialects: 方言コードとして受け付ける方言の定義（既定は DIALECTS_PATH の定義）
+function createOpenApiDocument({ version, limits, dialects = defaultDialectRegistry }) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: '九州方言翻訳API',
+      version,
+      description: '九州方言と標準語を相互翻訳するREST API。エラーはすべて ErrorResponse の形式で返します。'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+      { name: 'system', description: '稼働状況・設定' },
+      { name: 'translation', description: '翻訳' },
+      { name: 'jobs', description: '非同期バッチジョブ' },
+      { name: 'glossary', description: '用語集' },
+      { name: 'history', description: '翻訳履歴' },
+      { name: 'feedback', description: '翻訳へのフィードバックとレビュー' },
+      { name: 'rooms', description: '会話ルーム（WebSocket による翻訳付きの会話）' },
+      { name: 'admin', description: '管理（X-Admin-Token が必要）' }
+    ],
+    // APIキーは任意（API_KEYS_REQUIRED=true の場合は必須）
+    security: [{}, { ApiKey: [] }, { BearerAuth: [] }],
+    paths: buildPaths(limits),
+    components: {
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer' },
+        AdminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+      },
+      schemas: buildSchemas(limits, dialects)
+    }
+  };
+}
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// "GET /api/jobs/:id" 形式のエンドポイント一覧
+function listEndpoints(document) {
+  const endpoints = [];
+  Object.entries(document.paths).forEach(([path, item]) => {
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      endpoints.push(`${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`);
+    });
+  });
+  return endpoints;
+}
+
+// クエリ文字列の値をスキーマの型に合わせて変換する
+function coerceQueryValue(value, schema) {
+  if (typeof value !== 'string') return value;
+  if (schema.type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (schema.type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+}
+
+// OpenAPI 定義に従ってリクエストを検証するミドルウェア
+// validateResponses が true の場合は JSON レスポンスも検証し、定義と異なれば警告をログに出す
+function createOpenApiValidator(document, options = {}) {
+  const logger = options.logger || defaultLogger;
+  const validateResponses = !!options.validateResponses;
+  const resolveRef = reference => {
+    const name = reference.replace('#/components/schemas/', '');
+    const schema = document.components.schemas[name];
+    if (!schema) throw new Error(`未定義のスキーマです: ${reference}`);
+    return schema;
+  };
+
+  const operations = [];
+  Object.entries(document.paths).forEach(([path, item]) => {
+    const pattern = new RegExp(`^${path.replace(/\{\w+\}/g, '[^/]+')}$`);
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      operations.push({ method: method.toUpperCase(), path, pattern, operation: item[method] });
+    });
+  });
+
+  function findOperation(req) {
+    return operations.find(o => o.method === req.method && o.pattern.test(req.path));
+  }
+
+  function validateRequest(operation, req) {
+    const details = [];
+
+    (operation.parameters || []).filter(p => p.in === 'query').forEach(parameter => {
+      const value = req.query[parameter.name];
+      if (value === undefined) return;
+      validate(parameter.schema, coerceQueryValue(value, parameter.schema), parameter.name, { resolveRef })
+        .forEach(error => details.push({ field: error.path, message: error.message }));
+    });
+
+    const bodySchema = operation.requestBody &&
+      operation.requestBody.content['application/json'] &&
+      operation.requestBody.content['application/json'].schema;
+    if (bodySchema) {
+      validate(bodySchema, req.body === undefined ? {} : req.body, '', { resolveRef })
+        .forEach(error => details.push({ field: error.path === '(root)' ? 'body' : error.path, message: error.message }));
+    }
+
+    if (details.length === 0) return null;
+    const [first] = details;
+    return new ApiError('VALIDATION_FAILED', `${first.field}は${first.message}`, { details });
+  }
+
+  function checkResponse(entry, statusCode, body) {
+    const response = entry.operation.responses[statusCode] || entry.operation.responses.default;
+    const schema = response && response.content && response.content['application/json'] &&
+      response.content['application/json'].schema;
+    if (!schema) return;
+
+    const errors = validate(schema, body, '', { resolveRef });
+    if (errors.length > 0) {
+      logger.warn('レスポンスがOpenAPI定義と一致しません', {
+        method: entry.method,
+        path: entry.path,
+        status: statusCode,
+        errors: errors.slice(0, 10)
+      });
+    }
+  }
+
+  return function openApiValidator(req, res, next) {
+    const entry = findOperation(req);
+    if (!entry) return next();
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = body => {
+        checkResponse(entry, res.statusCode, body);
+        return json(body);
+      };
+    }
+
+    const error = validateRequest(entry.operation, req);
+    next(error || undefined);
+  };
+}
+
+module.exports = {
+  createOpenApiDocument,
+  createOpenApiValidator,
+  listEndpoints
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger: defaultLogger } = require('../logger');
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, '..', '..', 'data', 'fixtures', 'translations.json');
+
+function translationKey(text, source, target, register) {
+  return [source, target, text, ...(register ? [register] : [])].join('\u0000');
+}
+
+function readingKey(text, language) {
+  return [language, text].join('\u0000');
+}
+
+function detectionKey(text, segmented) {
+  return [segmented ? 'segments' : 'text', text].join('\u0000');
+}
+
+// エラーメッセージ用の入力の表現（ユーザーのテキストは含めず、長さとハッシュで特定できるようにする）
+function describeText(text) {
+  const hash = crypto.createHash('sha256').update(String(text)).digest('hex').slice(0, 16);
+  return `${String(text).length}文字, sha256:${hash}`;
+}
+
+// 未記録の入力のエラー（プロバイダーの設定不足として扱う）
+function notRecordedError(message) {
+  const error = new Error(message);
+  error.type = 'not_configured';
+  return error;
+}
+
+function loadFixtures(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { translations: [], candidates: [], explanations: [], readings: [], detections: [] };
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    translations: data.translations || [],
+    candidates: data.candidates || [],
+    explanations: data.explanations || [],
+    readings: data.readings || [],
+    detections: data.detections || []
+  };
+}
+
+// 記録済みの応答を返すテスト用プロバイダー
+// record を有効にすると未記録の入力を delegate に委譲し、結果をファイルへ追記する
+function createFixtureProvider(options = {}) {
+  const filePath = options.file || DEFAULT_FIXTURE_FILE;
+  const delegate = options.delegate || null;
+  const record = !!options.record && !!delegate;
+  const logger = options.logger || defaultLogger;
+  const fixtures = loadFixtures(filePath);
+
+  const translations = new Map(
+    fixtures.translations.map(f => [translationKey(f.text, f.source, f.target, f.register), f])
+  );
+  const candidates = new Map(
+    fixtures.candidates.map(f => [translationKey(f.text, f.source, f.target, f.register), f])
+  );
+  const explanations = new Map(
+    fixtures.explanations.map(f => [translationKey(f.text, f.source, f.target), f])
+  );
+  const readings = new Map(fixtures.readings.map(f => [readingKey(f.text, f.language), f]));
+  const detections = new Map(fixtures.detections.map(f => [detectionKey(f.text, !!f.segmented), f]));
+
+  logger.info('フィクスチャ翻訳プロバイダーを初期化しました', { file: filePath, record });
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      translations: [...translations.values()],
+      candidates: [...candidates.values()],
+      explanations: [...explanations.values()],
+      readings: [...readings.values()],
+      detections: [...detections.values()]
+    }, null, 2) + '\n');
+  }
+
+  // レジスター付きの記録がなければレジスター指定なしの記録を使う
+  function lookup(fixtureMap, text, source, target, register) {
+    return fixtureMap.get(translationKey(text, source, target, register)) ||
+      fixtureMap.get(translationKey(text, source, target));
+  }
+
+  async function translate(text, source, target, translationOptions = {}) {
+    const { register } = translationOptions;
+    const fixture = lookup(translations, text, source, target, register);
+    if (fixture) {
+      return fixture.translated_text;
+    }
+
+    if (!record) {
+      throw notRecordedError(`翻訳エラー: フィクスチャが記録されていません (${source}→${target}, ${describeText(text)})`);
+    }
+
+    const translatedText = await delegate.translate(text, source, target, translationOptions);
+    translations.set(translationKey(text, source, target, register), {
+      text,
+      source,
+      target,
+      ...(register ? { register } : {}),
+      translated_text: translatedText
+    });
+    save();
+    return translatedText;
+  }
+
+  async function translateCandidates(text, source, target, translationOptions, count) {
+    const { register } = translationOptions;
+    const fixture = lookup(candidates, text, source, target, register);
+    if (fixture) {
+      return fixture.candidates.slice(0, count);
+    }
+
+    if (!record) {
+      throw notRecordedError(`翻訳エラー: 候補のフィクスチャが記録されていません (${source}→${target}, ${describeText(text)})`);
+    }
+
+    const translated = await delegate.translateCandidates(text, source, target, translationOptions, count);
+    candidates.set(translationKey(text, source, target, register), {
+      text,
+      source,
+      target,
+      ...(register ? { register } : {}),
+      candidates: translated
+    });
+    save();
+    return translated;
+  }
+
+  async function explain(text, translatedText, source, target) {
+    const fixture = explanations.get(translationKey(text, source, target));
+    if (fixture) {
+      return fixture.explanation;
+    }
+
+    if (!record) {
+      throw notRecordedError(`解説エラー: フィクスチャが記録されていません (${source}→${target}, ${describeText(text)})`);
+    }
+
+    const explanation = await delegate.explain(text, translatedText, source, target);
+    explanations.set(translationKey(text, source, target), { text, source, target, explanation });
+    save();
+    return explanation;
+  }
+
+  async function reading(text, language) {
+    const fixture = readings.get(readingKey(text, language));
+    if (fixture) {
+      return fixture.reading;
+    }
+
+    if (!record) {
+      throw notRecordedError(`読みの生成エラー: フィクスチャが記録されていません (${language}, ${describeText(text)})`);
+    }
+
+    const result = await delegate.reading(text, language);
+    readings.set(readingKey(text, language), { text, language, reading: result });
+    save();
+    return result;
+  }
+
+  // 文ごとの判定を求めたかどうかで別の記録として扱う
+  async function detect(text, detectOptions = {}) {
+    const segmented = !!detectOptions.segments;
+    const fixture = detections.get(detectionKey(text, segmented));
+    if (fixture) {
+      const { text: recordedText, segmented: recordedSegmented, ...raw } = fixture;
+      return raw;
+    }
+
+    if (!record) {
+      throw notRecordedError(`方言判定エラー: フィクスチャが記録されていません (${describeText(text)})`);
+    }
+
+    const raw = await delegate.detect(text, detectOptions);
+    detections.set(detectionKey(text, segmented), { text, ...(segmented ? { segmented } : {}), ...raw });
+    save();
+    return raw;
+  }
+
+  return {
+    name: 'fixture',
+    model: record ? `fixture(record:${delegate.model})` : 'fixture',
+    isConfigured: () => record ? delegate.isConfigured() : translations.size + detections.size > 0,
+    translate,
+    translateCandidates,
+    explain,
+    reading,
+    detect,
+    // 記録モードでは委譲先（Gemini）のサーキットブレーカーの状態を返す
+    ...(record && delegate.circuitState ? { circuitState: delegate.circuitState } : {})
+  };
+}
+
+module.exports = {
+  createFixtureProvider
+};
@@ -0,0 +1,515 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { STANDARD, defaultDialectRegistry } = require('../dialects');
+const { findRegister } = require('../registers');
+const { logger: defaultLogger } = require('../logger');
+const { UpstreamError, withTimeout, withRetry, createCircuitBreaker } = require('../resilience');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash-exp';
+// 翻訳（1件・ストリーミング）の温度
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Retry-After 相当の待ち時間（ミリ秒）
+// Gemini API は RetryInfo の retryDelay（例: "17s"）で返す
+function parseRetryAfter(error) {
+  const retryInfo = (error.errorDetails || []).find(d => d && String(d['@type']).endsWith('RetryInfo'));
+  if (retryInfo && retryInfo.retryDelay) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (!Number.isNaN(seconds)) return Math.round(seconds * 1000);
+  }
+
+  const header = error.headers && typeof error.headers.get === 'function' ? error.headers.get('retry-after') : null;
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+// Gemini SDK のエラーを種類ごとの UpstreamError に変換する
+function toUpstreamError(error) {
+  if (error instanceof UpstreamError) return error;
+
+  const message = (error && error.message) || String(error);
+  const status = error && error.status;
+  const details = { cause: error };
+
+  if (/GEMINI_API_KEY/.test(message)) {
+    return new UpstreamError(message, { ...details, type: 'not_configured', status: 503 });
+  }
+  if (status === 429 || /RESOURCE_EXHAUSTED|\[429 /.test(message)) {
+    return new UpstreamError(message, {
+      ...details,
+      type: 'rate_limited',
+      status: 429,
+      retryable: true,
+      retryAfterMs: parseRetryAfter(error)
+    });
+  }
+  if ((error && error.name === 'AbortError') || /DEADLINE_EXCEEDED|ETIMEDOUT|timed out/i.test(message)) {
+    return new UpstreamError(message, { ...details, type: 'timeout', status: 504, retryable: true });
+  }
+  if ([500, 502, 503, 504].includes(status) ||
+    /\[50\d |UNAVAILABLE|fetch failed|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN/.test(message)) {
+    return new UpstreamError(message, { ...details, type: 'unavailable', status: 502, retryable: true });
+  }
+  if (/SAFETY|blocked|PROHIBITED_CONTENT|RECITATION|BLOCKLIST/i.test(message)) {
+    return new UpstreamError(message, { ...details, type: 'content_blocked', status: 400 });
+  }
+  if ([401, 403].includes(status) || /API key not valid|PERMISSION_DENIED/.test(message)) {
+    return new UpstreamError(message, { ...details, type: 'auth', status: 502 });
+  }
+  if (error instanceof SyntaxError || /JSON|候補が空/.test(message)) {
+    return new UpstreamError(message, { ...details, type: 'invalid_response', status: 502 });
+  }
+  return new UpstreamError(message, { ...details, type: 'other', status: 502 });
+}
+
+// 種類を保ったままメッセージに処理名を付ける
+function wrapError(error, label) {
+  const upstreamError = toUpstreamError(error);
+  return new UpstreamError(`${label}: ${upstreamError.message}`, {
+    type: upstreamError.type,
+    status: upstreamError.status,
+    retryable: upstreamError.retryable,
+    retryAfterMs: upstreamError.retryAfterMs,
+    cause: upstreamError.cause || upstreamError
+  });
+}
+
+// Gemini翻訳プロバイダー
+function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey;
+  const modelName = options.model || DEFAULT_MODEL;
+  const temperature = options.temperature !== undefined ? options.temperature : DEFAULT_TEMPERATURE;
+  const logger = options.logger || defaultLogger;
+  const dialects = options.dialects || defaultDialectRegistry;
+  const timeoutMs = options.timeoutMs || 30000;
+  const retryOptions = {
+    retries: options.maxRetries !== undefined ? options.maxRetries : 2,
+    baseDelayMs: options.retryBaseDelayMs || 500,
+    maxDelayMs: options.retryMaxDelayMs || 10000
+  };
+  const breaker = createCircuitBreaker({
+    failureThreshold: options.circuitFailureThreshold || 5,
+    cooldownMs: options.circuitCooldownMs || 30000,
+    onStateChange: (state, previous) => {
+      logger[state === 'open' ? 'error' : 'warn']('Gemini APIのサーキットブレーカーの状態が変わりました', { state, previous });
+    }
+  });
+  let genAI;
+
+  try {
+    if (!apiKey) {
+      logger.warn('GEMINI_API_KEY が設定されていません。翻訳機能は動作しません');
+    } else {
+      genAI = new GoogleGenerativeAI(apiKey);
+      logger.info('Gemini API が初期化されました', { model: modelName });
+    }
+  } catch (error) {
+    logger.error('Gemini API初期化エラー', { error });
+  }
+
+  function getModel(temperature, extraConfig = {}) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY が設定されていません');
+    }
+
+    if (!genAI) {
+      genAI = new GoogleGenerativeAI(apiKey);
+    }
+
+    return genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 1024,
+        ...extraConfig
+      }
+    });
+  }
+
+  // Gemini API の呼び出し（タイムアウト・リトライ・サーキットブレーカー付き）
+  // fn には中断用の signal を渡す。canRetry が false を返す場合は再試行しない
+  // ログのリクエストIDはロガーが付与する
+  async function callGemini(operation, fn, canRetry) {
+    const startTime = Date.now();
+    logger.debug('Gemini API呼び出し開始', { operation, model: modelName });
+
+    const result = await withRetry(() => breaker.execute(async () => {
+      const controller = new AbortController();
+      try {
+        return await withTimeout(() => fn(controller.signal), timeoutMs, () => controller.abort());
+      } catch (error) {
+        throw toUpstreamError(error);
+      }
+    }), {
+      ...retryOptions,
+      shouldRetry: canRetry,
+      onRetry: (error, attempt, delayMs) => {
+        logger.warn('Gemini API呼び出しを再試行します', {
+          operation,
+          attempt,
+          delay_ms: Math.round(delayMs),
+          type: error.type
+        });
+      }
+    });
+
+    logger.info('Gemini API呼び出し完了', { operation, model: modelName, duration_ms: Date.now() - startTime });
+    return result;
+  }
+
+  // 応答のテキストを返す（ブロックされた応答は text() が例外を投げる）
+  function generate(operation, model, prompt) {
+    return callGemini(operation, async (signal) => {
+      const result = await model.generateContent(prompt, { signal });
+      return result.response.text();
+    });
+  }
+
+  // 用語集の指示（該当する用語がある場合のみ）
+  function buildGlossarySection(glossary) {
+    if (!glossary || glossary.length === 0) return '';
+    const lines = glossary.map(t => `- 「${t.source_term}」→「${t.target_term}」`).join('\n');
+    return `用語集（以下の語句は必ず指定の表記で訳してください）:
+${lines}
+
+`;
+  }
+
+  // 翻訳例の指示（承認済みのフィードバックに入力と似たものがある場合のみ）
+  function buildExampleSection(examples, sourceName, targetName) {
+    if (!examples || examples.length === 0) return '';
+    const lines = examples.map(e => `- ${sourceName}: ${e.source_text}\n  ${targetName}: ${e.target_text}`).join('\n');
+    return `翻訳例（話者が確認した正しい訳です。語彙や言い回しを参考にしてください）:
+${lines}
+
+`;
+  }
+
+  // 会話の文脈（会話ルームの直前の発言。指示語・省略の解釈や口調の一貫性に使わせる）
+  function buildConversationSection(context) {
+    if (!context || context.length === 0) return '';
+    const lines = context.map(turn => `- ${turn.speaker}（${dialects.getLanguageName(turn.language)}）: ${turn.text}`).join('\n');
+    return `会話の流れ（直前の発言です。文脈の理解にだけ使い、翻訳するのは最後に示すテキストだけにしてください）:
+${lines}
+
+`;
+  }
+
+  // 方言の特徴の指示（方言の定義に prompt_hints がある場合のみ）
+  // 下位方言は親の方言のヒントも含め、食い違う場合は下位方言を優先させる
+  function buildDialectHintSection(source, target) {
+    const sections = [source, target]
+      .filter(code => code !== STANDARD)
+      .flatMap(code => dialects.getDialectLineage(code).map((lineageCode, i) => {
+        const hints = dialects.getDialectDetail(lineageCode).prompt_hints;
+        if (hints.length === 0) return null;
+        const name = dialects.getDialectName(lineageCode);
+        const heading = i === 0
+          ? `${name}の特徴`
+          : `${name}の特徴（${dialects.getDialectName(code)}の特徴と異なる場合は${dialects.getDialectName(code)}を優先）`;
+        return `${heading}:\n${hints.map(h => `- ${h}`).join('\n')}`;
+      }))
+      .filter(Boolean);
+
+    return sections.length > 0 ? `${sections.join('\n\n')}\n\n` : '';
+  }
+
+  // 翻訳用プロンプトの組み立て（source/target は 'standard' または方言コード）
+  function buildTranslationPrompt(text, source, target, options = {}) {
+    const sourceName = dialects.getLanguageName(source);
+    const targetName = dialects.getLanguageName(target);
+    // 文書翻訳で保護した記号（⟦0⟧ など）はそのまま残させる
+    const placeholderNote = /⟦\d+⟧/.test(text)
+      ? '「⟦0⟧」のような記号はリンクやタグの目印です。位置を保ったまま、そのまま残してください。\n\n'
+      : '';
+    const glossarySection = placeholderNote +
+      buildDialectHintSection(source, target) +
+      buildGlossarySection(options.glossary) +
+      buildExampleSection(options.examples, sourceName, targetName) +
+      buildConversationSection(options.context);
+    // 口調の指示は呼び出し側が register を指定した場合のみ加える
+    const register = findRegister(options.register);
+    const registerInstruction = register ? `\n- ${register.instruction}` : '';
+    // 複数候補の場合はJSON配列で返させる
+    const outputInstruction = options.candidates > 1
+      ? `翻訳候補を${options.candidates}通り、自然で適切なものから順にJSONの文字列配列で返してください（説明や追加情報は不要）`
+      : '翻訳結果のみを返してください（説明や追加情報は不要）';
+
+    let prompt;
+    if (source === STANDARD) {
+      // 標準語から方言へ
+      prompt = `あなたは${targetName}の専門家です。以下の標準語のテキストを自然で現地の人が実際に使うような${targetName}に翻訳してください。
+
+重要な指示:
+- ${outputInstruction}${registerInstruction}
+- ${register ? '自然な' : '自然で親しみやすい'}${targetName}の表現を使用してください
+- 文脈に応じて適切な方言表現を選択してください
+
+${glossarySection}標準語: ${text}
+
+${targetName}:`;
+    } else if (target === STANDARD) {
+      // 方言から標準語へ
+      prompt = `あなたは${sourceName}の専門家です。以下の${sourceName}のテキストを自然で正しい標準語に翻訳してください。
+
+重要な指示:
+- ${outputInstruction}${registerInstruction}
+- 自然で適切な標準語の表現を使用してください
+- 方言のニュアンスを保ちながら標準語に変換してください
+
+${glossarySection}${sourceName}: ${text}
+
+標準語:`;
+    } else {
+      // 方言から方言へ（標準語を経由しない）
+      prompt = `あなたは九州地方の方言の専門家で、${sourceName}と${targetName}の両方に精通しています。以下の${sourceName}のテキストを、標準語を経由せずに直接、現地の人が実際に使うような${targetName}に翻訳してください。
+
+重要な指示:
+- ${outputInstruction}${registerInstruction}
+- 語気・感情・親しさなどのニュアンスをできるだけ保ってください
+- ${sourceName}特有の表現は、意味の近い${targetName}の表現に置き換えてください
+
+${glossarySection}${sourceName}: ${text}
+
+${targetName}:`;
+    }
+
+    return prompt;
+  }
+
+  // 翻訳結果の後処理（不要な説明文を除去）
+  function cleanTranslation(rawText, target) {
+    const translatedText = rawText.trim();
+    const lines = translatedText.split('\n');
+    const cleanedText = lines[0].replace(new RegExp(`^(標準語|方言|翻訳結果|結果|${dialects.getLanguageName(target)})[:：]\\s*`), '').trim();
+
+    return cleanedText || translatedText;
+  }
+
+  // Gemini翻訳関数
+  async function translateWithGemini(text, source, target, options = {}) {
+    try {
+      const model = getModel(temperature);
+      const prompt = buildTranslationPrompt(text, source, target, options);
+
+      const responseText = await generate('translate', model, prompt);
+
+      return cleanTranslation(responseText, target);
+
+    } catch (error) {
+      logger.error('Gemini APIエラー', { operation: 'translate', model: modelName, error });
+      throw wrapError(error, '翻訳エラー');
+    }
+  }
+
+  // 複数の翻訳候補（自然さの順）
+  async function translateCandidatesWithGemini(text, source, target, options, count) {
+    try {
+      const model = getModel(0.9, { responseMimeType: 'application/json' });
+      const prompt = buildTranslationPrompt(text, source, target, { ...options, candidates: count });
+
+      const responseText = (await generate('candidates', model, prompt)).trim();
+      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+      if (!jsonMatch) {
+        throw new Error('JSON形式のレスポンスが見つかりません');
+      }
+
+      const candidates = JSON.parse(jsonMatch[0])
+        .filter(c => typeof c === 'string')
+        .map(c => cleanTranslation(c, target))
+        .filter(Boolean);
+      if (candidates.length === 0) {
+        throw new Error('翻訳候補が空です');
+      }
+      return [...new Set(candidates)].slice(0, count);
+
+    } catch (error) {
+      logger.error('Gemini APIエラー', { operation: 'candidates', model: modelName, error });
+      throw wrapError(error, '翻訳エラー');
+    }
+  }
+
+  // ストリーミング翻訳（onChunk には後処理済みの途中結果全体を渡す）
+  async function translateStreamWithGemini(text, source, target, options, onChunk) {
+    try {
+      const model = getModel(temperature);
+      const prompt = buildTranslationPrompt(text, source, target, options);
+
+      // 途中結果を送り始めた後は再試行しない
+      let rawText = '';
+      await callGemini('stream', async (signal) => {
+        const result = await model.generateContentStream(prompt, { signal });
+        for await (const chunk of result.stream) {
+          rawText += chunk.text();
+          onChunk(cleanTranslation(rawText, target));
+        }
+      }, () => rawText === '');
+
+      return cleanTranslation(rawText, target);
+
+    } catch (error) {
+      logger.error('Gemini APIエラー', { operation: 'stream', model: modelName, error });
+      throw wrapError(error, '翻訳エラー');
+    }
+  }
+
+  // 翻訳に使われた方言表現の解説（オフセットはサーバー側で計算する）
+  async function explainWithGemini(text, translatedText, source, target) {
+    try {
+      const model = getModel(0.3, { responseMimeType: 'application/json' });
+      const sourceName = dialects.getLanguageName(source);
+      const targetName = dialects.getLanguageName(target);
+
+      const prompt = `あなたは九州地方の方言の専門家で、方言を学ぶ人向けに解説を書いています。以下の翻訳に含まれる方言表現を取り出し、標準語での意味を説明してください。
+
+翻訳元（${sourceName}）: ${text}
+翻訳結果（${targetName}）: ${translatedText}
+
+重要な指示:
+1. 方言表現は、テキストに現れるとおりの表記で抜き出してください（活用や表記を変えない）
+2. side には、その方言表現が翻訳元にあれば "source"、翻訳結果にあれば "output" を指定してください
+3. grammar_note には、文全体の文法的な特徴を1〜2文で簡潔に書いてください
+4. 以下のJSON形式で回答してください（他の文章は含めないでください）:
+
+{
+  "expressions": [
+    {
+      "dialect_expression": "方言表現（例: ばってん）",
+      "standard_meaning": "標準語での意味（例: けれども）",
+      "note": "用法や語源などの短い補足",
+      "side": "source または output"
+    }
+  ],
+  "grammar_note": "文法的な特徴の短い説明"
+}`;
+
+      const responseText = (await generate('explain', model, prompt)).trim();
+      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('JSON形式のレスポンスが見つかりません');
+      }
+      return JSON.parse(jsonMatch[0]);
+
+    } catch (error) {
+      logger.error('Gemini APIエラー', { operation: 'explain', model: modelName, error });
+      throw wrapError(error, '解説エラー');
+    }
+  }
+
+  // 読み上げ用の読み（語句ごとの表記と発音どおりの読み。かな・ローマ字・SSMLはサーバー側で作る）
+  async function readingWithGemini(text, language) {
+    try {
+      const model = getModel(0.2, { responseMimeType: 'application/json' });
+      const languageName = dialects.getLanguageName(language);
+
+      const prompt = `あなたは九州地方の方言と日本語の発音の専門家で、音声合成で読み上げるための読みを付けています。以下の${languageName}のテキストを語句に区切り、実際の発音どおりの読みを付けてください。
+
+テキスト: ${text}
+
+重要な指示:
+1. tokens には、テキストを先頭から順に語句に区切って入れてください。surface はテキストに現れるとおりの表記にし、句読点・記号・空白は含めないでください
+2. kana には、その語句を実際に発音するとおりにカタカナで書いてください（助詞の「は」「へ」「を」は「ワ」「エ」「オ」、伸ばす音は「ー」、縮約や方言特有の読みはそのまま）
+3. dialect には、方言特有の語句・縮約形・読み方で、標準語のつもりで読み上げると誤読されやすいものなら true、それ以外は false を入れてください
+4. 以下のJSON形式で回答してください（他の文章は含めないでください）:
+
+{
+  "tokens": [
+    { "surface": "表記（例: 来んね）", "kana": "読み（例: コンネ）", "dialect": true }
+  ]
+}`;
+
+      const responseText = (await generate('reading', model, prompt)).trim();
+      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('JSON形式のレスポンスが見つかりません');
+      }
+      return JSON.parse(jsonMatch[0]);
+
+    } catch (error) {
+      logger.error('Gemini APIエラー', { operation: 'reading', model: modelName, error });
+      throw wrapError(error, '読みの生成エラー');
+    }
+  }
+
+  // 方言判定を行うGemini関数（判定の確定と形式の検証はサーバー側で行う）
+  // options.segments を指定すると文ごとのスコアも、options.translate が true なら標準語訳も返させる
+  async function detectWithGemini(text, options = {}) {
+    try {
+      const model = getModel(0.2, { responseMimeType: 'application/json' }); // 判定の精度を上げるため温度を下げる
+
+      // 下位方言は親の方言の下に字下げして並べる
+      const dialectList = dialects.supportedDialects
+        .map(d => `${'  '.repeat(dialects.getDialectLineage(d.code).length - 1)}- ${d.code}: ${d.name}${d.region ? `（${d.region}）` : ''}`)
+        .join('\n');
+      const instructions = [
+        'scores には、上の対応方言それぞれについて、テキストがその方言である度合いを0〜1の数値で入れてください（該当しない方言は0）',
+        '下位方言（字下げされたもの）に特有の表現があれば、親の方言より下位方言のスコアを高くしてください',
+        'markers には、判定の根拠になった方言表現を、テキストに現れるとおりの表記で入れてください（dialect はその表現が特徴的な方言のコード）',
+        ...(options.segments ? ['segments には、番号の付いた文ごとに同じ形式のスコアを入れてください（index は文の番号）'] : []),
+        ...(options.translate ? ['translated_text には、テキスト全体を標準語に翻訳したものを入れてください'] : [])
+      ];
+      const outputFields = [
+        '  "scores": [{ "dialect": "方言コード", "score": 0.0 }]',
+        '  "markers": [{ "expression": "方言表現（例: ばってん）", "dialect": "方言コード", "standard_meaning": "標準語での意味（例: けれども）" }]',
+        ...(options.segments ? ['  "segments": [{ "index": 0, "scores": [{ "dialect": "方言コード", "score": 0.0 }] }]'] : []),
+        ...(options.translate ? ['  "translated_text": "標準語に翻訳されたテキスト"'] : [])
+      ];
+      const segmentSection = options.segments
+        ? `\n\n文ごとの分析対象（番号: 文）:\n${options.segments.map((segment, i) => `${i}: ${segment}`).join('\n')}`
+        : '';
+
+      const prompt = `あなたは九州地方の方言の専門家です。以下のテキストがどの九州方言で書かれているかを分析してください。
+
+対応方言:
+${dialectList}
+
+重要な指示:
+${instructions.map((instruction, i) => `${i + 1}. ${instruction}`).join('\n')}
+${instructions.length + 1}. 以下のJSON形式で回答してください（他の文章は含めないでください）:
+
+{
+${outputFields.join(',\n')}
+}
+
+分析対象テキスト: ${text}${segmentSection}`;
+
+      const responseText = (await generate('detect', model, prompt)).trim();
+      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('JSON形式のレスポンスが見つかりません');
+      }
+      return JSON.parse(jsonMatch[0]);
+
+    } catch (error) {
+      logger.error('Gemini APIエラー', { operation: 'detect', model: modelName, error });
+      throw wrapError(error, '方言判定エラー');
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    temperature,
+    isConfigured: () => !!apiKey,
+    translate: translateWithGemini,
+    translateStream: translateStreamWithGemini,
+    translateCandidates: translateCandidatesWithGemini,
+    explain: explainWithGemini,
+    reading: readingWithGemini,
+    detect: detectWithGemini,
+    circuitState: breaker.stats
+  };
+}
+
+module.exports = {
+  toUpstreamError,
+  DEFAULT_MODEL,
+  DEFAULT_TEMPERATURE,
+  createGeminiProvider
+};
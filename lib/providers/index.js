@@ -0,0 +1,71 @@
+const { createGeminiProvider, DEFAULT_MODEL } = require('./gemini');
+const { createOfflineProvider } = require('./offline');
+const { createFixtureProvider } = require('./fixture');
+
+const PROVIDER_NAMES = ['gemini', 'offline', 'fixture'];
+
+// 未設定・不正な値は undefined（各プロバイダーの既定値を使う）
+function parseInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+// 環境変数から翻訳プロバイダーを選択して生成
+//   TRANSLATION_PROVIDER: gemini（既定） / offline / fixture
+//   GEMINI_MODEL: Geminiのモデル名
+//   GEMINI_TEMPERATURE: 翻訳の温度（既定: 0.7）
+//   OFFLINE_DATA_DIR: オフライン辞書のディレクトリ
+//   FIXTURE_FILE / FIXTURE_RECORD: フィクスチャファイルと記録モード
+//   GEMINI_TIMEOUT_MS / GEMINI_MAX_RETRIES / GEMINI_RETRY_BASE_MS / GEMINI_RETRY_MAX_DELAY_MS: タイムアウトとリトライ
+//   CIRCUIT_BREAKER_THRESHOLD / CIRCUIT_BREAKER_COOLDOWN_SECONDS: サーキットブレーカー
+// options.dialects を指定すると、その方言の定義でプロンプト・辞書・判定を組み立てる
+function createProvider(env = process.env, options = {}) {
+  const { logger, dialects } = options;
+  const name = (env.TRANSLATION_PROVIDER || 'gemini').toLowerCase();
+
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new Error(`未知の翻訳プロバイダーです: ${name}（${PROVIDER_NAMES.join(', ')} のいずれかを指定してください）`);
+  }
+
+  const geminiOptions = {
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || DEFAULT_MODEL,
+    temperature: parseNumber(env.GEMINI_TEMPERATURE),
+    timeoutMs: parseInteger(env.GEMINI_TIMEOUT_MS),
+    maxRetries: parseInteger(env.GEMINI_MAX_RETRIES),
+    retryBaseDelayMs: parseInteger(env.GEMINI_RETRY_BASE_MS),
+    retryMaxDelayMs: parseInteger(env.GEMINI_RETRY_MAX_DELAY_MS),
+    circuitFailureThreshold: parseInteger(env.CIRCUIT_BREAKER_THRESHOLD),
+    circuitCooldownMs: env.CIRCUIT_BREAKER_COOLDOWN_SECONDS
+      ? parseInteger(env.CIRCUIT_BREAKER_COOLDOWN_SECONDS) * 1000
+      : undefined,
+    dialects,
+    logger
+  };
+
+  switch (name) {
+    case 'offline':
+      return createOfflineProvider({ dataDir: env.OFFLINE_DATA_DIR, dialects, logger });
+    case 'fixture': {
+      const record = env.FIXTURE_RECORD === 'true';
+      return createFixtureProvider({
+        file: env.FIXTURE_FILE,
+        record,
+        delegate: record ? createGeminiProvider(geminiOptions) : null,
+        logger
+      });
+    }
+    default:
+      return createGeminiProvider(geminiOptions);
+  }
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProvider
+};
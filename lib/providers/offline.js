@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const { STANDARD, defaultDialectRegistry } = require('../dialects');
+const { logger: defaultLogger } = require('../logger');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data', 'offline');
+const SENTENCE_PATTERN = /([^。！？!?\n]*)([。！？!?\n]*)/g;
+const POLITE_REGISTERS = ['polite', 'business'];
+// 読みの語句（漢字の連続とかなの連続。句読点・記号・空白は含めない）
+const READING_RUN_PATTERN = /[㐀-鿿豈-﫿々〆ヶ]+|[ぁ-ゖゝゞァ-ヺー-ヾ]+|[^\s\p{P}\p{S}㐀-鿿豈-﫿々〆ヶぁ-ゖゝゞァ-ヺー-ヾ]+/gu;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 変換表（{from: to} の配列）から最長一致優先の置換器を作成
+function buildReplacer(pairs) {
+  const table = new Map();
+  pairs.forEach(([from, to]) => {
+    // 逆引き時に同じ語が複数ある場合は先に定義されたものを優先
+    if (from && !table.has(from)) {
+      table.set(from, to);
+    }
+  });
+
+  const keys = [...table.keys()].sort((a, b) => b.length - a.length);
+  const pattern = keys.length > 0 ? new RegExp(keys.map(escapeRegExp).join('|'), 'g') : null;
+
+  return { table, keys, pattern };
+}
+
+// 語句表・活用表（{ standard, dialect } の配列）から両方向の置換器を作成
+function buildTables(phrases, conjugations) {
+  return {
+    toDialect: {
+      phrases: buildReplacer(phrases.map(p => [p.standard, p.dialect])),
+      conjugations: buildReplacer(conjugations.map(c => [c.standard, c.dialect]))
+    },
+    toStandard: {
+      phrases: buildReplacer(phrases.map(p => [p.dialect, p.standard])),
+      conjugations: buildReplacer(conjugations.map(c => [c.dialect, c.standard]))
+    }
+  };
+}
+
+// 方言ごとの語句表・活用表を読み込む
+// 下位方言は親の方言の表を引き継ぎ、独自の辞書があればその語句を優先する
+//   tables: 翻訳に使う表（親から引き継いだ語句を含む）
+//   ownTables: その方言の辞書ファイルだけから作った表（方言判定用）
+function loadTables(dataDir, dialects, logger) {
+  const entries = {};
+  const tables = {};
+  const ownTables = {};
+
+  dialects.supportedDialects.forEach(({ code, parent }) => {
+    const filePath = path.join(dataDir, `${code}.json`);
+    if (!fs.existsSync(filePath)) {
+      if (!parent) {
+        logger.warn('オフライン辞書が見つかりません', { file: filePath });
+      }
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    entries[code] = { phrases: data.phrases || [], conjugations: data.conjugations || [] };
+    ownTables[code] = buildTables(entries[code].phrases, entries[code].conjugations);
+  });
+
+  dialects.supportedDialects.forEach(({ code }) => {
+    const lineage = dialects.getDialectLineage(code).filter(c => entries[c]);
+    if (lineage.length === 0) return;
+    tables[code] = buildTables(
+      lineage.flatMap(c => entries[c].phrases),
+      lineage.flatMap(c => entries[c].conjugations)
+    );
+  });
+
+  return { tables, ownTables };
+}
+
+// 語句置換（文中のどこでも適用）
+function applyPhrases(text, replacer) {
+  if (!replacer.pattern) return text;
+  return text.replace(replacer.pattern, match => replacer.table.get(match));
+}
+
+// 文末に一致する活用表の表現（長いもの優先。なければ undefined）
+// 促音（っ）の直後は語の途中のため文末表現として扱わない
+// （「なんしよっと」の「と」を「の」にして「なんしよっの」にするなどの誤変換を防ぐ）
+function findSentenceEnd(body, replacer) {
+  return replacer.keys.find(k => body.endsWith(k) && body.length > k.length &&
+    !/[っッ]$/.test(body.slice(0, -k.length)));
+}
+
+// 活用置換（文末のみ適用）
+function applyConjugations(text, replacer) {
+  return text.replace(SENTENCE_PATTERN, (whole, body, terminator) => {
+    if (!body) return whole;
+    const key = findSentenceEnd(body, replacer);
+    if (!key) return whole;
+    return body.slice(0, -key.length) + replacer.table.get(key) + terminator;
+  });
+}
+
+function countMatches(text, replacer, sentenceEndOnly) {
+  if (sentenceEndOnly) {
+    let count = 0;
+    text.replace(SENTENCE_PATTERN, (whole, body) => {
+      if (body && findSentenceEnd(body, replacer)) {
+        count++;
+      }
+      return whole;
+    });
+    return count;
+  }
+  if (!replacer.pattern) return 0;
+  return (text.match(replacer.pattern) || []).length;
+}
+
+// 語句表・活用表によるオフライン翻訳プロバイダー（APIキー不要・決定的）
+function createOfflineProvider(options = {}) {
+  const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+  const logger = options.logger || defaultLogger;
+  const dialects = options.dialects || defaultDialectRegistry;
+  const { tables, ownTables } = loadTables(dataDir, dialects, logger);
+
+  logger.info('オフライン翻訳プロバイダーを初期化しました', { dialect_count: Object.keys(tables).length });
+
+  // sentenceEnds が false の場合は文末表現を変換しない（丁寧な口調を保つ）
+  function convert(text, dialectCode, direction, sentenceEnds = true) {
+    const dialectTables = tables[dialectCode];
+    if (!dialectTables) {
+      const error = new Error(`翻訳エラー: オフライン辞書が未登録の方言です (${dialectCode})`);
+      error.type = 'not_configured';
+      throw error;
+    }
+
+    const { phrases, conjugations } = dialectTables[direction];
+    const converted = applyPhrases(text, phrases);
+    return sentenceEnds ? applyConjugations(converted, conjugations) : converted;
+  }
+
+  // 方言同士の翻訳は標準語の表を経由して変換する
+  // 用語集の語句は置換表より優先し、変換中は私用領域の目印で保護する
+  // 丁寧・ビジネス向けの口調では方言の文末表現を使わず、語句だけを方言にする
+  // 承認済みの翻訳例に同じ入力があればその訳を使う
+  async function translate(text, source, target, options = {}) {
+    const example = (options.examples || []).find(e => e.source_text === text);
+    if (example) return example.target_text;
+
+    const glossary = options.glossary || [];
+    const sentenceEnds = options.sentenceEnds !== undefined
+      ? options.sentenceEnds
+      : !POLITE_REGISTERS.includes(options.register);
+    let result = glossary.reduce(
+      (current, term, i) => current.split(term.source_term).join(`\uE000${i}\uE001`),
+      text
+    );
+
+    if (source !== STANDARD) {
+      result = convert(result, source, 'toStandard');
+    }
+    if (target !== STANDARD) {
+      result = convert(result, target, 'toDialect', sentenceEnds);
+    }
+
+    return result.replace(/\uE000(\d+)\uE001/g, (whole, i) => glossary[Number(i)].target_term);
+  }
+
+  // 複数候補は文末表現を変換したものとしないものの2通りまで（口調に合うほうを先にする）
+  // 文末表現がない文は1通りになるため、n より少ない件数を返すことがある
+  async function translateCandidates(text, source, target, options, count) {
+    const preferred = await translate(text, source, target, options);
+    const sentenceEnds = !POLITE_REGISTERS.includes(options.register);
+    const alternative = await translate(text, source, target, { ...options, sentenceEnds: !sentenceEnds });
+    return [...new Set([preferred, alternative])].slice(0, count);
+  }
+
+  // テキスト中の方言の語句・文末表現を辞書から探す
+  function findExpressions(text, dialectCode, side, dialectTables = tables[dialectCode]) {
+    const { phrases, conjugations } = dialectTables.toStandard;
+    const found = [];
+
+    if (phrases.pattern) {
+      for (const match of text.matchAll(phrases.pattern)) {
+        found.push({
+          dialect_expression: match[0],
+          standard_meaning: phrases.table.get(match[0]),
+          note: `${dialects.getDialectName(dialectCode)}の語句`,
+          side
+        });
+      }
+    }
+
+    text.replace(SENTENCE_PATTERN, (whole, body) => {
+      const key = body && findSentenceEnd(body, conjugations);
+      if (key) {
+        found.push({
+          dialect_expression: key,
+          standard_meaning: conjugations.table.get(key),
+          note: `${dialects.getDialectName(dialectCode)}の文末表現`,
+          side
+        });
+      }
+      return whole;
+    });
+
+    return found;
+  }
+
+  async function explain(text, translatedText, source, target) {
+    const expressions = [];
+    if (source !== STANDARD && tables[source]) {
+      expressions.push(...findExpressions(text, source, 'source'));
+    }
+    if (target !== STANDARD && tables[target]) {
+      expressions.push(...findExpressions(translatedText, target, 'output'));
+    }
+
+    const examples = [...new Set(expressions
+      .map(e => `「${e.dialect_expression}」（標準語の「${e.standard_meaning}」）`))]
+      .slice(0, 3)
+      .join('、');
+
+    return {
+      expressions,
+      grammar_note: expressions.length > 0
+        ? `${examples}などの方言表現が使われています。`
+        : 'オフライン辞書に該当する方言表現はありません。'
+    };
+  }
+
+  // 読み（辞書の方言表現とかなの語句は表記どおりに読み、漢字は読みなしにする）
+  // 辞書の方言表現はすべてかな書きのため、漢字の読みはサーバー側で未解決として扱われる
+  async function reading(text, language) {
+    const expressions = language !== STANDARD && tables[language]
+      ? [...new Set(findExpressions(text, language, 'output').map(e => e.dialect_expression))]
+      : [];
+    const expressionPattern = expressions.length > 0
+      ? new RegExp(`(${expressions.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`)
+      : null;
+
+    const tokens = (expressionPattern ? text.split(expressionPattern) : [text]).flatMap((piece, i) => {
+      if (expressionPattern && i % 2 === 1) return [{ surface: piece, kana: piece, dialect: true }];
+      return (piece.match(READING_RUN_PATTERN) || []).map(run => ({
+        surface: run,
+        kana: /[㐀-鿿豈-﫿々〆ヶ]/u.test(run) ? null : run,
+        dialect: false
+      }));
+    });
+
+    return { tokens };
+  }
+
+  // 方言ごとのスコアと根拠の表現
+  // 下位方言は親の方言の表現の数に独自の表現の数を加えて数える
+  // スコアは最も多い方言の数で割る（表現が1つだけの場合は 0.5 を上限にする）
+  function scoreText(text) {
+    const markers = Object.keys(ownTables).flatMap(code => findExpressions(text, code, null, ownTables[code])
+      .map(e => ({ expression: e.dialect_expression, dialect: code, standard_meaning: e.standard_meaning })));
+
+    const ownCounts = {};
+    markers.forEach(m => {
+      ownCounts[m.dialect] = (ownCounts[m.dialect] || 0) + 1;
+    });
+    const counts = dialects.supportedDialects.map(({ code }) => ({
+      dialect: code,
+      count: dialects.getDialectLineage(code).reduce((sum, c) => sum + (ownCounts[c] || 0), 0)
+    }));
+    const max = Math.max(2, ...counts.map(c => c.count));
+
+    return {
+      scores: counts.map(({ dialect, count }) => ({ dialect, score: count / max })),
+      markers
+    };
+  }
+
+  // 判定のみ行う（標準語訳はサーバー側で判定した方言から作る）
+  async function detect(text, options = {}) {
+    const { scores, markers } = scoreText(text);
+    return {
+      scores,
+      markers,
+      ...(options.segments
+        ? { segments: options.segments.map((segment, index) => ({ index, scores: scoreText(segment).scores })) }
+        : {})
+    };
+  }
+
+  return {
+    name: 'offline',
+    model: 'offline-rules',
+    isConfigured: () => Object.keys(tables).length > 0,
+    translate,
+    translateCandidates,
+    explain,
+    reading,
+    detect
+  };
+}
+
+module.exports = {
+  createOfflineProvider
+};
@@ -0,0 +1,408 @@
+const { validate } = require('./schema');
+
+const KANJI_PATTERN = /[㐀-鿿豈-﫿々〆ヶ]/u;
+// 読みとして使える文字（ひらがな・カタカナ・長音符）
+const KANA_PATTERN = /^[ぁ-ゖゝゞァ-ヺー-ヾ]+$/u;
+// 句読点・記号・空白の連続（読みの対象外で、SSMLでは間を入れる位置になる）
+const SEPARATOR_PATTERN = /[\s\p{P}\p{S}]+/gu;
+
+// 間（ポーズ）の長さ
+const PAUSE_COMMA = '200ms';
+const PAUSE_SENTENCE = '500ms';
+const PAUSE_LINE = '800ms';
+
+const DEFAULT_PHONEME_ALPHABET = 'yomigana';
+
+// プロバイダーが返す読み（語句ごとの表記と発音どおりの読み）
+const RAW_READING_SCHEMA = {
+  type: 'object',
+  required: ['tokens'],
+  properties: {
+    tokens: {
+      type: 'array',
+      maxItems: 2000,
+      items: {
+        type: 'object',
+        required: ['surface'],
+        properties: {
+          surface: { type: 'string', minLength: 1, maxLength: 200 },
+          kana: { type: 'string', nullable: true, maxLength: 400 },
+          dialect: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+const offsetsSchema = {
+  type: 'object',
+  required: ['start', 'end'],
+  additionalProperties: false,
+  properties: {
+    start: { type: 'integer', minimum: 0 },
+    end: { type: 'integer', minimum: 0 }
+  }
+};
+
+// レスポンスとして返す読み
+const READING_SCHEMA = {
+  type: 'object',
+  required: ['kana', 'romaji', 'ssml', 'tokens', 'offset_unit', 'unresolved_count', 'dropped_token_count'],
+  additionalProperties: false,
+  properties: {
+    kana: { type: 'string' },
+    romaji: { type: 'string' },
+    ssml: { type: 'string' },
+    tokens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['surface', 'kana', 'romaji', 'dialect', 'offsets'],
+        additionalProperties: false,
+        properties: {
+          surface: { type: 'string', minLength: 1 },
+          kana: { type: 'string', nullable: true },
+          romaji: { type: 'string', nullable: true },
+          dialect: { type: 'boolean' },
+          offsets: offsetsSchema
+        }
+      }
+    },
+    offset_unit: { const: 'code_point' },
+    unresolved_count: { type: 'integer', minimum: 0 },
+    dropped_token_count: { type: 'integer', minimum: 0 }
+  }
+};
+
+// 読みの形式が不正な場合のエラー
+class ReadingSchemaError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ReadingSchemaError';
+    // 翻訳プロバイダーの応答不正として扱う（502）
+    this.type = 'invalid_response';
+    this.details = details;
+  }
+}
+
+// ヘボン式のローマ字表（ひらがな）
+const ROMAJI = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+  が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o',
+  ゃ: 'ya', ゅ: 'yu', ょ: 'yo', ゎ: 'wa', ゔ: 'vu',
+  きゃ: 'kya', きゅ: 'kyu', きょ: 'kyo', ぎゃ: 'gya', ぎゅ: 'gyu', ぎょ: 'gyo',
+  しゃ: 'sha', しゅ: 'shu', しょ: 'sho', じゃ: 'ja', じゅ: 'ju', じょ: 'jo',
+  ちゃ: 'cha', ちゅ: 'chu', ちょ: 'cho', ぢゃ: 'ja', ぢゅ: 'ju', ぢょ: 'jo',
+  にゃ: 'nya', にゅ: 'nyu', にょ: 'nyo', ひゃ: 'hya', ひゅ: 'hyu', ひょ: 'hyo',
+  びゃ: 'bya', びゅ: 'byu', びょ: 'byo', ぴゃ: 'pya', ぴゅ: 'pyu', ぴょ: 'pyo',
+  みゃ: 'mya', みゅ: 'myu', みょ: 'myo', りゃ: 'rya', りゅ: 'ryu', りょ: 'ryo',
+  // 方言や外来語に現れる拗音
+  しぇ: 'she', じぇ: 'je', ちぇ: 'che', つぁ: 'tsa', てぃ: 'ti', でぃ: 'di', とぅ: 'tu', どぅ: 'du',
+  てゅ: 'tyu', でゅ: 'dyu', ふぁ: 'fa', ふぃ: 'fi', ふぇ: 'fe', ふぉ: 'fo', ふゅ: 'fyu',
+  うぃ: 'wi', うぇ: 'we', うぉ: 'wo', ゔぁ: 'va', ゔぃ: 'vi', ゔぇ: 've', ゔぉ: 'vo',
+  くゎ: 'kwa', ぐゎ: 'gwa'
+};
+
+const ROMAJI_PUNCTUATION = {
+  '。': '.', '、': ',', '，': ',', '．': '.', '！': '!', '？': '?',
+  '「': '"', '」': '"', '『': '"', '』': '"', '・': ' ', '　': ' ', '〜': '~', '…': '...'
+};
+
+const MACRONS = { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' };
+
+function toHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+function toKatakana(text) {
+  return text.replace(/[ぁ-ゖ]/g, c => String.fromCharCode(c.charCodeAt(0) + 0x60));
+}
+
+// かなをヘボン式のローマ字にする
+// 促音は次の子音を重ね（ch の前は t）、撥音は母音・y の前で n' にする
+// 長音符（ー）は直前の母音のマクロンにし、それ以外の母音の連続はかなのとおりに書く
+function toRomaji(kana) {
+  const chars = Array.from(toHiragana(kana));
+  const syllables = [];
+  for (let i = 0; i < chars.length; i++) {
+    const pair = chars[i] + (chars[i + 1] || '');
+    if (ROMAJI[pair] && chars[i + 1]) {
+      syllables.push({ kana: pair, romaji: ROMAJI[pair] });
+      i++;
+    } else {
+      syllables.push({ kana: chars[i], romaji: ROMAJI[chars[i]] });
+    }
+  }
+
+  let result = '';
+  syllables.forEach((syllable, i) => {
+    const next = syllables[i + 1] && syllables[i + 1].romaji;
+    if (syllable.kana === 'っ') {
+      if (next) result += next.startsWith('ch') ? 't' : next[0];
+    } else if (syllable.kana === 'ん') {
+      result += next && /^[aiueoy]/.test(next) ? "n'" : 'n';
+    } else if (syllable.kana === 'ー') {
+      const last = result.slice(-1);
+      if (MACRONS[last]) result = result.slice(0, -1) + MACRONS[last];
+    } else if (syllable.romaji) {
+      result += syllable.romaji;
+    } else {
+      result += ROMAJI_PUNCTUATION[syllable.kana] || syllable.kana.normalize('NFKC');
+    }
+  });
+  return result;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// SSMLで使う要素と必須の属性
+const SSML_ELEMENTS = {
+  speak: [],
+  p: [],
+  s: [],
+  break: [],
+  phoneme: ['ph'],
+  sub: ['alias']
+};
+
+const TAG_PATTERN = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+const ATTRIBUTE_PATTERN = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"<]*)"|'([^'<]*)')/g;
+const ENTITY_PATTERN = /&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9A-Fa-f]+);/y;
+
+// 文字列中の & が正しい文字参照かどうか
+function hasInvalidEntity(text) {
+  for (let i = text.indexOf('&'); i !== -1; i = text.indexOf('&', i + 1)) {
+    ENTITY_PATTERN.lastIndex = i;
+    if (!ENTITY_PATTERN.test(text)) return true;
+  }
+  return false;
+}
+
+// SSMLが整形式のXMLで、speak をルートにした既知の要素だけでできているかを確認する（エラーの配列を返す）
+function checkSsml(ssml) {
+  const errors = [];
+  const stack = [];
+  let rootCount = 0;
+  let position = 0;
+
+  while (position < ssml.length && errors.length === 0) {
+    if (ssml[position] !== '<') {
+      const end = ssml.indexOf('<', position);
+      const text = ssml.slice(position, end === -1 ? ssml.length : end);
+      if (stack.length === 0 && text.trim()) errors.push('ルート要素の外に文字列があります');
+      if (hasInvalidEntity(text)) errors.push('不正な文字参照があります');
+      position += text.length;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = position;
+    const match = TAG_PATTERN.exec(ssml);
+    if (!match) {
+      errors.push(`不正なタグがあります（${position}文字目）`);
+      break;
+    }
+    const [tag, closing, name, attributeText, selfClosing] = match;
+    position += tag.length;
+
+    if (closing) {
+      if (attributeText || selfClosing) {
+        errors.push(`終了タグ </${name}> の形式が正しくありません`);
+      } else if (stack.pop() !== name) {
+        errors.push(`終了タグ </${name}> が開始タグと対応していません`);
+      }
+      continue;
+    }
+
+    if (!SSML_ELEMENTS[name]) {
+      errors.push(`未対応の要素 <${name}> があります`);
+      continue;
+    }
+    const attributes = new Map();
+    for (const [, attribute, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+      const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+      if (attributes.has(attribute)) errors.push(`<${name}> の属性 ${attribute} が重複しています`);
+      if (hasInvalidEntity(value)) errors.push(`<${name}> の属性 ${attribute} に不正な文字参照があります`);
+      attributes.set(attribute, value);
+    }
+    SSML_ELEMENTS[name]
+      .filter(attribute => !attributes.get(attribute))
+      .forEach(attribute => errors.push(`<${name}> に ${attribute} 属性がありません`));
+
+    if (stack.length === 0) {
+      rootCount++;
+      if (name !== 'speak' || rootCount > 1) errors.push('ルート要素は1つの <speak> である必要があります');
+    }
+    if (!selfClosing) stack.push(name);
+  }
+
+  if (errors.length === 0 && stack.length > 0) errors.push(`<${stack[stack.length - 1]}> が閉じられていません`);
+  if (errors.length === 0 && rootCount === 0) errors.push('<speak> 要素がありません');
+  return errors;
+}
+
+// 区切り（句読点・記号・空白）のSSML（読点と文末には間を入れる）
+function separatorSsml(text) {
+  if (/\n/.test(text)) return `<break time="${PAUSE_LINE}"/>`;
+  return Array.from(text).map(c => {
+    if (/[。．！？!?]/.test(c)) return `${escapeXml(c)}<break time="${PAUSE_SENTENCE}"/>`;
+    if (/[、，,]/.test(c)) return `${escapeXml(c)}<break time="${PAUSE_COMMA}"/>`;
+    if (/\s/.test(c)) return ' ';
+    return escapeXml(c);
+  }).join('');
+}
+
+// 語句のSSML
+// 方言の語句は <phoneme>（読みはカタカナ）、漢字を含む語句は <sub> で読みを指定する
+function tokenSsml(token, phonemeAlphabet) {
+  const surface = escapeXml(token.surface);
+  if (token.kana === null) return surface;
+  if (token.dialect) {
+    return `<phoneme alphabet="${escapeXml(phonemeAlphabet)}" ph="${escapeXml(toKatakana(token.kana))}">${surface}</phoneme>`;
+  }
+  if (KANJI_PATTERN.test(token.surface)) {
+    return `<sub alias="${escapeXml(token.kana)}">${surface}</sub>`;
+  }
+  return surface;
+}
+
+function buildSsml(parts, phonemeAlphabet) {
+  const body = parts
+    .map(part => (part.separator ? separatorSsml(part.text) : tokenSsml(part.token, phonemeAlphabet)))
+    .join('')
+    .replace(/(?:<break time="[^"]*"\/>\s*)+$/, '');
+  return `<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="ja-JP">${body}</speak>`;
+}
+
+// 語句の読み（漢字を含まない語句は、読みがなければ表記をそのまま読みにする）
+function resolveKana(surface, kana) {
+  const normalized = kana ? toHiragana(kana.replace(/\s+/g, '')) : '';
+  if (normalized && KANA_PATTERN.test(normalized)) return normalized;
+  if (KANJI_PATTERN.test(surface)) return null;
+  return toHiragana(surface);
+}
+
+// 区切りを除いた部分を語句にする（プロバイダーの語句に含まれなかった部分の補完に使う）
+function splitGap(text) {
+  const parts = [];
+  let position = 0;
+  for (const match of text.matchAll(SEPARATOR_PATTERN)) {
+    if (match.index > position) parts.push({ text: text.slice(position, match.index) });
+    parts.push({ text: match[0], separator: true });
+    position = match.index + match[0].length;
+  }
+  if (position < text.length) parts.push({ text: text.slice(position) });
+  return parts;
+}
+
+// プロバイダーの読みを検証し、テキストの先頭から順に対応付けて、かな・ローマ字・SSMLを作る
+// テキストに見つからない語句は捨て、語句のない部分は区切りか読みのない語句として補う
+function buildReading({ text, raw, phonemeAlphabet = DEFAULT_PHONEME_ALPHABET }) {
+  const rawErrors = validate(RAW_READING_SCHEMA, raw);
+  if (rawErrors.length > 0) {
+    throw new ReadingSchemaError('読みの形式が正しくありません', rawErrors);
+  }
+
+  const parts = [];
+  let position = 0;
+  let dropped = 0;
+
+  const addGap = gap => splitGap(gap).forEach(part => parts.push(
+    part.separator ? part : { token: { surface: part.text, kana: null, dialect: false } }
+  ));
+
+  raw.tokens.forEach(rawToken => {
+    const surface = rawToken.surface.trim();
+    const index = surface ? text.indexOf(surface, position) : -1;
+    if (index === -1) {
+      dropped++;
+      return;
+    }
+    addGap(text.slice(position, index));
+    parts.push({ token: { surface, kana: rawToken.kana || null, dialect: rawToken.dialect === true } });
+    position = index + surface.length;
+  });
+  addGap(text.slice(position));
+
+  let offset = 0;
+  const tokens = [];
+  parts.forEach(part => {
+    const length = Array.from(part.separator ? part.text : part.token.surface).length;
+    if (!part.separator) {
+      const kana = resolveKana(part.token.surface, part.token.kana);
+      part.token = {
+        surface: part.token.surface,
+        kana,
+        romaji: kana === null ? null : toRomaji(kana),
+        dialect: part.token.dialect,
+        offsets: { start: offset, end: offset + length }
+      };
+      tokens.push(part.token);
+    }
+    offset += length;
+  });
+
+  // 読みのない語句は表記のまま残す
+  const kana = parts
+    .map(part => (part.separator ? part.text : (part.token.kana !== null ? part.token.kana : part.token.surface)))
+    .join('');
+  const romaji = parts
+    .map(part => (part.separator ? toRomaji(part.text) : (part.token.romaji !== null ? part.token.romaji : part.token.surface)))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .replace(/ ([,.!?"~])/g, (whole, mark) => (mark === '"' ? whole : mark))
+    .trim();
+
+  const ssml = buildSsml(parts, phonemeAlphabet);
+  const ssmlErrors = checkSsml(ssml);
+  if (ssmlErrors.length > 0) {
+    throw new Error(`SSMLの形式が正しくありません: ${ssmlErrors.join(' / ')}`);
+  }
+
+  const reading = {
+    kana,
+    romaji,
+    ssml,
+    tokens,
+    offset_unit: 'code_point',
+    unresolved_count: tokens.filter(t => t.kana === null).length,
+    dropped_token_count: dropped
+  };
+
+  const errors = validate(READING_SCHEMA, reading);
+  if (errors.length > 0) {
+    throw new ReadingSchemaError('読みの形式が正しくありません', errors);
+  }
+
+  return reading;
+}
+
+module.exports = {
+  RAW_READING_SCHEMA,
+  READING_SCHEMA,
+  DEFAULT_PHONEME_ALPHABET,
+  ReadingSchemaError,
+  toRomaji,
+  checkSsml,
+  buildReading
+};
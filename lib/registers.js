@@ -0,0 +1,46 @@
+// 翻訳結果の話し方（レジスター）
+// instruction は翻訳プロンプトに入れる口調の指示
+const registers = [
+  {
+    code: 'casual',
+    name: 'くだけた口調',
+    instruction: '友人や家族と話すような、自然で親しみやすいくだけた口調にしてください'
+  },
+  {
+    code: 'polite',
+    name: '丁寧な口調',
+    instruction: '目上の人や初対面の人に話すような丁寧な口調にしてください（方言の丁寧表現があれば使ってください）'
+  },
+  {
+    code: 'elderly',
+    name: '年配の話者',
+    instruction: '地元の年配の人が話すような、昔ながらの語彙や言い回しを多く含む口調にしてください'
+  },
+  {
+    code: 'business',
+    name: 'ビジネス向け',
+    instruction: '接客や仕事の場面で使える失礼のない丁寧な口調にしてください。方言らしさは語彙や語尾の柔らかさ程度にとどめてください'
+  }
+];
+
+const DEFAULT_REGISTER = 'casual';
+
+// 複数候補を返すときの最大件数
+const MAX_CANDIDATES = 5;
+
+function findRegister(code) {
+  return registers.find(r => r.code === code);
+}
+
+// レジスター名を取得（未知のコードはデフォルトとして扱う）
+function getRegisterName(code) {
+  return (findRegister(code) || findRegister(DEFAULT_REGISTER)).name;
+}
+
+module.exports = {
+  registers,
+  DEFAULT_REGISTER,
+  MAX_CANDIDATES,
+  findRegister,
+  getRegisterName
+};
@@ -0,0 +1,202 @@
+// 外部API（Gemini）呼び出しのタイムアウト・リトライ・サーキットブレーカー
+
+// 外部APIのエラー（type で種類、status で返すべきHTTPステータスを表す）
+//   rate_limited / timeout / unavailable / circuit_open / content_blocked / auth / invalid_response / other
+class UpstreamError extends Error {
+  constructor(message, { type = 'other', status, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.type = type;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    if (cause) this.cause = cause;
+  }
+}
+
+// サーキットブレーカーの失敗として数えるエラー（上流の障害・過負荷）
+const BREAKER_FAILURE_TYPES = ['rate_limited', 'timeout', 'unavailable'];
+
+// スロットリングとみなすエラー（バッチの送信間隔を広げる）
+const THROTTLE_TYPES = ['rate_limited', 'timeout', 'circuit_open'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 指定時間内に終わらなければ timeout エラーにする
+// onTimeout で呼び出し元の通信を中断できる
+async function withTimeout(fn, timeoutMs, onTimeout) {
+  if (!timeoutMs) return fn();
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      reject(new UpstreamError(`${timeoutMs}ms以内に応答がありませんでした`, {
+        type: 'timeout',
+        status: 504,
+        retryable: true
+      }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 指数バックオフ（フルジッター）によるリトライ
+// Retry-After が maxDelayMs を超える場合は待たずに失敗させる
+async function withRetry(fn, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : 2;
+  const baseDelayMs = options.baseDelayMs || 500;
+  const maxDelayMs = options.maxDelayMs || 10000;
+  const wait = options.sleep || sleep;
+  const random = options.random || Math.random;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) throw error;
+      if (options.shouldRetry && !options.shouldRetry(error)) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * random();
+      if (error.retryAfterMs && error.retryAfterMs > maxDelayMs) throw error;
+      const delay = Math.max(backoff, error.retryAfterMs || 0);
+
+      if (options.onRetry) options.onRetry(error, attempt + 1, delay);
+      await wait(delay);
+    }
+  }
+}
+
+// 連続した失敗が閾値に達したら一定時間呼び出しを止める
+//   closed: 通常 / open: 即座に失敗 / half_open: 1件だけ試し、成功すれば closed に戻る
+function createCircuitBreaker(options = {}) {
+  const failureThreshold = options.failureThreshold || 5;
+  const cooldownMs = options.cooldownMs || 30000;
+  const now = options.now || Date.now;
+  const isFailure = options.isFailure || (error => BREAKER_FAILURE_TYPES.includes(error.type));
+  const onStateChange = options.onStateChange || (() => {});
+
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let rejectedCount = 0;
+
+  function transition(next) {
+    if (state === next) return;
+    const previous = state;
+    state = next;
+    onStateChange(next, previous);
+  }
+
+  function currentState() {
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      transition('half_open');
+    }
+    return state;
+  }
+
+  function reject() {
+    rejectedCount++;
+    const retryAfterMs = state === 'open' ? Math.max(0, openedAt + cooldownMs - now()) : cooldownMs;
+    throw new UpstreamError('外部APIの障害が続いているため、一時的に呼び出しを停止しています', {
+      type: 'circuit_open',
+      status: 503,
+      retryable: false,
+      retryAfterMs
+    });
+  }
+
+  async function execute(fn) {
+    const current = currentState();
+    if (current === 'open') reject();
+    if (current === 'half_open') {
+      if (trialInFlight) reject();
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      consecutiveFailures = 0;
+      transition('closed');
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        consecutiveFailures++;
+        if (current === 'half_open' || consecutiveFailures >= failureThreshold) {
+          openedAt = now();
+          transition('open');
+        }
+      }
+      throw error;
+    } finally {
+      if (current === 'half_open') trialInFlight = false;
+    }
+  }
+
+  function stats() {
+    const current = currentState();
+    return {
+      state: current,
+      consecutive_failures: consecutiveFailures,
+      failure_threshold: failureThreshold,
+      cooldown_ms: cooldownMs,
+      opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+      retry_at: current === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null,
+      rejected_count: rejectedCount
+    };
+  }
+
+  return {
+    execute,
+    stats
+  };
+}
+
+// バッチ処理の送信間隔を結果に応じて調整する
+// スロットリングされたら間隔を倍に（Retry-After があればそれ以上に）、成功が続けば半分に戻す
+function createAdaptivePacer(options = {}) {
+  const minDelayMs = options.minDelayMs || 0;
+  const maxDelayMs = options.maxDelayMs || 10000;
+  const stepMs = options.stepMs || 250;
+  const wait = options.sleep || sleep;
+  let delayMs = minDelayMs;
+
+  function update(errors) {
+    const throttled = errors.filter(error => error && THROTTLE_TYPES.includes(error.type));
+    if (throttled.length > 0) {
+      const retryAfterMs = Math.max(0, ...throttled.map(error => error.retryAfterMs || 0));
+      delayMs = Math.min(maxDelayMs, Math.max(delayMs * 2, stepMs, retryAfterMs));
+    } else {
+      delayMs = delayMs / 2 < stepMs / 2 ? minDelayMs : Math.floor(delayMs / 2);
+    }
+    return delayMs;
+  }
+
+  async function pause() {
+    if (delayMs > 0) await wait(delayMs);
+  }
+
+  return {
+    update,
+    pause,
+    get delayMs() {
+      return delayMs;
+    }
+  };
+}
+
+module.exports = {
+  UpstreamError,
+  BREAKER_FAILURE_TYPES,
+  sleep,
+  withTimeout,
+  withRetry,
+  createCircuitBreaker,
+  createAdaptivePacer
+};
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { defaultDialectRegistry } = require('./dialects');
+const { toApiError } = require('./errors');
+const { logger: defaultLogger } = require('./logger');
+
+// 会話ルーム（参加者ごとに話す言語を宣言し、発言を他の参加者の言語に翻訳して全員に配信する）
+// ルームはメモリ上に保持し、参加者がいない状態で idleTtlMs を過ぎると sweep で削除する
+//   translate: (text, source, target, { register, context }) => 訳文。context は直前の発言
+//   contextTurns: 翻訳に文脈として渡す直前の発言の数
+//   maxRooms / maxParticipants: ルーム数・1ルームの参加者数の上限
+//   transcriptMaxEntries: 記録する発言・入退室の上限（超えた分は古いものから削除）
+function createRoomManager(options = {}) {
+  const translate = options.translate;
+  const dialects = options.dialects || defaultDialectRegistry;
+  const logger = options.logger || defaultLogger;
+  const now = options.now || Date.now;
+  const contextTurns = options.contextTurns !== undefined ? options.contextTurns : 6;
+  const maxRooms = options.maxRooms || 100;
+  const maxParticipants = options.maxParticipants || 10;
+  const transcriptMaxEntries = options.transcriptMaxEntries || 1000;
+  const idleTtlMs = options.idleTtlMs || 60 * 60 * 1000;
+  const rooms = new Map();
+
+  const timestamp = () => new Date(now()).toISOString();
+
+  function describeParticipant(participant) {
+    return {
+      id: participant.id,
+      name: participant.name,
+      language: participant.language,
+      language_name: dialects.getLanguageName(participant.language),
+      joined_at: participant.joined_at
+    };
+  }
+
+  function summarize(room) {
+    return {
+      id: room.id,
+      name: room.name,
+      register: room.register,
+      participants: [...room.participants.values()].map(describeParticipant),
+      languages: languagesOf(room),
+      message_count: room.transcript.filter(e => e.type === 'message').length,
+      dropped_entry_count: room.dropped_entry_count,
+      websocket_path: `/api/rooms/${room.id}/ws`,
+      created_at: room.created_at,
+      last_activity_at: new Date(room.last_activity).toISOString()
+    };
+  }
+
+  // 参加中の参加者の言語（重複なし、参加順）
+  function languagesOf(room) {
+    return [...new Set([...room.participants.values()].map(p => p.language))];
+  }
+
+  function broadcast(room, payload) {
+    room.participants.forEach(participant => {
+      try {
+        participant.send(payload);
+      } catch (error) {
+        logger.warn('ルームへの配信に失敗しました', { room_id: room.id, participant_id: participant.id, error });
+      }
+    });
+  }
+
+  // 記録に追加し、上限を超えた分は古いものから削除する
+  function append(room, entry) {
+    room.seq += 1;
+    const recorded = { seq: room.seq, ...entry, created_at: timestamp() };
+    room.transcript.push(recorded);
+    if (room.transcript.length > transcriptMaxEntries) {
+      room.dropped_entry_count += room.transcript.length - transcriptMaxEntries;
+      room.transcript.splice(0, room.transcript.length - transcriptMaxEntries);
+    }
+    room.last_activity = now();
+    return recorded;
+  }
+
+  // ルーム数が上限の場合は期限切れのルームを削除してから確認する（それでも上限なら null）
+  function create({ name, register, apiKeyId }) {
+    if (rooms.size >= maxRooms) sweep();
+    if (rooms.size >= maxRooms) return null;
+
+    const room = {
+      id: crypto.randomUUID(),
+      name: name || null,
+      // 未指定の場合は口調を指示しない（表示上は既定の口調）
+      register: register || null,
+      api_key_id: apiKeyId || null,
+      participants: new Map(),
+      transcript: [],
+      dropped_entry_count: 0,
+      seq: 0,
+      // 発言は順番に翻訳する（直前の発言を文脈に含めるため）
+      queue: Promise.resolve(),
+      created_at: timestamp(),
+      last_activity: now()
+    };
+    rooms.set(room.id, room);
+    logger.info('ルームを作成しました', { room_id: room.id });
+    return room;
+  }
+
+  function get(id) {
+    return rooms.get(id) || null;
+  }
+
+  function isFull(room) {
+    return room.participants.size >= maxParticipants;
+  }
+
+  // 参加（send は参加者への送信、close は接続の切断。参加者には直近の記録を含む joined、他の参加者には join を送る）
+  function join(room, { name, language, apiKeyId, send, close }) {
+    const participant = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      language,
+      api_key_id: apiKeyId || null,
+      joined_at: timestamp(),
+      send,
+      close
+    };
+
+    const entry = append(room, { type: 'join', participant: describeParticipant(participant) });
+    broadcast(room, entry);
+    room.participants.set(participant.id, participant);
+
+    send({
+      type: 'joined',
+      participant: describeParticipant(participant),
+      room: summarize(room),
+      transcript: room.transcript.slice(-50)
+    });
+    logger.info('ルームに参加しました', { room_id: room.id, participant_id: participant.id, language });
+    return participant;
+  }
+
+  function leave(room, participant) {
+    if (!room.participants.delete(participant.id)) return;
+    const entry = append(room, { type: 'leave', participant: describeParticipant(participant) });
+    broadcast(room, entry);
+    logger.info('ルームから退出しました', { room_id: room.id, participant_id: participant.id });
+  }
+
+  // 翻訳の文脈にする直前の発言（発言者名・言語・原文）
+  function recentContext(room) {
+    if (contextTurns <= 0) return [];
+    return room.transcript
+      .filter(e => e.type === 'message')
+      .slice(-contextTurns)
+      .map(e => ({ speaker: e.participant.name, language: e.participant.language, text: e.text }));
+  }
+
+  // 発言を他の参加者の言語に翻訳し、原文と訳文を全員に配信する
+  // 翻訳に失敗した言語は translation_errors に入れ、原文は配信する（会話を止めない）
+  function postMessage(room, participant, text) {
+    const task = room.queue.then(async () => {
+      const context = recentContext(room);
+      const targets = languagesOf(room).filter(language => language !== participant.language);
+      const translations = {};
+      const translationErrors = {};
+
+      for (const target of targets) {
+        try {
+          translations[target] = await translate(text, participant.language, target, { register: room.register, context });
+        } catch (error) {
+          const apiError = toApiError(error);
+          logger.warn('ルームの発言の翻訳に失敗しました', { room_id: room.id, target, code: apiError.code, error: error.message });
+          translationErrors[target] = { code: apiError.code, error: apiError.message };
+        }
+      }
+
+      const entry = append(room, {
+        type: 'message',
+        participant: describeParticipant(participant),
+        text,
+        translations,
+        ...(Object.keys(translationErrors).length > 0 ? { translation_errors: translationErrors } : {})
+      });
+      broadcast(room, entry);
+      return entry;
+    });
+    room.queue = task.catch(() => {});
+    return task;
+  }
+
+  // ルームを削除し、参加中の接続を切断する
+  function remove(room) {
+    rooms.delete(room.id);
+    const participants = [...room.participants.values()];
+    room.participants.clear();
+    participants.forEach(participant => participant.close && participant.close());
+    logger.info('ルームを削除しました', { room_id: room.id });
+  }
+
+  // 参加者がいない状態で idleTtlMs を過ぎたルームを削除する
+  function sweep() {
+    let removed = 0;
+    rooms.forEach(room => {
+      if (room.participants.size === 0 && now() - room.last_activity >= idleTtlMs) {
+        rooms.delete(room.id);
+        removed += 1;
+      }
+    });
+    if (removed > 0) {
+      logger.info('期限切れのルームを削除しました', { count: removed });
+    }
+    return removed;
+  }
+
+  // 記録（入退室と発言。古い順）
+  function transcript(room) {
+    return room.transcript.slice();
+  }
+
+  function stats() {
+    let participants = 0;
+    rooms.forEach(room => {
+      participants += room.participants.size;
+    });
+    return { total_count: rooms.size, participant_count: participants, max_rooms: maxRooms };
+  }
+
+  return {
+    create,
+    get,
+    isFull,
+    join,
+    leave,
+    postMessage,
+    transcript,
+    remove,
+    sweep,
+    summarize,
+    stats
+  };
+}
+
+// 記録のテキスト形式（発言ごとに原文と訳文を並べる）
+function formatTranscriptText(room, transcript, dialects = defaultDialectRegistry) {
+  const lines = transcript.map(entry => {
+    const { name, language } = entry.participant;
+    const speaker = `${name}（${dialects.getLanguageName(language)}）`;
+    if (entry.type === 'join') return `[${entry.created_at}] ${speaker}が参加しました`;
+    if (entry.type === 'leave') return `[${entry.created_at}] ${speaker}が退出しました`;
+
+    const translated = Object.entries(entry.translations)
+      .map(([target, text]) => `    → ${dialects.getLanguageName(target)}: ${text}`);
+    const failed = Object.keys(entry.translation_errors || {})
+      .map(target => `    → ${dialects.getLanguageName(target)}: （翻訳に失敗しました）`);
+    return [`[${entry.created_at}] ${speaker}: ${entry.text}`, ...translated, ...failed].join('\n');
+  });
+  return `${room.name || 'ルーム'} ${room.id}\n\n${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  createRoomManager,
+  formatTranscriptText
+};
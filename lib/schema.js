@@ -0,0 +1,130 @@
+// JSON Schema のサブセットによる検証
+// 対応キーワード: type（配列可）, enum, const, required, properties, additionalProperties,
+// items, minItems, maxItems, minLength, maxLength, minimum, maximum, pattern, format（uri）, nullable, $ref
+// x-error-message を指定すると、その項目自体のエラーメッセージを置き換える
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function isUri(value) {
+  try {
+    return !!new URL(value).protocol;
+  } catch (error) {
+    return false;
+  }
+}
+
+// エラーの配列（{ path, message }）を返す。空なら妥当
+// $ref は options.resolveRef（参照文字列 → スキーマ）で解決する
+function validate(schema, value, path = '', options = {}) {
+  if (schema.$ref) {
+    if (!options.resolveRef) {
+      throw new Error(`スキーマの参照を解決できません: ${schema.$ref}`);
+    }
+    return validate(options.resolveRef(schema.$ref), value, path, options);
+  }
+
+  const errors = [];
+  const at = path || '(root)';
+
+  if (value === null && schema.nullable) {
+    return errors;
+  }
+
+  // x-error-message があれば、この項目自体のエラー（子の項目以外）のメッセージを置き換える
+  if (schema['x-error-message']) {
+    return validate({ ...schema, 'x-error-message': undefined }, value, path, options)
+      .map(error => (error.path === at ? { path: at, message: schema['x-error-message'] } : error))
+      .filter((error, i, all) => error.path !== at || all.findIndex(e => e.path === at) === i);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `${types.join(' または ')}である必要があります` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `${schema.enum.map(v => JSON.stringify(v)).join('、')} のいずれかである必要があります` });
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `${JSON.stringify(schema.const)} である必要があります` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `${schema.minLength}文字以上である必要があります` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `${schema.maxLength}文字以下である必要があります` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `形式が正しくありません（${schema.pattern}）` });
+    }
+    if (schema.format === 'uri' && !isUri(value)) {
+      errors.push({ path: at, message: 'URLの形式である必要があります' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `${schema.minimum}以上である必要があります` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `${schema.maximum}以下である必要があります` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `${schema.minItems}件以上である必要があります` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `${schema.maxItems}件以下である必要があります` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validate(schema.items, item, `${path}[${i}]`, options));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: '必須項目です' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], value[key], childPath, options));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: '未定義の項目です' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, value[key], childPath, options));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// ゴールデンセットによる翻訳・方言判定の評価
+//
+//   npm run evaluate -- [オプション]
+//
+//   --provider <name>       翻訳プロバイダー（既定: TRANSLATION_PROVIDER）
+//   --model <name>          Geminiのモデル（既定: GEMINI_MODEL）
+//   --temperature <value>   翻訳の温度（既定: GEMINI_TEMPERATURE）
+//   --golden <path>         ゴールデンセット（既定: GOLDEN_SET_PATH または data/golden）
+//   --dialect <code,...>    評価する方言（下位方言のケースを含む）
+//   --direction <dir,...>   standard_to_dialect / dialect_to_standard
+//   --limit <n>             評価するケースの最大数
+//   --no-detect             方言判定を評価しない
+//   --label <text>          レポートに付ける名前
+//   --out <file>            レポートの保存先（既定: EVALUATIONS_DIR または storage/evaluations）
+//   --compare <id|file>     比較の基準にするレポート（評価のID またはファイル）
+//   --json                  要約の代わりにレポート（比較を指定した場合は比較結果）をJSONで出力
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../lib/providers');
+const { createLogger } = require('../lib/logger');
+const {
+  DEFAULT_GOLDEN_SET_PATH,
+  describeProvider,
+  loadGoldenSet,
+  selectCases,
+  runEvaluation,
+  compareReports,
+  createEvaluationStore
+} = require('../lib/evaluation');
+
+const VALUE_OPTIONS = ['provider', 'model', 'temperature', 'golden', 'dialect', 'direction', 'limit', 'label', 'out', 'compare'];
+
+function parseArgs(argv) {
+  const options = { detect: true, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'no-detect') {
+      options.detect = false;
+    } else if (name === 'json') {
+      options.json = true;
+    } else if (VALUE_OPTIONS.includes(name) && argv[i + 1] !== undefined) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`不明なオプションです: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+const list = value => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined);
+
+function formatDelta({ baseline, current, delta }) {
+  if (delta === null) return `${baseline} → ${current}`;
+  return `${baseline} → ${current}（${delta >= 0 ? '+' : ''}${delta}）`;
+}
+
+function printSummary(report) {
+  const { translation, detection, by_dialect: byDialect, by_direction: byDirection } = report.summary;
+  const config = report.config;
+  console.log(`評価 ${report.id}${report.label ? `（${report.label}）` : ''}`);
+  console.log(`  設定: ${config.provider} / ${config.model}${config.temperature !== null ? ` / temperature=${config.temperature}` : ''}`);
+  console.log(`  ケース: ${translation.count}件（エラー ${translation.error_count}件）  所要時間: ${report.duration_ms}ms`);
+  console.log(`  chrF: ${translation.chrf}  完全一致: ${translation.exact_match}`);
+  if (detection.count > 0) {
+    console.log(`  方言判定: 正解率 ${detection.accuracy}  系統の正解率 ${detection.family_accuracy}（${detection.count}件、エラー ${detection.error_count}件）`);
+  }
+  console.log('  方向別:');
+  Object.entries(byDirection).forEach(([direction, metrics]) => {
+    console.log(`    ${direction.padEnd(20)} chrF ${String(metrics.chrf).padStart(6)}  完全一致 ${metrics.exact_match}`);
+  });
+  console.log('  方言別:');
+  Object.entries(byDialect).forEach(([dialect, metrics]) => {
+    console.log(`    ${dialect.padEnd(20)} chrF ${String(metrics.chrf).padStart(6)}  完全一致 ${metrics.exact_match}`);
+  });
+}
+
+function printComparison(comparison) {
+  console.log(`\n比較（基準: ${comparison.baseline.id}、共通のケース ${comparison.common_case_count}件）`);
+  if (!comparison.same_golden_set) {
+    console.log('  ※ ゴールデンセットが異なります（参照訳の変更も差に含まれます）');
+  }
+  console.log(`  chrF: ${formatDelta(comparison.translation.chrf)}`);
+  console.log(`  完全一致: ${formatDelta(comparison.translation.exact_match)}`);
+  console.log(`  方言判定の正解率: ${formatDelta(comparison.detection.accuracy)}`);
+  [['改善', comparison.improved], ['悪化', comparison.regressed]].forEach(([title, changes]) => {
+    if (changes.length === 0) return;
+    console.log(`  ${title}したケース:`);
+    changes.forEach(c => {
+      console.log(`    ${c.id}: ${c.baseline_chrf} → ${c.current_chrf}  「${c.baseline_hypothesis}」→「${c.current_hypothesis}」`);
+    });
+  });
+}
+
+// 比較の基準（ファイルのパス、または保存先にある評価のID）
+function loadBaseline(value, store) {
+  if (fs.existsSync(value)) {
+    return JSON.parse(fs.readFileSync(value, 'utf8'));
+  }
+  const report = store.get(value);
+  if (!report) {
+    throw new Error(`比較の基準にするレポートが見つかりません: ${value}`);
+  }
+  return report;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // 標準出力は結果に使うので、ログは標準エラーに出す
+  const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'warn',
+    text: process.env.LOG_TEXT,
+    write: line => process.stderr.write(`${line}\n`)
+  });
+  const store = createEvaluationStore({ dir: process.env.EVALUATIONS_DIR, logger });
+
+  const goldenPath = options.golden || process.env.GOLDEN_SET_PATH;
+  const goldenSet = loadGoldenSet(goldenPath ? path.resolve(goldenPath) : DEFAULT_GOLDEN_SET_PATH);
+  const cases = selectCases(goldenSet.cases, {
+    dialects: list(options.dialect),
+    directions: list(options.direction),
+    limit: options.limit ? parseInt(options.limit, 10) : undefined
+  });
+  if (cases.length === 0) {
+    throw new Error('条件に一致するケースがありません');
+  }
+
+  const provider = createProvider({
+    ...process.env,
+    ...(options.provider ? { TRANSLATION_PROVIDER: options.provider } : {}),
+    ...(options.model ? { GEMINI_MODEL: options.model } : {}),
+    ...(options.temperature ? { GEMINI_TEMPERATURE: options.temperature } : {})
+  }, { logger });
+  if (!provider.isConfigured()) {
+    throw new Error(`翻訳プロバイダー（${provider.name}）が設定されていません`);
+  }
+  const baseline = options.compare ? loadBaseline(options.compare, store) : null;
+
+  const report = await runEvaluation({
+    provider,
+    goldenSet,
+    cases,
+    config: describeProvider(provider),
+    label: options.label,
+    detection: options.detect,
+    onProgress: process.stderr.isTTY
+      ? (completed, total) => process.stderr.write(`\r評価中... ${completed}/${total}${completed === total ? '\n' : ''}`)
+      : undefined
+  });
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2) + '\n');
+  } else {
+    store.save(report);
+  }
+  const comparison = baseline ? compareReports(baseline, report) : null;
+
+  if (options.json) {
+    console.log(JSON.stringify(comparison || report, null, 2));
+  } else {
+    printSummary(report);
+    if (comparison) printComparison(comparison);
+    console.log(`\nレポート: ${options.out || `評価のID ${report.id}`}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`評価に失敗しました: ${error.message}`);
+  process.exit(1);
+});
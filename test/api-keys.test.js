@@ -0,0 +1,108 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApiKeyStore } = require('../lib/api-keys');
+const { startServer, offlineProvider, logger } = require('./helpers');
+
+const toFukuoka = { from: 'standard', to: 'dialect', dialect: 'fukuoka' };
+const admin = { 'X-Admin-Token': 'admin-token' };
+
+test('クォータの範囲内で利用量を記録し、取り消せる', () => {
+  let current = Date.parse('2025-01-01T00:00:00Z');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+  const store = createApiKeyStore({ file: path.join(dir, 'api-keys.json'), now: () => current, logger });
+  const { key } = store.create({ name: 'a', quotas: { window_minutes: 60, max_requests: 3, max_characters: 100 } });
+  const entry = store.authenticate(key);
+
+  const first = store.consume(entry, { requests: 2, characters: 10 });
+  assert.equal(first.allowed, true);
+  assert.equal(first.usage.remaining_requests, 1);
+
+  const exceeded = store.consume(entry, { requests: 2, characters: 10 });
+  assert.equal(exceeded.allowed, false);
+  assert.deepEqual(exceeded.exceeded, ['requests']);
+  assert.equal(exceeded.usage.remaining_requests, 1);
+
+  store.refund(entry, { requests: 2, characters: 10 }, first.usage.window_start);
+  assert.equal(entry.usage.window_requests, 0);
+  assert.equal(entry.usage.total_requests, 0);
+
+  // 期間が切り替わった後の取り消しは、新しい期間の利用量を減らさない
+  const previous = store.consume(entry, { requests: 1, characters: 5 });
+  current += 60 * 60 * 1000;
+  store.consume(entry, { requests: 1, characters: 5 });
+  store.refund(entry, { requests: 1, characters: 5 }, previous.usage.window_start);
+  assert.equal(entry.usage.window_requests, 1);
+  assert.equal(entry.usage.total_requests, 1);
+});
+
+describe('APIキーのクォータ', () => {
+  let server;
+  let key;
+  const usage = async () => (await server.request('GET', '/api/admin/keys', { headers: admin })).body.keys[0].usage;
+
+  before(async () => {
+    const provider = offlineProvider();
+    server = await startServer({
+      env: { ADMIN_TOKEN: 'admin-token' },
+      provider: {
+        ...provider,
+        translate: async (text, ...args) => {
+          if (text === '失敗') {
+            throw Object.assign(new Error('翻訳に失敗しました'), { type: 'upstream_error' });
+          }
+          return provider.translate(text, ...args);
+        }
+      }
+    });
+    key = (await server.request('POST', '/api/admin/keys', { body: { name: 'a' }, headers: admin })).body.api_key;
+  });
+  after(() => server.close());
+
+  test('参照のリクエストはクォータを消費せず、翻訳は消費する', async () => {
+    const before = (await usage()).window_requests;
+    await server.request('GET', '/api/dialects', { headers: { 'X-API-Key': key } });
+    await server.request('GET', '/api/history', { headers: { 'X-API-Key': key } });
+    assert.equal((await usage()).window_requests, before);
+
+    const translated = await server.request('POST', '/api/translate', {
+      body: { text: 'とても', ...toFukuoka },
+      headers: { 'X-API-Key': key }
+    });
+    assert.equal(translated.status, 200);
+    assert.equal((await usage()).window_requests, before + 1);
+  });
+
+  test('エラーで終わったリクエストとストリーミング翻訳は利用量に数えない', async () => {
+    const before = await usage();
+
+    const invalid = await server.request('POST', '/api/translate', { body: { text: '' }, headers: { 'X-API-Key': key } });
+    assert.equal(invalid.status, 400);
+
+    const response = await fetch(`${server.baseUrl}/api/translate/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+      body: JSON.stringify({ text: '失敗', ...toFukuoka })
+    });
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /event: error/);
+
+    const after = await usage();
+    assert.equal(after.window_requests, before.window_requests);
+    assert.equal(after.window_characters, before.window_characters);
+  });
+
+  test('文書翻訳は翻訳対象の行ごとに数える', async () => {
+    const before = (await usage()).window_requests;
+    const content = '1\n00:00:01,000 --> 00:00:02,000\nとても\n\n2\n00:00:03,000 --> 00:00:04,000\n疲れました\n\n3\n00:00:05,000 --> 00:00:06,000\nとても\n';
+    const { status, headers } = await server.request('POST', '/api/translate/document', {
+      body: { content, format: 'srt', ...toFukuoka },
+      headers: { 'X-API-Key': key }
+    });
+    assert.equal(status, 200);
+    assert.equal(headers.get('X-Segment-Count'), '3');
+    assert.equal((await usage()).window_requests, before + 3);
+  });
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const FIXED_NOW = Date.parse('2025-01-01T00:00:00Z');
+const toFukuoka = { from: 'standard', to: 'dialect', dialect: 'fukuoka' };
+
+test('注入した時計をジョブ・用語集・エラー応答のタイムスタンプに使う', async () => {
+  const server = await startServer({ now: () => FIXED_NOW, env: { ADMIN_TOKEN: 'admin-token' } });
+  try {
+    const key = await server.request('POST', '/api/admin/keys', { body: { name: 'clock' }, headers: { 'X-Admin-Token': 'admin-token' } });
+    const headers = { 'X-API-Key': key.body.api_key };
+    const created = await server.request('POST', '/api/jobs', { body: { texts: ['とても'], ...toFukuoka }, headers });
+    assert.equal(created.body.data.created_at, '2025-01-01T00:00:00.000Z');
+    const job = await waitFor(async () => {
+      const { body } = await server.request('GET', `/api/jobs/${created.body.data.id}`, { headers });
+      return body.data.status === 'completed' && body.data;
+    });
+    assert.equal(job.completed_at, '2025-01-01T00:00:00.000Z');
+
+    const term = await server.request('POST', '/api/glossaries/fukuoka', {
+      body: { standard: 'とても', dialect: 'ばり' },
+      headers: { 'X-Admin-Token': 'admin-token' }
+    });
+    assert.equal(term.status, 201);
+    assert.equal(term.body.entry.created_at, '2025-01-01T00:00:00.000Z');
+
+    const notFound = await server.request('GET', '/api/unknown');
+    assert.equal(notFound.status, 404);
+    assert.equal(notFound.body.timestamp, '2025-01-01T00:00:00.000Z');
+    const invalid = await server.request('POST', '/api/translate', { body: { text: '' } });
+    assert.equal(invalid.body.timestamp, '2025-01-01T00:00:00.000Z');
+  } finally {
+    server.close();
+  }
+});
+
+test('IP単位のレート制限は keep-alive を除外する', async () => {
+  const server = await startServer({ rateLimit: { windowMs: 60 * 1000, max: 1 } });
+  try {
+    for (let i = 0; i < 3; i++) {
+      const { status } = await server.request('GET', '/api/keep-alive');
+      assert.equal(status, 200);
+    }
+    assert.equal((await server.request('GET', '/api/dialects')).status, 200);
+    const limited = await server.request('GET', '/api/dialects');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.ok(limited.body.retry_after_seconds > 0 && limited.body.retry_after_seconds <= 60);
+  } finally {
+    server.close();
+  }
+});
+
+test('ロガーを指定しない場合は env の LOG_LEVEL を使う', async () => {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk, ...args) => {
+    if (String(chunk).startsWith('{"timestamp"')) {
+      lines.push(String(chunk));
+      return true;
+    }
+    return write.call(process.stdout, chunk, ...args);
+  };
+  let server;
+  try {
+    server = await startServer({ logger: undefined, env: { LOG_LEVEL: 'warn' } });
+    await server.request('POST', '/api/translate', { body: { text: 'とても', ...toFukuoka } });
+    await server.request('POST', '/api/translate', { body: { text: '', ...toFukuoka } });
+  } finally {
+    process.stdout.write = write;
+    if (server) server.close();
+  }
+  const levels = lines.map(line => JSON.parse(line).level);
+  assert.ok(levels.length > 0);
+  assert.ok(levels.every(level => level === 'warn' || level === 'error'), levels.join(','));
+});
@@ -0,0 +1,123 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'dialect-bridge.js');
+
+// CLI を実行し、終了コード・標準出力・標準エラーを返す（保存先は一時ディレクトリ）
+function run(args, { input = '', env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+  const child = spawn(process.execPath, [CLI, ...args], {
+    env: {
+      PATH: process.env.PATH,
+      TRANSLATION_PROVIDER: 'offline',
+      API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+      HISTORY_FILE: path.join(dir, 'history.json'),
+      JOBS_DIR: path.join(dir, 'jobs'),
+      GLOSSARY_FILE: path.join(dir, 'glossaries.json'),
+      FEEDBACK_FILE: path.join(dir, 'feedback.json'),
+      EVALUATIONS_DIR: path.join(dir, 'evaluations'),
+      ...env
+    }
+  });
+
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', chunk => stdout += chunk);
+  child.stderr.on('data', chunk => stderr += chunk);
+  child.stdin.end(input);
+
+  return new Promise(resolve => {
+    child.on('close', code => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+describe('プロセス内で実行するCLI', () => {
+  test('translate は引数・標準入力・ファイルから読み、訳文を出力する', async () => {
+    const fromArgs = await run(['translate', '--dialect', 'fukuoka', 'とても']);
+    assert.equal(fromArgs.code, 0);
+    assert.equal(fromArgs.stdout, 'ばり\n');
+
+    const fromStdin = await run(['translate', '--dialect', 'hakata', '-'], { input: 'とても\n' });
+    assert.equal(fromStdin.stdout, 'ちかっぱ\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+    const file = path.join(dir, 'input.txt');
+    fs.writeFileSync(file, '今日はとても疲れました');
+    const fromFile = await run(['translate', '--dialect', 'fukuoka', '--file', file, '--json']);
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert.equal(JSON.parse(fromFile.stdout).translated_text, '今日はばり疲れました');
+  });
+
+  test('batch は1行1件で翻訳し、空行を飛ばして行番号を付ける', async () => {
+    const { code, stdout } = await run(['batch', '--dialect', 'fukuoka'], { input: 'とても\n\n今日はとても疲れました\n' });
+    assert.equal(code, 0);
+    assert.deepEqual(stdout.trim().split('\n').map(line => JSON.parse(line)), [
+      { line: 1, text: 'とても', translated_text: 'ばり', success: true },
+      { line: 3, text: '今日はとても疲れました', translated_text: '今日はばり疲れました', success: true }
+    ]);
+
+    const tsv = await run(['batch', '--dialect', 'fukuoka', '--format', 'tsv'], { input: 'とても\n' });
+    assert.equal(tsv.stdout, 'とても\tばり\t\n');
+  });
+
+  test('dialects は下位方言を字下げして出力する', async () => {
+    const { stdout } = await run(['dialects']);
+    const lines = stdout.trim().split('\n');
+    const fukuoka = lines.findIndex(line => line.startsWith('fukuoka\t'));
+    assert.match(lines[fukuoka + 1], /^ {2}hakata\t博多弁/);
+  });
+
+  test('不正な指定はエラーを標準エラーに出力し、終了コード 1 で終わる', async () => {
+    const unknownCommand = await run(['convert']);
+    assert.equal(unknownCommand.code, 1);
+    assert.match(unknownCommand.stderr, /不明なコマンドです: convert/);
+
+    const missingDialect = await run(['translate', 'とても']);
+    assert.equal(missingDialect.code, 1);
+    assert.match(missingDialect.stderr, /--dialect で方言コードを指定してください/);
+
+    const invalidDialect = await run(['translate', '--dialect', 'tokyo', 'とても']);
+    assert.equal(invalidDialect.code, 1);
+    assert.match(invalidDialect.stderr, /（VALIDATION_FAILED）/);
+    assert.equal(invalidDialect.stdout, '');
+  });
+});
+
+describe('--url で接続するCLI', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+  });
+  after(() => server.close());
+
+  test('指定したサーバーにAPIキーを付けて接続する', async () => {
+    const { body } = await server.request('POST', '/api/admin/keys', {
+      body: { name: 'cli' },
+      headers: { 'X-Admin-Token': 'admin-token' }
+    });
+
+    const { code, stdout } = await run(['translate', '--dialect', 'fukuoka', 'とても'], {
+      env: { DIALECT_BRIDGE_URL: server.baseUrl, DIALECT_BRIDGE_API_KEY: body.api_key }
+    });
+    assert.equal(code, 0);
+    assert.equal(stdout, 'ばり\n');
+
+    const keys = await server.request('GET', '/api/admin/keys', { headers: { 'X-Admin-Token': 'admin-token' } });
+    assert.equal(keys.body.keys[0].usage.window_requests, 1);
+  });
+
+  test('方言の判定結果を出力する', async () => {
+    const { code, stdout } = await run(['detect', '--url', server.baseUrl, 'ちかっぱ疲れたばい']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^判定: 博多弁（hakata、信頼度 high）$/m);
+    assert.match(stdout, /^標準語訳: /m);
+  });
+});
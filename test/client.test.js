@@ -0,0 +1,128 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createClient,
+  DialectBridgeError,
+  NetworkError,
+  ServiceError,
+  RateLimitError,
+  TimeoutError
+} = require('../client');
+
+const params = { text: 'とても', from: 'standard', to: 'dialect', dialect: 'fukuoka' };
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+function eventStream(chunks) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  }), { status: 200, headers: { 'Content-Type': 'text/event-stream; charset=utf-8' } });
+}
+
+// 応答を順に返す fetch（呼び出しを calls に記録する）
+function fakeFetch(responses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, method: init.method, headers: init.headers });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    return typeof next === 'function' ? next(url, init) : next;
+  };
+  return { fetch, calls };
+}
+
+function client(fetch, options = {}) {
+  return createClient({ baseUrl: 'http://api.test', fetch, retryBaseDelayMs: 1, ...options });
+}
+
+describe('クライアントの再試行', () => {
+  test('GET は翻訳プロバイダーの一時的な障害で再試行する', async () => {
+    const { fetch, calls } = fakeFetch([
+      jsonResponse(503, { success: false, code: 'CIRCUIT_OPEN', error: '停止中' }),
+      jsonResponse(200, { success: true, status: 'ok' })
+    ]);
+    assert.equal((await client(fetch).health()).status, 'ok');
+    assert.equal(calls.length, 2);
+  });
+
+  test('POST は受け付けられたかわからない障害では再試行しない', async () => {
+    const { fetch, calls } = fakeFetch([jsonResponse(502, { success: false, code: 'UPSTREAM_ERROR', error: '障害' })]);
+    await assert.rejects(client(fetch).translate(params), ServiceError);
+    assert.equal(calls.length, 1);
+  });
+
+  test('POST も接続エラーと Retry-After 付きの 429 は再試行する', async () => {
+    const { fetch, calls } = fakeFetch([
+      () => { throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }); },
+      jsonResponse(429, { success: false, code: 'RATE_LIMITED', error: '制限' }, { 'Retry-After': '0.001' }),
+      jsonResponse(200, { success: true, data: { translated_text: 'ばり' } })
+    ]);
+    assert.equal((await client(fetch).translate(params)).translated_text, 'ばり');
+    assert.equal(calls.length, 3);
+  });
+
+  test('再試行の回数を超えるとエラーを返し、クォータ超過は再試行しない', async () => {
+    const failing = fakeFetch([() => { throw new TypeError('fetch failed'); }]);
+    await assert.rejects(client(failing.fetch, { retries: 1 }).health(), NetworkError);
+    assert.equal(failing.calls.length, 2);
+
+    const quota = fakeFetch([jsonResponse(429, { success: false, code: 'QUOTA_EXCEEDED', error: '超過' })]);
+    await assert.rejects(client(quota.fetch).health(), RateLimitError);
+    assert.equal(quota.calls.length, 1);
+  });
+
+  test('タイムアウトは TimeoutError で、APIキーをヘッダーに付ける', async () => {
+    const { fetch, calls } = fakeFetch([(url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    })]);
+    await assert.rejects(client(fetch, { timeoutMs: 10, retries: 0, apiKey: 'dbk_test' }).translate(params), TimeoutError);
+    assert.equal(calls[0].headers['X-API-Key'], 'dbk_test');
+  });
+});
+
+describe('ストリーミング翻訳の読み取り', () => {
+  test('途中結果を onDelta に渡し、done のデータを返す', async () => {
+    const { fetch } = fakeFetch([eventStream([
+      'event: start\ndata: {"target_dialect":"fukuoka"}\n\n',
+      'event: delta\ndata: {"delta":"ば","text":"ば"}\n\nevent: del',
+      'ta\ndata: {"delta":"り","text":"ばり"}\n\n',
+      'event: done\ndata: {"translated_text":"ばり"}\n\n'
+    ])]);
+    const deltas = [];
+    const result = await client(fetch).translateStream(params, { onDelta: (text, delta) => deltas.push([text, delta]) });
+    assert.equal(result.translated_text, 'ばり');
+    assert.deepEqual(deltas, [['ば', 'ば'], ['ばり', 'り']]);
+  });
+
+  test('error イベントはエラーコードに対応するクラスで投げる', async () => {
+    const { fetch } = fakeFetch([eventStream([
+      'event: start\ndata: {}\n\n',
+      'event: error\ndata: {"success":false,"code":"UPSTREAM_TIMEOUT","error":"時間切れ","request_id":"r1"}\n\n'
+    ])]);
+    const error = await client(fetch).translateStream(params).catch(e => e);
+    assert.ok(error instanceof ServiceError);
+    assert.equal(error.code, 'UPSTREAM_TIMEOUT');
+    assert.equal(error.requestId, 'r1');
+  });
+
+  test('JSON でないデータは再試行しない INVALID_RESPONSE のエラーにする', async () => {
+    const { fetch, calls } = fakeFetch([eventStream([
+      'event: start\ndata: {}\n\n',
+      'event: delta\ndata: {"delta":\n\n'
+    ])]);
+    const error = await client(fetch).translateStream(params).catch(e => e);
+    assert.ok(error instanceof DialectBridgeError);
+    assert.ok(!(error instanceof NetworkError));
+    assert.equal(error.code, 'INVALID_RESPONSE');
+    assert.match(error.message, /delta/);
+    assert.equal(calls.length, 1);
+  });
+});
@@ -0,0 +1,106 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDialectRegistry, loadDialectRegistry } = require('../lib/dialects');
+const { startServer } = require('./helpers');
+
+describe('方言の定義', () => {
+  const registry = createDialectRegistry([
+    { code: 'hakata', name: '博多弁', parent: 'fukuoka' },
+    { code: 'kumamoto', name: '熊本弁' },
+    { code: 'fukuoka', name: '福岡弁', region: '福岡県', features: ['語尾に「ばい」', ''] },
+    { code: 'nishijin', name: '西新の言葉', parent: 'hakata' }
+  ]);
+
+  test('下位の方言は親の直後に並べ、親をたどれる', () => {
+    assert.deepEqual(registry.supportedDialects.map(d => d.code), ['kumamoto', 'fukuoka', 'hakata', 'nishijin']);
+    assert.deepEqual(registry.getDialectLineage('nishijin'), ['nishijin', 'hakata', 'fukuoka']);
+    assert.deepEqual(registry.getDialectLineage('unknown'), []);
+    assert.deepEqual(registry.getDialectDetail('fukuoka').features, ['語尾に「ばい」']);
+    assert.deepEqual(registry.getDialectTree()[1], {
+      code: 'fukuoka',
+      name: '福岡弁',
+      region: '福岡県',
+      sub_dialects: [{
+        code: 'hakata',
+        name: '博多弁',
+        region: null,
+        sub_dialects: [{ code: 'nishijin', name: '西新の言葉', region: null, sub_dialects: [] }]
+      }]
+    });
+  });
+
+  test('言語名と言語コードの判定には標準語を含める', () => {
+    assert.equal(registry.getLanguageName('standard'), '標準語');
+    assert.equal(registry.getLanguageName('hakata'), '博多弁');
+    assert.equal(registry.getDialectName('oita'), '九州弁');
+    assert.equal(registry.isValidLanguageCode('standard'), true);
+    assert.equal(registry.isValidLanguageCode('oita'), false);
+  });
+
+  test('不正な定義は読み込み時にエラーにする', () => {
+    assert.throws(() => createDialectRegistry([{ code: 'standard', name: '標準語' }]), /方言コードが不正です/);
+    assert.throws(() => createDialectRegistry([{ code: 'Fukuoka', name: '福岡弁' }]), /方言コードが不正です/);
+    assert.throws(() => createDialectRegistry([{ code: 'saga', name: '佐賀弁' }, { code: 'saga', name: '佐賀弁' }]), /重複しています: saga/);
+    assert.throws(() => createDialectRegistry([{ code: 'saga' }]), /方言名がありません: saga/);
+    assert.throws(() => createDialectRegistry([{ code: 'hakata', name: '博多弁', parent: 'fukuoka' }]), /親の方言が定義されていません/);
+    assert.throws(() => createDialectRegistry([
+      { code: 'a', name: 'A', parent: 'b' },
+      { code: 'b', name: 'B', parent: 'a' }
+    ]), /循環しています/);
+  });
+
+  test('ディレクトリの場合はファイル名順に連結して読み込む', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+    fs.writeFileSync(path.join(dir, '2-hakata.json'), JSON.stringify({ dialects: [{ code: 'hakata', name: '博多弁', parent: 'fukuoka' }] }));
+    fs.writeFileSync(path.join(dir, '1-fukuoka.json'), JSON.stringify([{ code: 'fukuoka', name: '福岡弁' }]));
+    fs.writeFileSync(path.join(dir, 'README.txt'), '読み込まない');
+
+    assert.deepEqual(loadDialectRegistry(dir).getDialectLineage('hakata'), ['hakata', 'fukuoka']);
+  });
+});
+
+describe('方言API', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('一覧は下位の方言を含み、view=tree で階層を返す', async () => {
+    const flat = await server.request('GET', '/api/dialects');
+    assert.ok(flat.body.dialects.some(d => d.code === 'hakata' && d.parent === 'fukuoka'));
+    assert.equal(flat.body.total_count, flat.body.dialects.length);
+
+    const tree = await server.request('GET', '/api/dialects?view=tree');
+    const fukuoka = tree.body.dialects.find(d => d.code === 'fukuoka');
+    assert.deepEqual(fukuoka.sub_dialects.map(d => d.code), ['hakata', 'kitakyushu', 'chikugo']);
+    assert.ok(!tree.body.dialects.some(d => d.code === 'hakata'));
+  });
+
+  test('詳細は親と下位の方言の名前を含み、未知のコードは404', async () => {
+    const { status, body } = await server.request('GET', '/api/dialects/fukuoka');
+    assert.equal(status, 200);
+    assert.equal(body.dialect.parent_name, null);
+    assert.deepEqual(body.dialect.sub_dialects.map(d => d.code), ['hakata', 'kitakyushu', 'chikugo']);
+    assert.ok(body.dialect.examples.length > 0);
+
+    const hakata = await server.request('GET', '/api/dialects/hakata');
+    assert.equal(hakata.body.dialect.parent_name, '福岡弁');
+
+    const missing = await server.request('GET', '/api/dialects/tokyo');
+    assert.equal(missing.status, 404);
+    assert.ok(missing.body.supported_dialects.includes('hakata'));
+  });
+
+  test('下位の方言を翻訳先に指定できる', async () => {
+    const { status, body } = await server.request('POST', '/api/translate', {
+      body: { text: 'とても', from: 'standard', to: 'dialect', dialect: 'hakata' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.translated_text, 'ちかっぱ');
+    assert.equal(body.data.target_dialect, 'hakata');
+  });
+});
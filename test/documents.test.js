@@ -0,0 +1,96 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { parseDocument } = require('../lib/documents');
+
+const toFukuoka = { from: 'standard', to: 'dialect', dialect: 'fukuoka' };
+
+describe('文書翻訳API', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('字幕（SRT）は番号とタイムコードを保ったまま本文を翻訳する', async () => {
+    const content = [
+      '1',
+      '00:00:01,000 --> 00:00:03,000',
+      'とても疲れました',
+      '',
+      '2',
+      '00:00:04,000 --> 00:00:06,000',
+      'とても眠い',
+      ''
+    ].join('\n');
+    const { status, headers, body } = await server.request('POST', '/api/translate/document', {
+      body: { content, filename: 'episode.srt', ...toFukuoka }
+    });
+    assert.equal(status, 200);
+    assert.equal(headers.get('X-Segment-Count'), '2');
+    assert.equal(headers.get('X-Untranslated-Segment-Count'), '0');
+    assert.match(headers.get('Content-Disposition'), /episode\.fukuoka\.srt/);
+    assert.equal(body, content.replace('とても疲れました', 'ばり疲れました').replace('とても眠い', 'ばり眠い'));
+  });
+
+  test('Markdown はコードブロックとリンク先を翻訳しない', async () => {
+    const content = [
+      '# とても',
+      '',
+      'とても[疲れました](https://example.com/とても)。`とても`',
+      '',
+      '```',
+      'とても',
+      '```',
+      ''
+    ].join('\n');
+    const { status, body } = await server.request('POST', '/api/translate/document', {
+      body: { content, format: 'markdown', preserve_headings: true, ...toFukuoka }
+    });
+    assert.equal(status, 200);
+    assert.equal(body, content.replace('とても[', 'ばり['));
+  });
+
+  test('形式が判定できない場合は検証エラー', async () => {
+    const { status, body } = await server.request('POST', '/api/translate/document', {
+      body: { content: 'とても', filename: 'notes.txt', ...toFukuoka }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, 'format');
+  });
+});
+
+test('Markdown の翻訳対象の文を取り出し、訳文を元の位置に戻す', () => {
+  const parsed = parseDocument('- とても**眠い**\n- 疲れた\n', 'markdown');
+  assert.equal(parsed.segments.length, 2);
+  const { content, fallbackSegments } = parsed.render(parsed.segments);
+  assert.equal(content, '- とても**眠い**\n- 疲れた\n');
+  assert.deepEqual(fallbackSegments, []);
+});
+
+test('Markdown の見出しは既定で翻訳せず、preserveHeadings が false の場合のみ翻訳する', () => {
+  assert.deepEqual(parseDocument('# 見出し\n本文\n', 'markdown').segments, ['本文']);
+  assert.deepEqual(parseDocument('# 見出し\n本文\n', 'markdown', { preserveHeadings: false }).segments, ['見出し', '本文']);
+});
+
+test('Setext 見出し（=== や --- の下線）も見出しとして扱い、下線は翻訳しない', () => {
+  const content = '見出し\n===\n\n小見出し\n---\n本文\n\n---\n\n- 項目\n---\n';
+  assert.deepEqual(parseDocument(content, 'markdown').segments, ['本文', '項目']);
+
+  const parsed = parseDocument(content, 'markdown', { preserveHeadings: false });
+  assert.deepEqual(parsed.segments, ['見出し', '小見出し', '本文', '項目']);
+  assert.equal(parsed.render(parsed.segments).content, content);
+});
+
+test('長い文は目印の途中で分割しない', () => {
+  const content = 'あいうえおかきく`code`けこさしすせそたちつてと\n';
+  const parsed = parseDocument(content, 'markdown', { maxSegmentLength: 10 });
+  assert.ok(parsed.segments.length > 1);
+  parsed.segments.forEach(segment => {
+    assert.ok(segment.length <= 10, segment);
+    assert.equal((segment.match(/⟦/g) || []).length, (segment.match(/⟦\d+⟧/g) || []).length, segment);
+  });
+  const { content: rendered, fallbackSegments } = parsed.render(parsed.segments);
+  assert.equal(rendered, content);
+  assert.deepEqual(fallbackSegments, []);
+});
@@ -0,0 +1,167 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadGoldenSet,
+  selectCases,
+  chrf,
+  exactMatch,
+  runEvaluation,
+  compareReports
+} = require('../lib/evaluation');
+const { startServer, waitFor } = require('./helpers');
+
+function writeGoldenSet(cases) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+  const file = path.join(dir, 'golden.json');
+  fs.writeFileSync(file, JSON.stringify({ cases }));
+  return file;
+}
+
+// 入力ごとに決まった訳を返すプロバイダー（表にない入力はエラー）
+function tableProvider(table) {
+  return {
+    name: 'table',
+    translate: async text => {
+      if (!(text in table)) throw new Error('翻訳できません');
+      return table[text];
+    }
+  };
+}
+
+describe('評価の指標', () => {
+  test('chrF は参照訳のうち最も近いものとのスコアを返す', () => {
+    assert.equal(chrf('ばり暑か', ['ばり暑か']), 100);
+    assert.equal(chrf('あいう', ['かきく']), 0);
+    const partial = chrf('ばり暑い', ['ばり暑か']);
+    assert.ok(partial > 0 && partial < 100);
+    assert.equal(chrf('ばり暑い', ['かきく', 'ばり暑か']), partial);
+  });
+
+  test('完全一致は全角・半角、空白と句読点の違いを無視する', () => {
+    assert.equal(exactMatch('ばり暑か！', ['ばり 暑か']), true);
+    assert.equal(exactMatch('ＡＢＣ。', ['ABC']), true);
+    assert.equal(exactMatch('ばり暑い', ['ばり暑か']), false);
+  });
+});
+
+describe('ゴールデンセット', () => {
+  test('同梱のケースは全方言の両方向を含み、下位の方言を含めて絞り込める', () => {
+    const goldenSet = loadGoldenSet();
+    assert.match(goldenSet.hash, /^[0-9a-f]{16}$/);
+    assert.ok(goldenSet.cases.some(c => c.dialect === 'hakata' && c.direction === 'dialect_to_standard'));
+
+    const fukuoka = selectCases(goldenSet.cases, { dialects: ['fukuoka'], directions: ['standard_to_dialect'] });
+    assert.ok(fukuoka.some(c => c.dialect === 'hakata'));
+    assert.ok(fukuoka.every(c => ['fukuoka', 'hakata', 'kitakyushu', 'chikugo'].includes(c.dialect)));
+    assert.ok(fukuoka.every(c => c.direction === 'standard_to_dialect'));
+    assert.equal(selectCases(goldenSet.cases, { limit: 2 }).length, 2);
+  });
+
+  test('不正なケースは読み込み時にエラーにする', () => {
+    const base = { id: 'a', dialect: 'fukuoka', direction: 'standard_to_dialect', text: 'とても', references: ['ばり'] };
+    assert.equal(loadGoldenSet(writeGoldenSet([base])).cases[0].register, 'casual');
+    assert.throws(() => loadGoldenSet(writeGoldenSet([base, base])), /IDが重複しています: a/);
+    assert.throws(() => loadGoldenSet(writeGoldenSet([{ ...base, dialect: 'tokyo' }])), /方言コードが不正です/);
+    assert.throws(() => loadGoldenSet(writeGoldenSet([{ ...base, direction: 'both' }])), /翻訳方向が不正です/);
+    assert.throws(() => loadGoldenSet(writeGoldenSet([{ ...base, references: [''] }])), /参照訳がありません/);
+  });
+});
+
+describe('評価の実行と比較', () => {
+  const goldenSet = {
+    hash: 'test',
+    cases: [
+      { id: 'a', dialect: 'fukuoka', direction: 'standard_to_dialect', text: 'とても暑い', references: ['ばり暑か'] },
+      { id: 'b', dialect: 'hakata', direction: 'standard_to_dialect', text: 'とても', references: ['ちかっぱ'] },
+      { id: 'c', dialect: 'kumamoto', direction: 'dialect_to_standard', text: 'むしゃんよか', references: ['かっこいい'] }
+    ]
+  };
+
+  test('エラーになったケースは chrF 0・不一致として方言別に集計する', async () => {
+    const progress = [];
+    const report = await runEvaluation({
+      provider: tableProvider({ 'とても暑い': 'ばり暑か', 'むしゃんよか': 'かっこいい' }),
+      goldenSet,
+      config: { provider: 'table' },
+      detection: false,
+      onProgress: (completed, total) => progress.push([completed, total])
+    });
+
+    assert.deepEqual(progress, [[1, 3], [2, 3], [3, 3]]);
+    assert.deepEqual(report.summary.translation, { count: 3, chrf: 66.67, exact_match: 0.667, error_count: 1 });
+    assert.equal(report.summary.by_dialect.hakata.chrf, 0);
+    assert.equal(report.summary.detection.count, 0);
+    assert.equal(report.cases[1].error.code, 'INTERNAL_ERROR');
+    assert.deepEqual(report.golden_set, { hash: 'test', case_count: 3, evaluated_count: 3 });
+  });
+
+  test('比較は共通のケースで集計し直し、改善・悪化したケースを挙げる', async () => {
+    const run = (table, cases) => runEvaluation({ provider: tableProvider(table), goldenSet, cases, config: {}, detection: false });
+    const baseline = await run({ 'とても暑い': 'ばり暑か', 'とても': 'とても' }, goldenSet.cases.slice(0, 2));
+    const current = await run({ 'とても暑い': 'とても暑い', 'とても': 'ちかっぱ', 'むしゃんよか': 'かっこいい' });
+
+    const comparison = compareReports(baseline, current);
+    assert.equal(comparison.common_case_count, 2);
+    assert.equal(comparison.same_golden_set, true);
+    assert.deepEqual(comparison.translation.exact_match, { baseline: 0.5, current: 0.5, delta: 0 });
+    assert.deepEqual(comparison.improved.map(c => c.id), ['b']);
+    assert.deepEqual(comparison.regressed.map(c => c.id), ['a']);
+  });
+});
+
+describe('評価API', () => {
+  const adminHeaders = { 'X-Admin-Token': 'admin-token' };
+  let server;
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+  });
+  after(() => server.close());
+
+  test('選んだケースをバックグラウンドで評価し、レポートを保存する', async () => {
+    const started = await server.request('POST', '/api/admin/evaluations', {
+      body: { dialects: ['fukuoka'], label: 'offline' },
+      headers: adminHeaders
+    });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.evaluation.status, 'running');
+    assert.equal(started.body.evaluation.config.provider, 'offline');
+
+    const id = started.body.evaluation.id;
+    const report = await waitFor(async () => {
+      const { body } = await server.request('GET', `/api/admin/evaluations/${id}`, { headers: adminHeaders });
+      return body.evaluation.status === 'completed' && body.evaluation;
+    });
+    assert.equal(report.label, 'offline');
+    assert.equal(report.summary.translation.count, report.golden_set.evaluated_count);
+    assert.ok(report.summary.detection.count > 0);
+    assert.ok(report.cases.every(c => ['fukuoka', 'hakata', 'kitakyushu', 'chikugo'].includes(c.dialect)));
+
+    const list = await server.request('GET', '/api/admin/evaluations', { headers: adminHeaders });
+    assert.deepEqual(list.body.evaluations.map(e => e.id), [id]);
+    assert.equal(list.body.evaluations[0].cases, undefined);
+
+    const compared = await server.request('GET', `/api/admin/evaluations/${id}?compare=${id}`, { headers: adminHeaders });
+    assert.equal(compared.body.comparison.translation.chrf.delta, 0);
+  });
+
+  test('設定されていないプロバイダー・未知の評価・管理者以外はエラー', async () => {
+    const unknown = await server.request('POST', '/api/admin/evaluations', {
+      body: { provider: 'unknown' },
+      headers: adminHeaders
+    });
+    assert.equal(unknown.status, 400);
+
+    const gemini = await server.request('POST', '/api/admin/evaluations', {
+      body: { provider: 'gemini', limit: 1 },
+      headers: adminHeaders
+    });
+    assert.equal(gemini.body.code, 'NOT_CONFIGURED');
+
+    const missing = await server.request('GET', '/api/admin/evaluations/nothing', { headers: adminHeaders });
+    assert.equal(missing.status, 404);
+    assert.equal((await server.request('GET', '/api/admin/evaluations')).status, 401);
+  });
+});
@@ -0,0 +1,123 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFeedbackStore } = require('../lib/feedback');
+const { startServer, logger } = require('./helpers');
+
+function createStore(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+  return createFeedbackStore({ file: path.join(dir, 'feedback.json'), logger, ...options });
+}
+
+function addFeedback(store, fields) {
+  return store.add({ source: 'standard', target: 'fukuoka', translatedText: '訳', rating: 2, ...fields });
+}
+
+describe('フィードバックの翻訳例', () => {
+  test('承認された修正訳と高評価の元の訳だけを使う', () => {
+    const store = createStore();
+    const corrected = addFeedback(store, { originalText: '今日はとても暑い', correctedText: '今日はばり暑か' });
+    const pending = addFeedback(store, { originalText: '今日はとても寒い', correctedText: '今日はばり寒か' });
+    const good = addFeedback(store, { originalText: '今日はとても眠い', translatedText: '今日はばり眠か', rating: 4 });
+    const poor = addFeedback(store, { originalText: '今日はとても遠い', rating: 3 });
+    [corrected, good, poor].forEach(e => store.review(e.id, { status: 'approved' }));
+
+    assert.equal(store.get(pending.id).status, 'pending');
+    assert.deepEqual(store.findExamples('今日はとても', 'standard', 'fukuoka').map(e => e.target_text).sort(), [
+      '今日はばり暑か',
+      '今日はばり眠か'
+    ]);
+  });
+
+  test('同じ翻訳方向で似た入力の例を類似度の高い順に上限まで返す', () => {
+    const store = createStore({ maxExamples: 2 });
+    ['明日は雨が降る', '明日は雨が降るかな', '明日は晴れる', 'ありがとう'].forEach(originalText => {
+      const entry = addFeedback(store, { originalText, correctedText: `${originalText}（修正）` });
+      store.review(entry.id, { status: 'approved' });
+    });
+    const other = addFeedback(store, { originalText: '明日は雨が降る', correctedText: '別の方向', target: 'kumamoto' });
+    store.review(other.id, { status: 'approved' });
+
+    assert.deepEqual(store.findExamples('明日は雨が降る', 'standard', 'fukuoka'), [
+      { source_text: '明日は雨が降る', target_text: '明日は雨が降る（修正）' },
+      { source_text: '明日は雨が降るかな', target_text: '明日は雨が降るかな（修正）' }
+    ]);
+    assert.deepEqual(store.findExamples('ありがとう', 'standard', 'kagoshima'), []);
+    assert.deepEqual(createStore({ maxExamples: 0 }).findExamples('明日は雨が降る', 'standard', 'fukuoka'), []);
+  });
+
+  test('方言での絞り込みには下位の方言を含め、件数を状態ごとに数える', () => {
+    const store = createStore();
+    addFeedback(store, { originalText: 'a', target: 'hakata' });
+    addFeedback(store, { originalText: 'b', target: 'kumamoto' });
+    const rejected = addFeedback(store, { originalText: 'c', source: 'fukuoka', target: 'standard' });
+    store.review(rejected.id, { status: 'rejected', note: '元の訳で正しい' });
+
+    assert.deepEqual(store.list({ dialect: 'fukuoka' }).map(e => e.original_text).sort(), ['a', 'c']);
+    assert.equal(store.get(rejected.id).review_note, '元の訳で正しい');
+    assert.deepEqual(store.stats(), { total_count: 3, pending_count: 2, approved_count: 0, rejected_count: 1 });
+  });
+});
+
+describe('フィードバックAPI', () => {
+  const adminHeaders = { 'X-Admin-Token': 'admin-token' };
+  let server;
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+  });
+  after(() => server.close());
+
+  function translate(text) {
+    return server.request('POST', '/api/translate', {
+      body: { text, from: 'standard', to: 'dialect', dialect: 'fukuoka' }
+    });
+  }
+
+  test('承認した修正訳を同じ入力の翻訳に使う', async () => {
+    const first = await translate('今日はとても疲れました');
+    assert.equal(first.body.data.translated_text, '今日はばり疲れました');
+
+    const created = await server.request('POST', '/api/feedback', {
+      body: {
+        original_text: '今日はとても疲れました',
+        translated_text: first.body.data.translated_text,
+        corrected_text: '今日はばりきつかった',
+        rating: 2,
+        from: 'standard',
+        to: 'dialect',
+        dialect: 'fukuoka'
+      }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.feedback.status, 'pending');
+    assert.equal(created.body.feedback.target_dialect, 'fukuoka');
+
+    // 承認前は翻訳例に使わない
+    assert.equal((await translate('今日はとても疲れました')).body.data.translated_text, '今日はばり疲れました');
+
+    const reviewed = await server.request('PATCH', `/api/feedback/${created.body.feedback.id}`, {
+      body: { status: 'approved' },
+      headers: adminHeaders
+    });
+    assert.equal(reviewed.status, 200);
+    assert.equal((await translate('今日はとても疲れました')).body.data.translated_text, '今日はばりきつかった');
+  });
+
+  test('修正訳のない低評価は承認できず、一覧は管理者のみ', async () => {
+    const created = await server.request('POST', '/api/feedback', {
+      body: { original_text: 'とても', translated_text: 'ばり', rating: 1, from: 'standard', to: 'dialect', dialect: 'fukuoka' }
+    });
+    const { status, body } = await server.request('PATCH', `/api/feedback/${created.body.feedback.id}`, {
+      body: { status: 'approved' },
+      headers: adminHeaders
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map(d => d.field), ['corrected_text']);
+
+    assert.equal((await server.request('GET', '/api/feedback')).status, 401);
+    const list = await server.request('GET', '/api/feedback?status=pending', { headers: adminHeaders });
+    assert.deepEqual(list.body.feedback.map(e => e.id), [created.body.feedback.id]);
+  });
+});
@@ -0,0 +1,78 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGlossaryStore } = require('../lib/glossary');
+const { startServer, logger } = require('./helpers');
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+  return createGlossaryStore({ file: path.join(dir, 'glossaries.json'), logger });
+}
+
+describe('用語集の照合', () => {
+  const store = createStore();
+  store.add('fukuoka', { standard: 'とても', dialect: 'ばり' });
+  store.add('fukuoka', { standard: '疲れた', dialect: 'しんどか' });
+  store.add('hakata', { standard: '疲れた', dialect: 'きつか' });
+  store.add('kagoshima', { standard: 'とても', dialect: 'わっぜ' });
+
+  test('標準語から方言へは標準語の語句、方言から標準語へは方言の語句で照合する', () => {
+    assert.deepEqual(store.match('今日はとても暑い', 'standard', 'fukuoka').map(t => [t.source_term, t.target_term, t.dialect]), [
+      ['とても', 'ばり', 'fukuoka']
+    ]);
+    assert.deepEqual(store.match('ばり暑か', 'fukuoka', 'standard').map(t => [t.source_term, t.target_term]), [
+      ['ばり', 'とても']
+    ]);
+    assert.deepEqual(store.match('暑い', 'standard', 'fukuoka'), []);
+  });
+
+  test('方言同士は標準語の見出しが一致する用語を対応させる', () => {
+    assert.deepEqual(store.match('わっぜ暑か', 'kagoshima', 'fukuoka').map(t => [t.source_term, t.target_term, t.dialect]), [
+      ['わっぜ', 'ばり', 'fukuoka']
+    ]);
+  });
+
+  test('下位の方言には親の方言の用語も使い、同じ見出しは下位の方言を優先する', () => {
+    const terms = store.match('とても疲れた', 'standard', 'hakata');
+    assert.deepEqual(terms.map(t => [t.source_term, t.target_term, t.dialect]), [
+      ['疲れた', 'きつか', 'hakata'],
+      ['とても', 'ばり', 'fukuoka']
+    ]);
+    assert.deepEqual(store.match('ばり', 'hakata', 'standard').map(t => t.target_term), ['とても']);
+    // 親の方言には下位の方言の用語を使わない
+    assert.deepEqual(store.match('疲れた', 'standard', 'fukuoka').map(t => t.target_term), ['しんどか']);
+  });
+
+  test('訳文に訳語が使われたかを確認する', () => {
+    const terms = store.match('とても疲れた', 'standard', 'hakata');
+    const { applied, violated } = store.checkCompliance('ばりしんどか', terms);
+    assert.deepEqual(applied.map(t => t.target_term), ['ばり']);
+    assert.deepEqual(violated.map(t => t.target_term), ['きつか']);
+  });
+});
+
+describe('用語集API', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+  });
+  after(() => server.close());
+
+  test('登録した親の方言の用語を下位の方言への翻訳に使う', async () => {
+    const created = await server.request('POST', '/api/glossaries/fukuoka', {
+      body: { standard: '眠い', dialect: 'ねむたか' },
+      headers: { 'X-Admin-Token': 'admin-token' }
+    });
+    assert.equal(created.status, 201);
+
+    const { body } = await server.request('POST', '/api/translate', {
+      body: { text: 'とても眠い', from: 'standard', to: 'dialect', dialect: 'hakata' }
+    });
+    assert.equal(body.data.translated_text, 'ちかっぱねむたか');
+    assert.deepEqual(body.data.glossary.applied.map(t => [t.source_term, t.target_term, t.dialect]), [
+      ['眠い', 'ねむたか', 'fukuoka']
+    ]);
+  });
+});
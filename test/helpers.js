@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../lib/app');
+const { createLogger } = require('../lib/logger');
+const { createOfflineProvider } = require('../lib/providers/offline');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+
+const logger = createLogger({ level: 'silent' });
+
+function offlineProvider() {
+  return createOfflineProvider({ logger });
+}
+
+function fixtureProvider() {
+  return createFixtureProvider({ logger });
+}
+
+// テスト用のサーバーを起動する（保存先は一時ディレクトリ、ログは出さない）
+//   options.provider: 翻訳プロバイダー（既定はオフライン）
+//   options.env: 追加の環境変数
+//   options.logger / options.rateLimit / options.now: createApp のオプション（logger に undefined を指定すると env から作成）
+async function startServer(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-bridge-test-'));
+  const bridge = createApp({
+    provider: options.provider || offlineProvider(),
+    logger: 'logger' in options ? options.logger : logger,
+    rateLimit: options.rateLimit !== undefined ? options.rateLimit : false,
+    keepAliveUrl: null,
+    now: options.now,
+    env: {
+      NODE_ENV: 'test',
+      API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+      HISTORY_FILE: path.join(dir, 'history.json'),
+      JOBS_DIR: path.join(dir, 'jobs'),
+      GLOSSARY_FILE: path.join(dir, 'glossaries.json'),
+      FEEDBACK_FILE: path.join(dir, 'feedback.json'),
+      EVALUATIONS_DIR: path.join(dir, 'evaluations'),
+      ...options.env
+    }
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = bridge.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON のリクエストを送り、ステータス・ヘッダー・本文を返す
+  async function request(method, url, { body, headers } = {}) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  return {
+    bridge,
+    baseUrl,
+    dir,
+    request,
+    close: () => {
+      bridge.stop();
+      server.closeAllConnections();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// 条件を満たすまで待つ（ジョブの完了待ちなど）
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('待機がタイムアウトしました');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  logger,
+  offlineProvider,
+  fixtureProvider,
+  startServer,
+  waitFor
+};
@@ -0,0 +1,67 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClient, AuthenticationError } = require('../client');
+const { startServer } = require('./helpers');
+
+const toFukuoka = { from: 'standard', to: 'dialect', dialect: 'fukuoka' };
+const admin = { 'X-Admin-Token': 'admin-token' };
+
+describe('翻訳履歴', () => {
+  let server;
+  let keyA;
+  let keyB;
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+    const create = async name => (await server.request('POST', '/api/admin/keys', { body: { name }, headers: admin })).body.api_key;
+    keyA = await create('a');
+    keyB = await create('b');
+  });
+  after(() => server.close());
+
+  test('APIキーなしのリクエストは記録せず、履歴も参照できない', async () => {
+    const translated = await server.request('POST', '/api/translate', { body: { text: 'とても', ...toFukuoka } });
+    assert.equal(translated.body.data.history_id, null);
+
+    const { status, body } = await server.request('GET', '/api/history');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHORIZED');
+  });
+
+  test('APIキーごとに記録し、他のキーの履歴は参照できない', async () => {
+    const translated = await server.request('POST', '/api/translate', {
+      body: { text: '疲れました', ...toFukuoka },
+      headers: { 'X-API-Key': keyA }
+    });
+    const historyId = translated.body.data.history_id;
+    assert.equal(typeof historyId, 'string');
+
+    const own = await server.request('GET', '/api/history', { headers: { 'X-API-Key': keyA } });
+    assert.deepEqual(own.body.entries.map(e => e.id), [historyId]);
+
+    const other = await server.request('GET', '/api/history', { headers: { 'X-API-Key': keyB } });
+    assert.equal(other.body.total_count, 0);
+    const otherEntry = await server.request('GET', `/api/history/${historyId}`, { headers: { 'X-API-Key': keyB } });
+    assert.equal(otherEntry.status, 404);
+
+    const all = await server.request('GET', '/api/history', { headers: admin });
+    assert.ok(all.body.entries.some(e => e.id === historyId));
+  });
+
+  test('ダッシュボードのクライアントはAPIキーで翻訳・履歴の表示・エクスポートを行う', async () => {
+    const page = await fetch(`${server.baseUrl}/`);
+    assert.match(await page.text(), /id="api-key"/);
+
+    const api = createClient({ baseUrl: server.baseUrl, apiKey: keyB, retries: 0 });
+    const translated = await api.translate({ text: '今日はとても疲れました', ...toFukuoka });
+
+    const history = await api.listHistory({ q: '今日は' });
+    assert.deepEqual(history.entries.map(e => e.id), [translated.history_id]);
+
+    const exported = await api.exportHistory({ q: '今日は' }, 'jsonl');
+    const lines = (await exported.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(e => e.translated_text), ['今日はばり疲れました']);
+
+    const anonymous = createClient({ baseUrl: server.baseUrl, retries: 0 });
+    await assert.rejects(anonymous.exportHistory({}, 'json'), AuthenticationError);
+  });
+});
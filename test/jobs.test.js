@@ -0,0 +1,85 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+const { isBlockedAddress } = require('../lib/jobs');
+
+const toFukuoka = { from: 'standard', to: 'dialect', dialect: 'fukuoka' };
+const admin = { 'X-Admin-Token': 'admin-token' };
+
+describe('非同期バッチジョブ', () => {
+  let server;
+  let headers;
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+    const key = await server.request('POST', '/api/admin/keys', { body: { name: 'jobs' }, headers: admin });
+    headers = { 'X-API-Key': key.body.api_key };
+  });
+  after(() => server.close());
+
+  async function waitForStatus(id, status) {
+    return waitFor(async () => {
+      const { body } = await server.request('GET', `/api/jobs/${id}`, { headers });
+      return body.data.status === status && body.data;
+    });
+  }
+
+  test('登録したジョブを翻訳し、結果を返す', async () => {
+    const created = await server.request('POST', '/api/jobs', {
+      body: { texts: ['とても', '疲れました'], ...toFukuoka },
+      headers
+    });
+    assert.equal(created.status, 202);
+    assert.equal(created.body.data.progress.total_count, 2);
+
+    const job = await waitForStatus(created.body.data.id, 'completed');
+    assert.equal(job.progress.success_count, 2);
+    assert.equal(job.progress.percent, 100);
+    assert.deepEqual(job.results.map(r => r.translated), ['ばり', '疲れました']);
+
+    const results = await server.request('GET', `/api/jobs/${job.id}/results?format=jsonl`, { headers });
+    assert.equal(results.status, 200);
+    assert.equal(results.body.trim().split('\n').length, 2);
+  });
+
+  test('存在しないジョブは NOT_FOUND', async () => {
+    const { status, body } = await server.request('GET', '/api/jobs/unknown');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+  });
+
+  test('ジョブの登録にはAPIキーが必要で、件数だけクォータを消費する', async () => {
+    const anonymous = await server.request('POST', '/api/jobs', { body: { texts: ['とても'], ...toFukuoka } });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'UNAUTHORIZED');
+
+    const before = await server.request('GET', '/api/admin/keys', { headers: admin });
+    const created = await server.request('POST', '/api/jobs', {
+      body: { texts: ['とても', '疲れました', 'とても'], ...toFukuoka },
+      headers
+    });
+    assert.equal(created.status, 202);
+    const after = await server.request('GET', '/api/admin/keys', { headers: admin });
+    assert.equal(after.body.keys[0].usage.window_requests - before.body.keys[0].usage.window_requests, 3);
+    await waitForStatus(created.body.data.id, 'completed');
+  });
+
+  test('内部のアドレスへの Webhook は登録できない', async () => {
+    for (const webhookUrl of ['http://127.0.0.1/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook', 'ftp://example.com/hook']) {
+      const { status, body } = await server.request('POST', '/api/jobs', {
+        body: { texts: ['とても'], ...toFukuoka, webhook_url: webhookUrl },
+        headers
+      });
+      assert.equal(status, 400, webhookUrl);
+      assert.equal(body.details[0].field, 'webhook_url');
+    }
+  });
+});
+
+test('内部・予約済みのアドレスを判定する', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
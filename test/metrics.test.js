@@ -0,0 +1,73 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry, classifyProviderError } = require('../lib/metrics');
+const { startServer } = require('./helpers');
+
+test('カウンター・ゲージ・ヒストグラムを Prometheus のテキスト形式で出力する', () => {
+  const metrics = createMetricsRegistry();
+  const requests = metrics.counter('requests_total', 'リクエスト数', ['route']);
+  const duration = metrics.histogram('duration_seconds', '処理時間', ['route'], [0.1, 1]);
+  metrics.gauge('entries', '件数', () => [{ value: 3 }]);
+
+  requests.inc({ route: '/a' });
+  requests.inc({ route: '/a' }, 2);
+  requests.inc({ route: 'say "hi"\n' });
+  duration.observe({ route: '/a' }, 0.05);
+  duration.observe({ route: '/a' }, 0.5);
+
+  assert.equal(metrics.render(), [
+    '# HELP requests_total リクエスト数',
+    '# TYPE requests_total counter',
+    'requests_total{route="/a"} 3',
+    'requests_total{route="say \\"hi\\"\\n"} 1',
+    '# HELP duration_seconds 処理時間',
+    '# TYPE duration_seconds histogram',
+    'duration_seconds_bucket{route="/a",le="0.1"} 1',
+    'duration_seconds_bucket{route="/a",le="1"} 2',
+    'duration_seconds_bucket{route="/a",le="+Inf"} 2',
+    'duration_seconds_sum{route="/a"} 0.55',
+    'duration_seconds_count{route="/a"} 2',
+    '# HELP entries 件数',
+    '# TYPE entries gauge',
+    'entries 3',
+    ''
+  ].join('\n'));
+});
+
+test('翻訳プロバイダーのエラーを種類に分類する', () => {
+  assert.equal(classifyProviderError({ type: 'circuit_open', message: '' }), 'circuit_open');
+  assert.equal(classifyProviderError(new Error('[429 Too Many Requests] RESOURCE_EXHAUSTED')), 'rate_limited');
+  assert.equal(classifyProviderError(new Error('Request timed out')), 'timeout');
+  assert.equal(classifyProviderError(new Error('fetch failed')), 'unavailable');
+  assert.equal(classifyProviderError(new Error('想定外')), 'other');
+});
+
+describe('/metrics', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ env: { METRICS_TOKEN: 'metrics-token' } });
+  });
+  after(() => server.close());
+
+  test('METRICS_TOKEN を設定した場合はトークンが必要', async () => {
+    const { status, body } = await server.request('GET', '/metrics');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHORIZED');
+  });
+
+  test('リクエスト数・翻訳の処理時間・入力文字数を出力する', async () => {
+    await server.request('POST', '/api/translate', {
+      body: { text: 'とても', from: 'standard', to: 'dialect', dialect: 'fukuoka' }
+    });
+
+    const { status, headers, body } = await server.request('GET', '/metrics', {
+      headers: { Authorization: 'Bearer metrics-token' }
+    });
+    assert.equal(status, 200);
+    assert.match(headers.get('Content-Type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(body, /^dialectbridge_http_requests_total\{method="POST",route="\/api\/translate",status="200"\} 1$/m);
+    assert.match(body, /^dialectbridge_translation_duration_seconds_count\{dialect="fukuoka",direction="standard_to_dialect",cached="false"\} 1$/m);
+    assert.match(body, /^dialectbridge_input_characters_total\{operation="translate",dialect="fukuoka",direction="standard_to_dialect"\} 3$/m);
+    assert.match(body, /^# TYPE dialectbridge_jobs gauge$/m);
+  });
+});
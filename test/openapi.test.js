@@ -0,0 +1,114 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/schema');
+const { createOpenApiValidator } = require('../lib/openapi');
+const { createLogger } = require('../lib/logger');
+const { startServer } = require('./helpers');
+
+test('スキーマの検証は項目ごとのパスとメッセージを返す', () => {
+  const schemas = { Name: { type: 'string', minLength: 1, 'x-error-message': '1文字以上の文字列で指定してください' } };
+  const schema = {
+    type: 'object',
+    required: ['name', 'tags'],
+    additionalProperties: false,
+    properties: {
+      name: { $ref: '#/components/schemas/Name' },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string', enum: ['a', 'b'] } },
+      note: { type: 'string', nullable: true }
+    }
+  };
+  const resolveRef = reference => schemas[reference.replace('#/components/schemas/', '')];
+
+  assert.deepEqual(validate(schema, { name: 'x', tags: ['a'], note: null }, '', { resolveRef }), []);
+  assert.deepEqual(validate(schema, { name: '', tags: ['a', 'c', 'b'], extra: 1 }, '', { resolveRef }), [
+    { path: 'name', message: '1文字以上の文字列で指定してください' },
+    { path: 'tags', message: '2件以下である必要があります' },
+    { path: 'tags[1]', message: '"a"、"b" のいずれかである必要があります' },
+    { path: 'extra', message: '未定義の項目です' }
+  ]);
+  assert.deepEqual(validate(schema, [], '', { resolveRef }), [{ path: '(root)', message: 'objectである必要があります' }]);
+});
+
+describe('OpenAPI 定義による検証ミドルウェア', () => {
+  const document = {
+    paths: {
+      '/items/{id}': {
+        get: {
+          parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } }],
+          responses: {
+            200: { content: { 'application/json': { schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } } } }
+          }
+        },
+        post: {
+          requestBody: { content: { 'application/json': { schema: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } } } } },
+          responses: {}
+        }
+      }
+    },
+    components: { schemas: {} }
+  };
+
+  function run(middleware, req) {
+    const res = { statusCode: 200, json: body => body };
+    let result;
+    middleware({ query: {}, ...req }, res, error => {
+      result = error;
+    });
+    return { error: result, res };
+  }
+
+  test('クエリは型を変換してから検証し、本文のエラーは details にまとめる', () => {
+    const validator = createOpenApiValidator(document);
+    assert.equal(run(validator, { method: 'GET', path: '/items/1', query: { limit: '5' } }).error, undefined);
+
+    const query = run(validator, { method: 'GET', path: '/items/1', query: { limit: '0' } }).error;
+    assert.equal(query.code, 'VALIDATION_FAILED');
+    assert.deepEqual(query.details, [{ field: 'limit', message: '1以上である必要があります' }]);
+
+    const body = run(validator, { method: 'POST', path: '/items/1', body: { text: 1 } }).error;
+    assert.equal(body.status, 400);
+    assert.equal(body.message, 'textはstringである必要があります');
+
+    assert.equal(run(validator, { method: 'GET', path: '/other' }).error, undefined);
+  });
+
+  test('validateResponses の場合は定義と異なるレスポンスを警告する', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'warn', write: line => lines.push(JSON.parse(line)) });
+    const validator = createOpenApiValidator(document, { validateResponses: true, logger });
+
+    const { res } = run(validator, { method: 'GET', path: '/items/1' });
+    res.json({ id: 'a' });
+    assert.equal(lines.length, 0);
+    res.json({ id: 1 });
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].path, '/items/{id}');
+    assert.deepEqual(lines[0].errors, [{ path: 'id', message: 'stringである必要があります' }]);
+  });
+});
+
+describe('APIの入力検証', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('定義に合わない項目をすべて details に返す', async () => {
+    const { status, body } = await server.request('POST', '/api/translate', {
+      body: { text: 'とても', from: 'standard', to: 'dialect', dialect: 'fukuoka', n: 0, explain: 'yes' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(body.details.map(d => d.field), ['n', 'explain']);
+    assert.equal(body.error, 'nは1以上である必要があります');
+  });
+
+  test('定義は /api/openapi.json で取得できる', async () => {
+    const { status, body } = await server.request('GET', '/api/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.0.3');
+    assert.ok(body.paths['/api/translate'].post);
+    assert.ok(body.components.schemas.ErrorResponse);
+  });
+});
@@ -0,0 +1,53 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { fixtureProvider, offlineProvider } = require('./helpers');
+
+describe('フィクスチャプロバイダー', () => {
+  const provider = fixtureProvider();
+
+  test('記録済みの翻訳と判定を返す', async () => {
+    assert.equal(await provider.translate('今日はとても疲れました', 'standard', 'fukuoka', {}), '今日はばり疲れたばい');
+    const detection = await provider.detect('なんしよっと？はよ来んね');
+    assert.equal(detection.scores[0].dialect, 'fukuoka');
+  });
+
+  test('未記録のエラーには入力のテキストを含めない', async () => {
+    const secret = '未記録の秘密の文';
+    const calls = [
+      () => provider.translate(secret, 'standard', 'fukuoka', {}),
+      () => provider.translateCandidates(secret, 'standard', 'fukuoka', {}, 2),
+      () => provider.explain(secret, '訳文', 'standard', 'fukuoka'),
+      () => provider.reading(secret, 'standard'),
+      () => provider.detect(secret)
+    ];
+    for (const call of calls) {
+      await assert.rejects(call, error => {
+        assert.equal(error.type, 'not_configured');
+        assert.ok(!error.message.includes(secret), error.message);
+        assert.match(error.message, /8文字, sha256:[0-9a-f]{16}/);
+        return true;
+      });
+    }
+  });
+});
+
+describe('オフラインプロバイダー', () => {
+  const provider = offlineProvider();
+
+  test('文末表現を両方向に変換する', async () => {
+    assert.equal(await provider.translate('行ったと？', 'fukuoka', 'standard', {}), '行ったの？');
+    assert.equal(await provider.translate('何をしているの', 'standard', 'fukuoka', {}), 'なんばしよると');
+  });
+
+  test('促音の直後の「と」は文末表現として変換しない', async () => {
+    assert.equal(await provider.translate('なんしよっと？', 'fukuoka', 'standard', {}), 'なんしよっと？');
+  });
+
+  test('候補は文末表現を変換したものとしないものの最大2件', async () => {
+    assert.deepEqual(
+      await provider.translateCandidates('何をしているの', 'standard', 'fukuoka', {}, 3),
+      ['なんばしよると', 'なんばしよるの']
+    );
+    assert.deepEqual(await provider.translateCandidates('とても', 'standard', 'fukuoka', {}, 3), ['ばり']);
+  });
+});
@@ -0,0 +1,86 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, fixtureProvider } = require('./helpers');
+const { toRomaji, checkSsml, buildReading, ReadingSchemaError } = require('../lib/reading');
+
+test('かなをヘボン式のローマ字にする', () => {
+  assert.equal(toRomaji('がっこう'), 'gakkou');
+  assert.equal(toRomaji('ちゃっと'), 'chatto');
+  assert.equal(toRomaji('こんや'), "kon'ya");
+  assert.equal(toRomaji('ラーメン'), 'rāmen');
+});
+
+test('SSML の整形式を確認する', () => {
+  assert.deepEqual(checkSsml('<speak>こんにちは<break time="200ms"/></speak>'), []);
+  assert.equal(checkSsml('<speak><b></speak>').length, 1);
+});
+
+test('トークンを本文に対応付け、方言は phoneme で読みを指定する', () => {
+  const reading = buildReading({
+    text: '今日はばり',
+    raw: {
+      tokens: [
+        { surface: '今日', kana: 'キョウ', dialect: false },
+        { surface: 'ばり', kana: 'バリ', dialect: true }
+      ]
+    }
+  });
+  assert.equal(reading.kana, 'きょうはばり');
+  assert.deepEqual(reading.tokens.map(t => [t.surface, t.offsets.start, t.offsets.end]), [
+    ['今日', 0, 2],
+    ['は', 2, 3],
+    ['ばり', 3, 5]
+  ]);
+  assert.match(reading.ssml, /<sub alias="きょう">今日<\/sub>/);
+  assert.match(reading.ssml, /<phoneme alphabet="yomigana" ph="バリ">ばり<\/phoneme>/);
+  assert.deepEqual(checkSsml(reading.ssml), []);
+});
+
+test('形式が正しくない読みは ReadingSchemaError', () => {
+  assert.throws(() => buildReading({ text: 'ばり', raw: { tokens: 'x' } }), ReadingSchemaError);
+});
+
+describe('翻訳APIの読み', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ provider: fixtureProvider() });
+  });
+  after(() => server.close());
+
+  test('reading を指定すると訳文の読みを返す', async () => {
+    const { status, body } = await server.request('POST', '/api/translate', {
+      body: { text: '今日はとても疲れました', from: 'standard', to: 'dialect', dialect: 'fukuoka', reading: true }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.reading.kana, 'きょうわばりつかれたばい');
+    assert.equal(body.data.reading.romaji, 'kyou wa bari tsukareta bai');
+    assert.deepEqual(checkSsml(body.data.reading.ssml), []);
+  });
+
+  test('バッチ翻訳で読みを生成できない項目は訳文とともに reading_error を返す', async () => {
+    const provider = fixtureProvider();
+    const failing = await startServer({
+      provider: {
+        ...provider,
+        reading: async (text, language) => {
+          if (text === 'とても暑いよ') {
+            throw Object.assign(new Error('読みの生成に失敗しました'), { type: 'invalid_response' });
+          }
+          return provider.reading(text, language);
+        }
+      }
+    });
+    try {
+      const { body } = await failing.request('POST', '/api/translate/batch', {
+        body: { texts: ['わっぜ暑いっど'], from: 'dialect', to: 'standard', dialect: 'kagoshima', reading: true }
+      });
+      const [result] = body.data.results;
+      assert.equal(result.success, true);
+      assert.equal(result.translated, 'とても暑いよ');
+      assert.equal(result.reading, undefined);
+      assert.equal(result.reading_error.code, 'UPSTREAM_INVALID_RESPONSE');
+    } finally {
+      failing.close();
+    }
+  });
+});
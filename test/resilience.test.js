@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { UpstreamError, withTimeout, withRetry, createCircuitBreaker, createAdaptivePacer } = require('../lib/resilience');
+
+const unavailable = () => new UpstreamError('障害', { type: 'unavailable', status: 502, retryable: true });
+
+describe('withRetry', () => {
+  test('再試行できるエラーは指数バックオフで再試行する', async () => {
+    const delays = [];
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw unavailable();
+      return 'ok';
+    }, { baseDelayMs: 100, random: () => 1, sleep: async ms => delays.push(ms) });
+
+    assert.equal(result, 'ok');
+    assert.deepEqual(delays, [100, 200]);
+  });
+
+  test('再試行できないエラーと回数を超えたエラーはそのまま投げる', async () => {
+    let calls = 0;
+    const blocked = new UpstreamError('ブロック', { type: 'content_blocked', status: 400 });
+    await assert.rejects(withRetry(async () => { calls++; throw blocked; }, { sleep: async () => {} }), blocked);
+    assert.equal(calls, 1);
+
+    calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw unavailable(); }, { retries: 2, sleep: async () => {} }), { type: 'unavailable' });
+    assert.equal(calls, 3);
+  });
+
+  test('Retry-After は待ち時間の下限にし、上限を超える場合は待たずに失敗する', async () => {
+    const delays = [];
+    let calls = 0;
+    await withRetry(async () => {
+      calls++;
+      if (calls === 1) throw new UpstreamError('制限', { type: 'rate_limited', retryable: true, retryAfterMs: 3000 });
+      return 'ok';
+    }, { baseDelayMs: 100, random: () => 0.5, sleep: async ms => delays.push(ms) });
+    assert.deepEqual(delays, [3000]);
+
+    const tooLong = new UpstreamError('制限', { type: 'rate_limited', retryable: true, retryAfterMs: 60000 });
+    await assert.rejects(withRetry(async () => { throw tooLong; }, { maxDelayMs: 10000, sleep: async () => assert.fail('待たない') }), tooLong);
+  });
+});
+
+test('withTimeout は時間内に終わらなければ timeout エラーにする', async () => {
+  let aborted = false;
+  await assert.rejects(
+    withTimeout(() => new Promise(() => {}), 10, () => { aborted = true; }),
+    { type: 'timeout', status: 504, retryable: true }
+  );
+  assert.equal(aborted, true);
+  assert.equal(await withTimeout(async () => 'ok', 1000), 'ok');
+});
+
+describe('サーキットブレーカー', () => {
+  test('連続した失敗で open になり、待機時間の後に1件だけ試して closed に戻る', async () => {
+    let current = 0;
+    const states = [];
+    const breaker = createCircuitBreaker({
+      failureThreshold: 2,
+      cooldownMs: 1000,
+      now: () => current,
+      onStateChange: state => states.push(state)
+    });
+
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(breaker.execute(async () => { throw unavailable(); }), { type: 'unavailable' });
+    }
+    assert.equal(breaker.stats().state, 'open');
+
+    let called = false;
+    await assert.rejects(breaker.execute(async () => { called = true; }), { type: 'circuit_open', status: 503, retryAfterMs: 1000 });
+    assert.equal(called, false);
+    assert.equal(breaker.stats().rejected_count, 1);
+
+    current += 1000;
+    assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+    assert.deepEqual(states, ['open', 'half_open', 'closed']);
+  });
+
+  test('half_open の試行が失敗すると open に戻り、障害でないエラーは失敗に数えない', async () => {
+    let current = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => current });
+
+    await assert.rejects(breaker.execute(async () => { throw new UpstreamError('不正', { type: 'invalid_response' }); }));
+    assert.equal(breaker.stats().state, 'closed');
+
+    await assert.rejects(breaker.execute(async () => { throw unavailable(); }));
+    current += 1000;
+    await assert.rejects(breaker.execute(async () => { throw unavailable(); }), { type: 'unavailable' });
+    assert.equal(breaker.stats().state, 'open');
+  });
+});
+
+test('バッチの送信間隔はスロットリングで広げ、成功が続けば戻す', () => {
+  const pacer = createAdaptivePacer({ stepMs: 250, maxDelayMs: 2000, sleep: async () => {} });
+  assert.equal(pacer.update([{ type: 'rate_limited' }]), 250);
+  assert.equal(pacer.update([{ type: 'timeout', retryAfterMs: 1500 }]), 1500);
+  assert.equal(pacer.update([{ type: 'circuit_open' }]), 2000);
+  assert.equal(pacer.update([]), 1000);
+  assert.equal(pacer.update([{ type: 'content_blocked' }]), 500);
+  assert.equal(pacer.update([]), 250);
+  assert.equal(pacer.update([]), 125);
+  assert.equal(pacer.update([]), 0);
+});
@@ -0,0 +1,103 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer } = require('./helpers');
+
+// 参加者の接続（受信したメッセージを type ごとに待てるようにする）
+function connect(server, roomId, { name, dialect, apiKey }) {
+  let url = `${server.baseUrl.replace('http', 'ws')}/api/rooms/${roomId}/ws?name=${encodeURIComponent(name)}&dialect=${dialect}`;
+  if (apiKey) url += `&api_key=${encodeURIComponent(apiKey)}`;
+  const ws = new WebSocket(url);
+  const received = [];
+  const waiters = [];
+  ws.on('message', data => {
+    const message = JSON.parse(data.toString('utf8'));
+    received.push(message);
+    waiters.filter(w => w.type === message.type).forEach(w => w.resolve(message));
+  });
+  return {
+    ws,
+    opened: new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('unexpected-response', (req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+      ws.once('error', reject);
+    }),
+    next: type => new Promise(resolve => {
+      const found = received.find(m => m.type === type && !m.seen);
+      if (found) {
+        found.seen = true;
+        return resolve(found);
+      }
+      waiters.push({ type, resolve: message => { message.seen = true; resolve(message); } });
+    })
+  };
+}
+
+describe('会話ルーム', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+  });
+  after(() => server.close());
+
+  test('発言を他の参加者の言語に翻訳して配信し、記録を書き出す', async () => {
+    const created = await server.request('POST', '/api/rooms', { body: { name: '打ち合わせ' } });
+    assert.equal(created.status, 201);
+    const roomId = created.body.room.id;
+
+    const alice = connect(server, roomId, { name: 'A', dialect: 'standard' });
+    await alice.opened;
+    const joined = await alice.next('joined');
+    assert.equal(joined.participant.language, 'standard');
+
+    const bob = connect(server, roomId, { name: 'B', dialect: 'fukuoka' });
+    await bob.opened;
+    await bob.next('joined');
+
+    alice.ws.send(JSON.stringify({ type: 'message', text: 'とても疲れました' }));
+    const message = await bob.next('message');
+    assert.equal(message.text, 'とても疲れました');
+    assert.equal(message.translations.fukuoka, 'ばり疲れました');
+
+    const transcript = await server.request('GET', `/api/rooms/${roomId}/transcript?format=json`);
+    assert.equal(transcript.status, 200);
+    assert.ok(JSON.stringify(transcript.body).includes('ばり疲れました'));
+
+    alice.ws.close();
+    bob.ws.close();
+  });
+
+  test('不正なメッセージはエラーを返し、接続は保つ', async () => {
+    const created = await server.request('POST', '/api/rooms', { body: {} });
+    const participant = connect(server, created.body.room.id, { name: 'A', dialect: 'standard' });
+    await participant.opened;
+    participant.ws.send('not json');
+    const error = await participant.next('error');
+    assert.equal(error.code, 'INVALID_JSON');
+    assert.equal(participant.ws.readyState, WebSocket.OPEN);
+    participant.ws.close();
+  });
+
+  test('存在しないルームへの接続は 404 で拒否する', async () => {
+    const participant = connect(server, 'unknown', { name: 'A', dialect: 'standard' });
+    await assert.rejects(participant.opened, /HTTP 404/);
+  });
+
+  test('APIキーで作成したルームには、別のキーやキーなしでは参加できない', async () => {
+    const admin = { 'X-Admin-Token': 'admin-token' };
+    const create = async name => (await server.request('POST', '/api/admin/keys', { body: { name }, headers: admin })).body.api_key;
+    const owner = await create('owner');
+    const other = await create('other');
+
+    const created = await server.request('POST', '/api/rooms', { body: {}, headers: { 'X-API-Key': owner } });
+    const roomId = created.body.room.id;
+
+    await assert.rejects(connect(server, roomId, { name: 'A', dialect: 'standard', apiKey: other }).opened, /HTTP 404/);
+    await assert.rejects(connect(server, roomId, { name: 'A', dialect: 'standard' }).opened, /HTTP 404/);
+
+    const participant = connect(server, roomId, { name: 'A', dialect: 'standard', apiKey: owner });
+    await participant.opened;
+    await participant.next('joined');
+    participant.ws.close();
+  });
+});
@@ -0,0 +1,188 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, fixtureProvider } = require('./helpers');
+
+const toFukuoka = { from: 'standard', to: 'dialect', dialect: 'fukuoka' };
+
+describe('翻訳API（オフライン）', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  test('標準語を方言に翻訳する', async () => {
+    const { status, body } = await server.request('POST', '/api/translate', {
+      body: { text: '今日はとても疲れました', ...toFukuoka }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.data.original_text, '今日はとても疲れました');
+    assert.equal(body.data.translated_text, '今日はばり疲れました');
+    assert.equal(body.data.source_dialect, 'standard');
+    assert.equal(body.data.target_dialect, 'fukuoka');
+    assert.equal(body.data.cached, false);
+  });
+
+  test('同じ入力の2回目はキャッシュから返す', async () => {
+    const request = { body: { text: 'とても眠い', ...toFukuoka } };
+    await server.request('POST', '/api/translate', request);
+    const { body } = await server.request('POST', '/api/translate', request);
+    assert.equal(body.data.cached, true);
+  });
+
+  test('候補の数を指定すると、返した件数と指定した件数を返す', async () => {
+    const { body } = await server.request('POST', '/api/translate', {
+      body: { text: '何をしているの', ...toFukuoka, n: 3 }
+    });
+    assert.deepEqual(body.data.candidates.map(c => [c.rank, c.translated_text]), [
+      [1, 'なんばしよると'],
+      [2, 'なんばしよるの']
+    ]);
+    assert.equal(body.data.candidate_count, 2);
+    assert.equal(body.data.requested_candidate_count, 3);
+  });
+
+  test('口調を指定しなかった場合は register を null で返す', async () => {
+    const unspecified = await server.request('POST', '/api/translate', { body: { text: 'とても', ...toFukuoka } });
+    assert.equal(unspecified.body.data.register, null);
+    assert.equal(unspecified.body.data.register_name, null);
+
+    const polite = await server.request('POST', '/api/translate', { body: { text: 'とても', ...toFukuoka, register: 'polite' } });
+    assert.equal(polite.body.data.register, 'polite');
+    assert.equal(polite.body.data.register_name, '丁寧な口調');
+
+    const stream = await fetch(`${server.baseUrl}/api/translate/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'とても', ...toFukuoka })
+    });
+    const start = (await stream.text()).match(/event: start\ndata: (.*)/)[1];
+    assert.equal(JSON.parse(start).register, null);
+  });
+
+  test('バッチ翻訳は入力の順に結果を返す', async () => {
+    const { status, body } = await server.request('POST', '/api/translate/batch', {
+      body: { texts: ['とても', '疲れました', 'とても'], ...toFukuoka }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.results.map(r => [r.index, r.original, r.success]), [
+      [0, 'とても', true],
+      [1, '疲れました', true],
+      [2, 'とても', true]
+    ]);
+    assert.equal(body.data.results[0].translated, 'ばり');
+    assert.equal(body.data.total_count, 3);
+    assert.equal(body.data.error_count, 0);
+  });
+
+  test('方言を判定する', async () => {
+    const { status, body } = await server.request('POST', '/api/translate/detect', {
+      body: { text: 'なんしよっと？はよ来んね' }
+    });
+    assert.equal(status, 200);
+    assert.equal(typeof body.data.detected_dialect, 'string');
+    assert.ok(Array.isArray(body.data.scores) && body.data.scores.length > 0);
+    assert.ok(body.data.scores.every(s => s.score >= 0 && s.score <= 1));
+  });
+});
+
+describe('翻訳API（フィクスチャ）', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ provider: fixtureProvider() });
+  });
+  after(() => server.close());
+
+  test('記録済みの翻訳を返す', async () => {
+    const { status, body } = await server.request('POST', '/api/translate', {
+      body: { text: '今日はとても疲れました', ...toFukuoka }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.translated_text, '今日はばり疲れたばい');
+  });
+
+  test('方言同士・方言から標準語への翻訳', async () => {
+    const { body } = await server.request('POST', '/api/translate', {
+      body: { text: 'わっぜ暑いっど', from: 'dialect', to: 'standard', dialect: 'kagoshima' }
+    });
+    assert.equal(body.data.translated_text, 'とても暑いよ');
+    assert.equal(body.data.source_dialect, 'kagoshima');
+  });
+
+  test('方言の判定結果を信頼度とともに返す', async () => {
+    const { body } = await server.request('POST', '/api/translate/detect', {
+      body: { text: 'なんしよっと？はよ来んね' }
+    });
+    assert.equal(body.data.detected_dialect, 'fukuoka');
+    assert.equal(body.data.confidence, 'high');
+    assert.equal(body.data.translated_text, '何してるの？早く来なよ');
+  });
+
+  test('バッチ翻訳の失敗は項目ごとに返す', async () => {
+    const { status, body } = await server.request('POST', '/api/translate/batch', {
+      body: { texts: ['今日はとても疲れました', '未記録の文'], ...toFukuoka }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.success_count, 1);
+    assert.equal(body.data.error_count, 1);
+    assert.equal(body.data.results[1].success, false);
+    assert.equal(body.data.results[1].code, 'NOT_CONFIGURED');
+    assert.equal(body.data.results[1].message, undefined);
+  });
+});
+
+describe('エラーの形式', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ provider: fixtureProvider() });
+  });
+  after(() => server.close());
+
+  function assertEnvelope(response, status, code) {
+    assert.equal(response.status, status);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.code, code);
+    assert.equal(typeof response.body.error, 'string');
+    assert.equal(typeof response.body.request_id, 'string');
+    assert.equal(response.headers.get('X-Request-Id'), response.body.request_id);
+    assert.ok(!Number.isNaN(Date.parse(response.body.timestamp)));
+  }
+
+  test('入力の検証エラーは項目ごとの details を付ける', async () => {
+    const response = await server.request('POST', '/api/translate', { body: { text: '', ...toFukuoka } });
+    assertEnvelope(response, 400, 'VALIDATION_FAILED');
+    assert.equal(response.body.details[0].field, 'text');
+  });
+
+  test('未対応の方言は検証エラー', async () => {
+    const response = await server.request('POST', '/api/translate', {
+      body: { text: 'とても', from: 'standard', to: 'dialect', dialect: 'tokyo' }
+    });
+    assertEnvelope(response, 400, 'VALIDATION_FAILED');
+    assert.equal(response.body.details[0].field, 'dialect');
+  });
+
+  test('不正なJSON', async () => {
+    const response = await fetch(`${server.baseUrl}/api/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"text":'
+    });
+    assertEnvelope({ status: response.status, headers: response.headers, body: await response.json() }, 400, 'INVALID_JSON');
+  });
+
+  test('未知のエンドポイント', async () => {
+    const response = await server.request('GET', '/api/unknown');
+    assertEnvelope(response, 404, 'NOT_FOUND');
+    assert.ok(response.body.available_endpoints.includes('POST /api/translate'));
+  });
+
+  test('翻訳プロバイダーのエラーはコードに対応するステータスで返す', async () => {
+    const response = await server.request('POST', '/api/translate', { body: { text: '未記録の文', ...toFukuoka } });
+    assertEnvelope(response, 503, 'NOT_CONFIGURED');
+    // 翻訳サービスのエラーの内容は応答に含めない
+    assert.equal(response.body.error, '必要な設定がされていないため利用できません');
+    assert.equal(response.body.message, undefined);
+  });
+});